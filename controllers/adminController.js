@@ -1,6 +1,8 @@
 const Seller = require('../models/Seller');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { commissionExpr, getOrderSellerEarnings } = require('../services/commissionService');
+const searchAnalytics = require('../services/searchAnalyticsService');
 
 // Get all sellers (with approval status)
 exports.getSellers = asyncHandler(async (req, res) => {
@@ -451,6 +453,33 @@ exports.getTopProducts = asyncHandler(async (req, res) => {
   res.json(data);
 });
 
+// Search reports: most frequent queries in a date range
+// @route GET /api/admin/reports/search/top-queries?from=&to=&limit=
+exports.getTopSearchQueries = asyncHandler(async (req, res) => {
+  const range = searchAnalytics.parseRange(req.query);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  const data = await searchAnalytics.getTopQueries(range, limit);
+  res.json({ ...range, data });
+});
+
+// Search reports: queries that found no products
+// @route GET /api/admin/reports/search/zero-results?from=&to=&limit=
+exports.getZeroResultSearchQueries = asyncHandler(async (req, res) => {
+  const range = searchAnalytics.parseRange(req.query);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  const data = await searchAnalytics.getZeroResultQueries(range, limit);
+  res.json({ ...range, data });
+});
+
+// Search reports: search-to-purchase conversion
+// @route GET /api/admin/reports/search/conversion?from=&to=&limit=
+exports.getSearchConversion = asyncHandler(async (req, res) => {
+  const range = searchAnalytics.parseRange(req.query);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  const data = await searchAnalytics.getSearchConversion(range, limit);
+  res.json(data);
+});
+
 // Top vendors by revenue
 exports.getTopVendors = asyncHandler(async (req, res) => {
   const limit = Number(req.query.limit || 10);
@@ -506,13 +535,13 @@ exports.getAdminEarningsSummary = asyncHandler(async (req, res) => {
   // Online commission (non-COD paid)
   const onlineAgg = await Order.aggregate([
     { $match: { paymentMethod: { $ne: 'cod' }, paymentStatus: 'paid' } },
-    { $project: { commEff: { $cond: [ { $gt: ['$commission', 0] }, '$commission', { $multiply: ['$itemsPrice', 0.07] } ] } } },
+    { $project: { commEff: commissionExpr() } },
     { $group: { _id: null, total: { $sum: '$commEff' }, orders: { $sum: 1 } } }
   ]);
   // COD delivered commission
   const codAgg = await Order.aggregate([
     { $match: { paymentMethod: 'cod', orderStatus: 'delivered' } },
-    { $project: { commEff: { $cond: [ { $gt: ['$commission', 0] }, '$commission', { $multiply: ['$itemsPrice', 0.07] } ] } } },
+    { $project: { commEff: commissionExpr() } },
     { $group: { _id: null, total: { $sum: '$commEff' }, orders: { $sum: 1 } } }
   ]);
 
@@ -545,7 +574,7 @@ exports.getAdminEarningsTrend = asyncHandler(async (req, res) => {
     } },
     { $project: {
       createdAt: 1,
-      commEff: { $cond: [ { $gt: ['$commission', 0] }, '$commission', { $multiply: ['$itemsPrice', 0.07] } ] }
+      commEff: commissionExpr()
     } },
     { $group: { _id: { $dateToString: { format, date: '$createdAt' } }, amount: { $sum: '$commEff' } } },
     { $sort: { _id: 1 } },
@@ -573,12 +602,12 @@ exports.getWalletOverview = asyncHandler(async (req, res) => {
   const [onlineCommissionAgg, codCommissionAgg] = await Promise.all([
     Order.aggregate([
       { $match: { paymentMethod: { $ne: 'cod' }, paymentStatus: 'paid' } },
-      { $project: { commEff: { $cond: [ { $gt: ['$commission', 0] }, '$commission', { $multiply: ['$itemsPrice', 0.07] } ] } } },
+      { $project: { commEff: commissionExpr() } },
       { $group: { _id: null, total: { $sum: '$commEff' } } }
     ]),
     Order.aggregate([
       { $match: { paymentMethod: 'cod', orderStatus: 'delivered' } },
-      { $project: { commEff: { $cond: [ { $gt: ['$commission', 0] }, '$commission', { $multiply: ['$itemsPrice', 0.07] } ] } } },
+      { $project: { commEff: commissionExpr() } },
       { $group: { _id: null, total: { $sum: '$commEff' } } }
     ])
   ]);
@@ -617,12 +646,7 @@ exports.getSellerEarnings = asyncHandler(async (req, res) => {
     const onlineOrders = await Order.find({ seller: seller._id, paymentMethod: { $ne: 'cod' }, paymentStatus: 'paid' });
     const codDelivered = await Order.find({ seller: seller._id, paymentMethod: 'cod', orderStatus: 'delivered' });
     const orders = [...onlineOrders, ...codDelivered];
-    const totalEarnings = orders.reduce((sum, o) => {
-      const base = (o.sellerEarnings && o.sellerEarnings > 0)
-        ? o.sellerEarnings
-        : (o.itemsPrice - (o.itemsPrice * 0.07));
-      return sum + Math.max(0, base || 0);
-    }, 0);
+    const totalEarnings = orders.reduce((sum, o) => sum + Math.max(0, getOrderSellerEarnings(o) || 0), 0);
 
     // Amount actually paid out to the seller
     const paidAgg = await Withdrawal.aggregate([
@@ -691,4 +715,52 @@ exports.getWithdrawalRequests = asyncHandler(async (req, res) => {
   }
   
   res.json(filteredWithdrawals);
-}); 
\ No newline at end of file
+}); 
+// --- Commission Rules ---
+const COMMISSION_RULE_FIELDS = ['name', 'seller', 'category', 'ratePercent', 'fixedFee', 'startsAt', 'endsAt', 'priority', 'isActive'];
+
+exports.getCommissionRules = asyncHandler(async (req, res) => {
+  const CommissionRule = require('../models/CommissionRule');
+  const query = {};
+  if (req.query.seller) query.seller = req.query.seller;
+  if (req.query.category) query.category = req.query.category;
+  if (req.query.active === 'true') query.isActive = true;
+  if (req.query.active === 'false') query.isActive = false;
+
+  const rules = await CommissionRule.find(query)
+    .sort({ createdAt: -1 })
+    .populate('seller', 'shopName')
+    .populate('category', 'name');
+  res.json(rules);
+});
+
+exports.createCommissionRule = asyncHandler(async (req, res) => {
+  const CommissionRule = require('../models/CommissionRule');
+  const data = {};
+  COMMISSION_RULE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field] === '' ? null : req.body[field];
+  });
+  const rule = await CommissionRule.create({ ...data, createdBy: req.user._id });
+  res.status(201).json(rule);
+});
+
+exports.updateCommissionRule = asyncHandler(async (req, res) => {
+  const CommissionRule = require('../models/CommissionRule');
+  const rule = await CommissionRule.findById(req.params.id);
+  if (!rule) return res.status(404).json({ message: 'Commission rule not found', route: req.originalUrl || req.url });
+
+  // Rule edits only affect new orders; placed orders keep their commissionSnapshot
+  COMMISSION_RULE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) rule[field] = req.body[field] === '' ? null : req.body[field];
+  });
+  await rule.save();
+  res.json(rule);
+});
+
+exports.deleteCommissionRule = asyncHandler(async (req, res) => {
+  const CommissionRule = require('../models/CommissionRule');
+  const rule = await CommissionRule.findById(req.params.id);
+  if (!rule) return res.status(404).json({ message: 'Commission rule not found', route: req.originalUrl || req.url });
+  await rule.deleteOne();
+  res.json({ message: 'Commission rule deleted' });
+});
@@ -3,6 +3,20 @@ const generateToken = require('../utils/generateToken');
 const sendEmail = require('../utils/sendEmail');
 const crypto = require('crypto');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { mergeGuestCart } = require('../services/cartService');
+
+// Move the shopper's guest cart (X-Guest-Token header) into their account.
+// A failed merge is logged and never fails the login itself.
+const mergeGuestCartOnAuth = async (req, userId) => {
+  const guestToken = req.get('X-Guest-Token') || req.body.guestToken;
+  if (!guestToken) return 0;
+  try {
+    return await mergeGuestCart(userId, guestToken);
+  } catch (error) {
+    console.error('Guest cart merge error:', error);
+    return 0;
+  }
+};
 
 // @desc    Register user (legacy immediate signup)
 // @route   POST /api/auth/register
@@ -119,9 +133,11 @@ const verifyRegistrationOTP = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email: normalizedEmail }).select('+password');
   if (!user) return res.status(404).json({ message: 'User not found' });
   if (user.isEmailVerified) {
+    const mergedCartItems = await mergeGuestCartOnAuth(req, user._id);
     return res.status(200).json({
       token: generateToken(user._id),
-      user: { _id: user._id, name: user.name, email: user.email, role: user.role }
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+      mergedCartItems
     });
   }
 
@@ -142,14 +158,18 @@ const verifyRegistrationOTP = asyncHandler(async (req, res) => {
   }
 
   user.isEmailVerified = true;
+  // A guest checkout account registered with its email keeps its orders as a normal account
+  user.isGuest = false;
   user.emailVerificationOTP = undefined;
   user.emailVerificationOTPExpire = undefined;
   user.emailVerificationOTPAttempts = 0;
   await user.save();
 
+  const mergedCartItems = await mergeGuestCartOnAuth(req, user._id);
   return res.status(200).json({
     token: generateToken(user._id),
-    user: { _id: user._id, name: user.name, email: user.email, role: user.role }
+    user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+    mergedCartItems
   });
 });
 
@@ -184,6 +204,7 @@ const login = asyncHandler(async (req, res) => {
         return res.status(403).json({ message: 'Please verify your email to continue. Check your inbox for the OTP.' });
       }
     }
+    const mergedCartItems = await mergeGuestCartOnAuth(req, user._id);
     res.json({
       token: generateToken(user._id),
       user: {
@@ -191,7 +212,8 @@ const login = asyncHandler(async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role
-      }
+      },
+      mergedCartItems
     });
   } else {
     res.status(401).json({ message: 'Invalid email or password' });
@@ -94,7 +94,9 @@ exports.createCategory = async (req, res) => {
       isFeatured: req.body.isFeatured !== undefined ? req.body.isFeatured : false,
       sortOrder: req.body.sortOrder ? parseInt(req.body.sortOrder) : 0,
       metaTitle: req.body.metaTitle ? req.body.metaTitle.trim() : '',
-      metaDescription: req.body.metaDescription ? req.body.metaDescription.trim() : ''
+      metaDescription: req.body.metaDescription ? req.body.metaDescription.trim() : '',
+      hsnCode: req.body.hsnCode ? String(req.body.hsnCode).trim() : undefined,
+      gstRate: (req.body.gstRate !== undefined && req.body.gstRate !== '') ? Number(req.body.gstRate) : undefined
     });
 
     await category.save();
@@ -160,6 +162,8 @@ exports.updateCategory = async (req, res) => {
     category.sortOrder = sortOrder || category.sortOrder;
     category.metaTitle = metaTitle || category.metaTitle;
     category.metaDescription = metaDescription || category.metaDescription;
+    if (req.body.hsnCode !== undefined) category.hsnCode = req.body.hsnCode ? String(req.body.hsnCode).trim() : undefined;
+    if (req.body.gstRate !== undefined) category.gstRate = req.body.gstRate === '' ? undefined : Number(req.body.gstRate);
     await category.save();
     res.json(category);
   } catch (error) {
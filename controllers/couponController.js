@@ -23,6 +23,7 @@ exports.getCoupons = asyncHandler(async (req, res) => {
 });
 
 // User: Apply a coupon code
+// Only validates the coupon; usage is recorded when the checkout that uses it is placed
 exports.applyCoupon = asyncHandler(async (req, res) => {
   const { code } = req.body;
   const normalized = String(code || '').trim().toUpperCase();
@@ -30,28 +31,9 @@ exports.applyCoupon = asyncHandler(async (req, res) => {
   if (!coupon) {
     return res.status(404).json({ message: 'Invalid or expired coupon', route: req.originalUrl || req.url });
   }
-  if (coupon.expiry < new Date()) {
-    return res.status(400).json({ message: 'Coupon expired', route: req.originalUrl || req.url });
-  }
-  if (coupon.usageLimit && coupon.usedBy.length >= coupon.usageLimit) {
-    return res.status(400).json({ message: 'Coupon usage limit reached', route: req.originalUrl || req.url });
-  }
-  if (coupon.usedBy.includes(req.user._id)) {
-    return res.status(400).json({ message: 'You have already used this coupon', route: req.originalUrl || req.url });
-  }
-  // Mark coupon as used by this user immediately on apply to reflect in vendor dashboard
-  try {
-    const updated = await Coupon.findOneAndUpdate(
-      { _id: coupon._id, isActive: true },
-      { $addToSet: { usedBy: req.user._id } },
-      { new: true }
-    );
-    if (updated && updated.usageLimit && updated.usedBy && updated.usedBy.length >= updated.usageLimit) {
-      updated.isActive = false;
-      await updated.save();
-    }
-  } catch (e) {
-    // Non-blocking; coupon still applied for this session
+  const redemptionError = coupon.getRedemptionError(req.user._id);
+  if (redemptionError) {
+    return res.status(redemptionError.statusCode).json({ message: redemptionError.message, route: req.originalUrl || req.url });
   }
   res.json({ discount: coupon.discount, couponId: coupon._id });
 });
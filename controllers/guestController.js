@@ -0,0 +1,285 @@
+const Product = require('../models/Product');
+const GuestCart = require('../models/GuestCart');
+const CheckoutSession = require('../models/CheckoutSession');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { verifyPayment, getPaymentDetails } = require('../utils/razorpay');
+const { addCartLine, findCartLine, validateCartDocument } = require('../services/cartService');
+const { placeOrder } = require('../services/checkoutService');
+const { createCheckoutSession, fulfilCheckoutSession } = require('../services/checkoutSessionService');
+const {
+  startGuestEmailVerification,
+  verifyGuestEmail,
+  findOrCreateGuestUser,
+  guestCartCheckoutItems,
+  loadGuestCartForCheckout
+} = require('../services/guestCheckoutService');
+
+// Guest carts are identified by the anonymous token in the X-Guest-Token header
+const getGuestToken = (req) => req.get('X-Guest-Token') || req.body?.guestToken;
+
+const sendGuestCart = async (res, guestCart, token) => {
+  await guestCart.populate('items.product');
+  res.json({ cart: guestCart.items, ...(token ? { guestToken: token } : {}) });
+};
+
+// Get guest cart
+exports.getGuestCart = asyncHandler(async (req, res) => {
+  const guestCart = await GuestCart.findByToken(getGuestToken(req));
+  if (!guestCart) {
+    return res.json({ cart: [] });
+  }
+  await sendGuestCart(res, guestCart);
+});
+
+// Add product to guest cart
+// Without a known token a new cart is created and its token returned as guestToken
+exports.addToGuestCart = asyncHandler(async (req, res) => {
+  const { product, quantity = 1, selectedVariants = {} } = req.body;
+
+  const productDoc = await Product.findById(product);
+  if (!productDoc) {
+    return res.status(404).json({ message: 'Product not found', route: req.originalUrl || req.url });
+  }
+
+  let guestCart = await GuestCart.findByToken(getGuestToken(req));
+  let newToken;
+  if (!guestCart) {
+    ({ cart: guestCart, token: newToken } = await GuestCart.createWithToken());
+  }
+
+  if (!addCartLine(guestCart.items, productDoc, { quantity, selectedVariants })) {
+    return res.status(400).json({ message: 'Invalid variant selection', route: req.originalUrl || req.url });
+  }
+  await guestCart.save();
+  await sendGuestCart(res, guestCart, newToken);
+});
+
+// Addressed like user cart lines (see services/cartService findCartLine)
+const lineVariants = (req) => req.body?.selectedVariants || req.query.selectedVariants;
+
+// Remove a line from the guest cart
+exports.removeFromGuestCart = asyncHandler(async (req, res) => {
+  const guestCart = await GuestCart.findByToken(getGuestToken(req));
+  if (!guestCart) {
+    return res.status(404).json({ message: 'Guest cart not found', route: req.originalUrl || req.url });
+  }
+  const cartItem = findCartLine(guestCart.items, req.params.itemId, lineVariants(req));
+  if (cartItem) {
+    guestCart.items.pull(cartItem._id);
+    await guestCart.save();
+  }
+  await sendGuestCart(res, guestCart);
+});
+
+// Update guest cart line quantity
+exports.updateGuestCartQuantity = asyncHandler(async (req, res) => {
+  const guestCart = await GuestCart.findByToken(getGuestToken(req));
+  if (!guestCart) {
+    return res.status(404).json({ message: 'Guest cart not found', route: req.originalUrl || req.url });
+  }
+  const { quantity } = req.body;
+  const cartItem = findCartLine(guestCart.items, req.params.itemId, lineVariants(req));
+  if (!cartItem) {
+    return res.status(404).json({ message: 'Cart item not found', route: req.originalUrl || req.url });
+  }
+  if (quantity <= 0) {
+    guestCart.items.pull(cartItem._id);
+  } else {
+    cartItem.quantity = quantity;
+  }
+  await guestCart.save();
+  await sendGuestCart(res, guestCart);
+});
+
+// Validate guest cart, same as POST /api/users/cart/validate
+exports.validateGuestCart = asyncHandler(async (req, res) => {
+  const guestCart = await GuestCart.findByToken(getGuestToken(req));
+  if (!guestCart) {
+    return res.status(404).json({ message: 'Guest cart not found', route: req.originalUrl || req.url });
+  }
+  const report = await validateCartDocument(guestCart, 'items');
+  await guestCart.populate('items.product');
+  res.json({
+    cart: guestCart.items,
+    valid: report.removed.length === 0 && report.priceChanges.length === 0 && report.stockIssues.length === 0,
+    removed: report.removed,
+    priceChanges: report.priceChanges,
+    stockIssues: report.stockIssues,
+    sellers: report.sellers,
+    itemsPrice: report.itemsPrice
+  });
+});
+
+// Email a code confirming the checkout email, needed when it already has a guest account
+exports.startGuestEmailVerification = asyncHandler(async (req, res) => {
+  const guestCart = await GuestCart.findByToken(getGuestToken(req));
+  if (!guestCart) {
+    return res.status(404).json({ message: 'Guest cart not found', route: req.originalUrl || req.url });
+  }
+  await startGuestEmailVerification(guestCart, req.body.email);
+  res.json({ message: 'Code sent to email' });
+});
+
+// Check the emailed code; this guest cart can then check out with that email
+exports.verifyGuestEmail = asyncHandler(async (req, res) => {
+  const guestCart = await GuestCart.findByToken(getGuestToken(req));
+  if (!guestCart) {
+    return res.status(404).json({ message: 'Guest cart not found', route: req.originalUrl || req.url });
+  }
+  await verifyGuestEmail(guestCart, req.body.email, req.body.otp);
+  res.json({ message: 'Email verified', email: guestCart.verifiedEmail });
+});
+
+// Guest checkout (COD): places the guest cart on the guest account of the given email and phone
+exports.createGuestOrder = asyncHandler(async (req, res) => {
+  const { email, phone, name, shippingAddress, coupon, total } = req.body;
+  if (!shippingAddress) {
+    return res.status(400).json({ message: 'Shipping address is required', route: req.originalUrl || req.url });
+  }
+
+  const guestCart = await loadGuestCartForCheckout(getGuestToken(req));
+  const user = await findOrCreateGuestUser({ guestCart, email, phone, name });
+  guestCart.user = user._id;
+  await guestCart.save();
+
+  const createdOrders = await placeOrder({
+    user,
+    items: guestCartCheckoutItems(guestCart),
+    shippingAddress: { ...shippingAddress, phone: shippingAddress.phone || phone },
+    paymentMethod: 'cod',
+    coupon,
+    total,
+    guestCartId: guestCart._id
+  });
+  res.status(201).json({ orders: createdOrders, checkoutGroup: createdOrders[0]?.checkoutGroup });
+});
+
+// Guest checkout (Razorpay): snapshots the guest cart in a CheckoutSession and creates the Razorpay order
+exports.createGuestPaymentOrder = asyncHandler(async (req, res) => {
+  const { email, phone, name, shippingAddress, coupon, amount, currency = 'INR' } = req.body;
+  if (!shippingAddress) {
+    return res.status(400).json({
+      success: false,
+      message: 'Shipping address is required',
+      route: req.originalUrl || req.url
+    });
+  }
+
+  try {
+    const guestCart = await loadGuestCartForCheckout(getGuestToken(req));
+    const user = await findOrCreateGuestUser({ guestCart, email, phone, name });
+    guestCart.user = user._id;
+    await guestCart.save();
+
+    const { session, razorpayOrder } = await createCheckoutSession({
+      user,
+      items: guestCartCheckoutItems(guestCart),
+      shippingAddress: { ...shippingAddress, phone: shippingAddress.phone || phone },
+      paymentMethod: 'razorpay',
+      coupon,
+      total: amount,
+      currency,
+      guestCartId: guestCart._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        order: razorpayOrder,
+        key: process.env.RAZORPAY_KEY_ID,
+        checkoutSession: {
+          id: session._id,
+          amount: session.amount,
+          itemsPrice: session.itemsPrice,
+          shippingPrice: session.shippingPrice,
+          taxPrice: session.taxPrice,
+          discount: session.discount,
+          expiresAt: session.expiresAt
+        }
+      },
+      message: 'Razorpay order created successfully'
+    });
+  } catch (error) {
+    console.error('Guest payment order creation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create payment order',
+      error: error.message,
+      type: error.type,
+      expectedTotal: error.expectedTotal,
+      details: error.details,
+      route: req.originalUrl || req.url
+    });
+  }
+});
+
+// Verify a guest's Razorpay payment and create the orders from its CheckoutSession
+exports.verifyGuestPayment = asyncHandler(async (req, res) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+  try {
+    if (!verifyPayment(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        route: req.originalUrl || req.url
+      });
+    }
+
+    // The session must belong to the guest account this cart was checked out with
+    const guestCart = await GuestCart.findByToken(getGuestToken(req));
+    const session = guestCart && guestCart.user
+      ? await CheckoutSession.findOne({ razorpayOrderId: razorpay_order_id, user: guestCart.user })
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout session not found for this payment',
+        route: req.originalUrl || req.url
+      });
+    }
+
+    const paymentDetails = await getPaymentDetails(razorpay_payment_id);
+    if (paymentDetails.status !== 'captured') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment not captured',
+        route: req.originalUrl || req.url
+      });
+    }
+
+    const { orders, created } = await fulfilCheckoutSession({
+      session,
+      payment: {
+        razorpayOrderId: razorpay_order_id,
+        razorpayPaymentId: razorpay_payment_id,
+        razorpaySignature: razorpay_signature,
+        // Razorpay amounts are in paise
+        amount: Number(paymentDetails.amount) / 100
+      }
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: {
+        orders,
+        checkoutGroup: orders[0]?.checkoutGroup,
+        paymentDetails
+      },
+      message: created
+        ? 'Payment verified and orders created successfully'
+        : 'Orders already created for this payment'
+    });
+  } catch (error) {
+    console.error('Guest order creation with payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Payment verification or order creation failed',
+      error: error.message,
+      type: error.type,
+      expectedTotal: error.expectedTotal,
+      details: error.details,
+      route: req.originalUrl || req.url
+    });
+  }
+});
@@ -2,123 +2,58 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
 const User = require('../models/User');
+const CheckoutSession = require('../models/CheckoutSession');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { runAtomic } = require('../utils/transaction');
 const { verifyPayment, getPaymentDetails } = require('../utils/razorpay');
 const rapidShyp = require('../services/rapidshypService');
-const Coupon = require('../models/Coupon');
+const { placeOrder } = require('../services/checkoutService');
+const { fulfilCheckoutSession } = require('../services/checkoutSessionService');
+const {
+  cancelOrderItems,
+  requestPartialRefund,
+  processRequestedRefunds,
+  getRefundableAmount
+} = require('../services/refundService');
+const { calculateOrderCommission } = require('../services/commissionService');
+const { transitionOrder, sourceForUser } = require('../services/orderLifecycleService');
+
+// Whether a user is the seller an order belongs to
+const isOrderSeller = async (order, user) => {
+  if (user.role !== 'seller') return false;
+  const sellerDoc = await Seller.findById(order.seller?._id || order.seller).select('userId');
+  return Boolean(sellerDoc && String(sellerDoc.userId) === String(user._id));
+};
+
+// Whether a user may change an order: its customer, the seller it belongs to, or an admin
+const canManageOrder = async (order, user) => {
+  if (user.role === 'admin') return true;
+  if (String(order.user?._id || order.user) === String(user._id)) return true;
+  return isOrderSeller(order, user);
+};
 
 // Create Order: Splits cart by seller, creates separate orders for each seller
+// The whole checkout is atomic: all seller orders, stock, coupon and cart changes commit together
 exports.createOrder = asyncHandler(async (req, res) => {
   if (!req.user || !req.user._id) {
     return res.status(401).json({ message: 'User not authenticated', route: req.originalUrl || req.url });
   }
-  const { shippingAddress, items, paymentMethod, cardData, coupon, discount, total } = req.body;
-  const userId = req.user._id;
-
-  // Group items by seller
-  const itemsBySeller = {};
-  for (const item of items) {
-    if (!item.product || !item.seller) {
-      return res.status(400).json({ message: 'Product or seller missing in order item.', route: req.originalUrl || req.url });
-    }
-    if (!itemsBySeller[item.seller]) itemsBySeller[item.seller] = [];
-    itemsBySeller[item.seller].push(item);
-  }
-
-  const createdOrders = [];
-  for (const sellerId of Object.keys(itemsBySeller)) {
-    const sellerItems = itemsBySeller[sellerId];
-    // Fetch product details for each item
-    const orderItems = await Promise.all(sellerItems.map(async (item) => {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        const error = new Error(`Product not found: ${item.product}`);
-        error.type = 'OrderProductNotFound';
-        throw error;
-      }
-      if (!product.seller || product.seller.toString() !== sellerId) {
-        const error = new Error(`Product seller mismatch for product ${product._id}`);
-        error.type = 'OrderProductSellerMismatch';
-        throw error;
-      }
-      // Increment totalSold for the product
-      product.totalSold = (product.totalSold || 0) + item.quantity;
-      await product.save();
-      return {
-        product: product._id,
-        name: product.name,
-        image: product.images && product.images[0] ? product.images[0].url : '',
-        price: product.price,
-        quantity: item.quantity,
-        sku: product.sku || '',
-      };
-    }));
-    // Calculate totals
-    const itemsPrice = orderItems.reduce((sum, i) => sum + i.price * i.quantity, 0);
-    const shippingPrice = 0;
-    const taxPrice = 0;
-    const totalPrice = itemsPrice + shippingPrice + taxPrice - (discount || 0);
-    // Commission & seller earnings (global 7%)
-    const rate = 0.07;
-    const commission = Number((itemsPrice * rate).toFixed(2));
-    const sellerEarnings = Number((itemsPrice - commission).toFixed(2));
-    // Save order
-    const order = new Order({
-      user: userId,
-      seller: sellerId,
-      orderItems,
-      shippingAddress: {
-        type: shippingAddress.type || 'home',
-        street: shippingAddress.street,
-        city: shippingAddress.city,
-        state: shippingAddress.state,
-        zipCode: shippingAddress.zipCode,
-        country: shippingAddress.country,
-        phone: shippingAddress.phone || '',
-      },
-      paymentMethod: paymentMethod === 'cod' ? 'cod' : paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-      commission,
-      sellerEarnings,
-      orderStatus: 'pending',
-      paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending',
-      shippingStatus: 'pending',
-      coupon: coupon || undefined,
-      discount: discount || 0,
-    });
-    await order.save();
-    createdOrders.push(order);
-
-    // COD: do NOT credit wallet immediately; credit after delivery in updateOrderStatus
-  }
-  // Mark coupon as used by this user (once per checkout)
-  if (coupon) {
-    try {
-      const normalized = String(coupon).trim().toUpperCase();
-      const c = await Coupon.findOneAndUpdate(
-        { code: normalized, isActive: true },
-        { $addToSet: { usedBy: userId } },
-        { new: true }
-      );
-      if (c && c.usageLimit && c.usedBy && c.usedBy.length >= c.usageLimit) {
-        c.isActive = false;
-        await c.save();
-      }
-      } catch (e) {
-      // Non-blocking
-    }
-  }
-  // Clear user's cart after successful order creation
-  try {
-    await User.findByIdAndUpdate(userId, { $set: { cart: [] } });
-  } catch (e) {}
-  res.status(201).json({ orders: createdOrders });
+  // Prices and discount are recomputed server-side; `total` is only compared against them
+  const { shippingAddress, items, paymentMethod, coupon, total } = req.body;
+
+  const createdOrders = await placeOrder({
+    user: req.user,
+    items,
+    shippingAddress,
+    paymentMethod: paymentMethod === 'cod' ? 'cod' : paymentMethod,
+    coupon,
+    total
+  });
+  res.status(201).json({ orders: createdOrders, checkoutGroup: createdOrders[0]?.checkoutGroup });
 });
 
 // Create Order with Razorpay Payment Verification
+// Orders are built from the CheckoutSession snapshotted when the Razorpay order was created
 exports.createOrderWithPayment = asyncHandler(async (req, res) => {
   if (!req.user || !req.user._id) {
     return res.status(401).json({ 
@@ -131,16 +66,8 @@ exports.createOrderWithPayment = asyncHandler(async (req, res) => {
   const { 
     razorpay_order_id, 
     razorpay_payment_id, 
-    razorpay_signature,
-    shippingAddress, 
-    items, 
-    paymentMethod,
-    coupon, 
-    discount, 
-    total 
+    razorpay_signature
   } = req.body;
-  
-  const userId = req.user._id;
 
   try {
     // Verify payment signature
@@ -158,6 +85,15 @@ exports.createOrderWithPayment = asyncHandler(async (req, res) => {
       });
     }
 
+    const session = await CheckoutSession.findOne({ razorpayOrderId: razorpay_order_id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Checkout session not found for this payment', 
+        route: req.originalUrl || req.url 
+      });
+    }
+
     // Get payment details from Razorpay
     const paymentDetails = await getPaymentDetails(razorpay_payment_id);
     
@@ -169,153 +105,39 @@ exports.createOrderWithPayment = asyncHandler(async (req, res) => {
       });
     }
 
-    // Group items by seller
-    const itemsBySeller = {};
-    for (const item of items) {
-      if (!item.product || !item.seller) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'Product or seller missing in order item.', 
-          route: req.originalUrl || req.url 
-        });
-      }
-      if (!itemsBySeller[item.seller]) itemsBySeller[item.seller] = [];
-      itemsBySeller[item.seller].push(item);
-    }
-
-    const createdOrders = [];
-    
-    for (const sellerId of Object.keys(itemsBySeller)) {
-      const sellerItems = itemsBySeller[sellerId];
-      
-      // Fetch product details for each item
-      const orderItems = await Promise.all(sellerItems.map(async (item) => {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          const error = new Error(`Product not found: ${item.product}`);
-          error.type = 'OrderProductNotFound';
-          throw error;
-        }
-        if (!product.seller || product.seller.toString() !== sellerId) {
-          const error = new Error(`Product seller mismatch for product ${product._id}`);
-          error.type = 'OrderProductSellerMismatch';
-          throw error;
-        }
-        
-        // Check stock availability
-        if (product.stock < item.quantity) {
-          const error = new Error(`Insufficient stock for product ${product.name}`);
-          error.type = 'InsufficientStock';
-          throw error;
-        }
-        
-        // Decrement stock
-        product.stock -= item.quantity;
-        product.totalSold = (product.totalSold || 0) + item.quantity;
-        await product.save();
-        
-        return {
-          product: product._id,
-          name: product.name,
-          image: product.images && product.images[0] ? product.images[0].url : '',
-          price: product.price,
-          quantity: item.quantity,
-          sku: product.sku || '',
-        };
-      }));
-
-      // Calculate totals
-      const itemsPrice = orderItems.reduce((sum, i) => sum + i.price * i.quantity, 0);
-      const shippingPrice = 0;
-      const taxPrice = 0;
-      const totalPrice = itemsPrice + shippingPrice + taxPrice - (discount || 0);
-
-      // Commission & seller earnings (global 7%)
-      const rate = 0.07;
-      const commission = Number((itemsPrice * rate).toFixed(2));
-      const sellerEarnings = Number((itemsPrice - commission).toFixed(2));
-
-      // Save order with payment details
-      const order = new Order({
-        user: userId,
-        seller: sellerId,
-        orderItems,
-        shippingAddress: {
-          type: shippingAddress.type || 'home',
-          street: shippingAddress.street,
-          city: shippingAddress.city,
-          state: shippingAddress.state,
-          zipCode: shippingAddress.zipCode,
-          country: shippingAddress.country,
-          phone: shippingAddress.phone || '',
-        },
-        paymentMethod: paymentMethod || 'razorpay',
-        paymentResult: {
-          id: razorpay_payment_id,
-          status: 'captured',
-          update_time: new Date().toISOString(),
-          email_address: req.user.email,
-        },
-        itemsPrice,
-        taxPrice,
-        shippingPrice,
-        totalPrice,
-        commission,
-        sellerEarnings,
-        orderStatus: 'confirmed',
-        paymentStatus: 'paid',
-        sellerCredited: false,
-        shippingStatus: 'pending',
-        coupon: coupon || undefined,
-        discount: discount || 0,
+    // Do NOT credit seller immediately; credit on delivery webhook to align with policy
+    const { orders, created } = await fulfilCheckoutSession({
+      session,
+      payment: {
         razorpayOrderId: razorpay_order_id,
         razorpayPaymentId: razorpay_payment_id,
         razorpaySignature: razorpay_signature,
-      });
-      
-      await order.save();
-      createdOrders.push(order);
-
-      // Do NOT credit seller immediately; credit on delivery webhook to align with policy
-    }
-
-    // After all orders created successfully, mark coupon as used
-    if (coupon) {
-        try {
-        const normalized = String(coupon).trim().toUpperCase();
-        const c = await Coupon.findOneAndUpdate(
-          { code: normalized, isActive: true },
-          { $addToSet: { usedBy: userId } },
-          { new: true }
-        );
-        if (c && c.usageLimit && c.usedBy && c.usedBy.length >= c.usageLimit) {
-          c.isActive = false;
-          await c.save();
-        }
-        } catch (e) {
-        // ignore coupon update errors
+        // Razorpay amounts are in paise
+        amount: Number(paymentDetails.amount) / 100
       }
-    }
+    });
 
-    // Clear user's cart after successful order creation with payment
-    try {
-      await User.findByIdAndUpdate(userId, { $set: { cart: [] } });
-    } catch (e) {}
-    res.status(201).json({ 
+    res.status(created ? 201 : 200).json({ 
       success: true,
       data: {
-        orders: createdOrders,
+        orders,
+        checkoutGroup: orders[0]?.checkoutGroup,
         paymentDetails
       },
-      message: 'Payment verified and orders created successfully'
+      message: created
+        ? 'Payment verified and orders created successfully'
+        : 'Orders already created for this payment'
     });
 
   } catch (error) {
     console.error('Order creation with payment error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
       message: 'Payment verification or order creation failed', 
       error: error.message,
+      type: error.type,
+      expectedTotal: error.expectedTotal,
+      details: error.details,
       route: req.originalUrl || req.url 
     });
   }
@@ -352,6 +174,178 @@ exports.getOrder = asyncHandler(async (req, res) => {
   res.json(order);
 });
 
+// Load a checkout group the requesting user may see (its customer, or an admin)
+const loadCheckoutGroup = async (req) => {
+  const CheckoutGroup = require('../models/CheckoutGroup');
+  const group = await CheckoutGroup.findById(req.params.id)
+    .populate('user', 'name email phone')
+    .populate({
+      path: 'orders',
+      populate: [{ path: 'seller', select: 'shopName address businessInfo' }]
+    });
+  if (!group) return { status: 404, message: 'Checkout not found' };
+  const ownerId = group.user?._id || group.user;
+  if (String(ownerId) !== String(req.user._id) && req.user.role !== 'admin') {
+    return { status: 403, message: 'Not authorized to view this checkout' };
+  }
+  return { group };
+};
+
+// Get a checkout group: one purchase with its per-seller orders, payment and coupon
+exports.getCheckoutGroup = asyncHandler(async (req, res) => {
+  const { group, status, message } = await loadCheckoutGroup(req);
+  if (!group) return res.status(status).json({ message, route: req.originalUrl || req.url });
+  res.json(group);
+});
+
+// Combined receipt for a checkout group (PDF with fallback to HTML).
+// Each seller's order keeps its own tax invoice (getOrderInvoice); this summarises the purchase.
+exports.getCheckoutGroupInvoice = asyncHandler(async (req, res) => {
+  const { group, status, message } = await loadCheckoutGroup(req);
+  if (!group) return res.status(status).json({ message, route: req.originalUrl || req.url });
+
+  const buyer = group.user || {};
+  const bAddr = group.shippingAddress || {};
+  const orders = group.orders || [];
+  const couponCode = group.coupon?.code || '';
+  const paymentStatus = orders.length && orders.every(o => o.paymentStatus === 'paid') ? 'paid' : (orders[0]?.paymentStatus || 'pending');
+  const summary = [
+    ['Items', group.itemsPrice || 0],
+    ['Shipping', group.shippingPrice || 0],
+    ['Tax', group.taxPrice || 0]
+  ];
+
+  try {
+    const PDFDocument = require('pdfkit');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=receipt-${group.groupNumber || group._id}.pdf`);
+    const doc = new PDFDocument({ margin: 40 });
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20).text('Order Receipt', { align: 'right' });
+    doc.moveDown(0.5);
+    doc.fontSize(10).text(`Receipt No: ${group.groupNumber || group._id}`);
+    doc.text(`Date: ${new Date(group.createdAt).toLocaleDateString()}`);
+    doc.moveDown(1);
+
+    doc.fontSize(12).text('Bill To:', { continued: true }).font('Helvetica-Bold').text(` ${buyer.name || buyer.email || ''}`);
+    doc.font('Helvetica').fontSize(10).text(`${bAddr.street || ''}`);
+    doc.text(`${bAddr.city || ''}, ${bAddr.state || ''} ${bAddr.zipCode || ''}`);
+    doc.text(`${bAddr.country || ''}`);
+    doc.moveDown(1);
+
+    // One block per seller order
+    for (const order of orders) {
+      doc.font('Helvetica-Bold').fontSize(11).text(`${order.seller?.shopName || 'Vendor'} — Order ${order.orderNumber || order._id}`);
+      doc.font('Helvetica').fontSize(10);
+      for (const it of order.orderItems || []) {
+        doc.text(`${it.name} x ${it.quantity} — ₹${((it.price || 0) * (it.quantity || 0)).toFixed(2)}`);
+      }
+      doc.fillColor('#6b7280')
+        .text(`Shipping ₹${(order.shippingPrice || 0).toFixed(2)} · Tax ₹${(order.taxPrice || 0).toFixed(2)}${order.discount ? ` · Discount -₹${order.discount.toFixed(2)}` : ''}`, { align: 'right' });
+      doc.fillColor('black').font('Helvetica-Bold').text(`Order total: ₹${(order.totalPrice || 0).toFixed(2)}`, { align: 'right' });
+      doc.font('Helvetica').moveDown(0.6);
+    }
+    doc.moveTo(40, doc.y).lineTo(550, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.4);
+
+    // Summary
+    for (const [label, amount] of summary) {
+      doc.text(`${label}: ₹${amount.toFixed(2)}`, { align: 'right' });
+    }
+    if (group.discount > 0) {
+      doc.text(`Discount${couponCode ? ` (${couponCode})` : ''}: -₹${group.discount.toFixed(2)}`, { align: 'right' });
+    }
+    doc.font('Helvetica-Bold').text(`Total: ₹${(group.totalPrice || 0).toFixed(2)}`, { align: 'right' });
+    doc.font('Helvetica').moveDown(1);
+    doc.text(`Payment: ${group.paymentMethod?.toUpperCase() || ''} — ${paymentStatus}${group.payment?.razorpayPaymentId ? ` (${group.payment.razorpayPaymentId})` : ''}`);
+    doc.moveDown(1);
+    doc.fontSize(10).fillColor('#666666').text('Each seller issues a separate tax invoice for their order. This is a computer generated receipt.');
+
+    doc.end();
+  } catch (e) {
+    // Fallback: HTML receipt
+    const orderBlocks = orders.map(order => `
+      <div style="margin-bottom:16px">
+        <div style="font-weight:600">${order.seller?.shopName || 'Vendor'} — Order ${order.orderNumber || order._id}</div>
+        <table style="width:100%;border-collapse:collapse;margin:6px 0">
+          ${(order.orderItems || []).map(it => `
+          <tr>
+            <td style="padding:4px 8px;border:1px solid #e5e7eb">${it.name}</td>
+            <td style="padding:4px 8px;border:1px solid #e5e7eb;text-align:right">${it.quantity}</td>
+            <td style="padding:4px 8px;border:1px solid #e5e7eb;text-align:right">₹${((it.price || 0) * (it.quantity || 0)).toFixed(2)}</td>
+          </tr>`).join('')}
+        </table>
+        <div style="font-size:12px;color:#6b7280;text-align:right">Shipping ₹${(order.shippingPrice || 0).toFixed(2)} · Tax ₹${(order.taxPrice || 0).toFixed(2)}${order.discount ? ` · Discount -₹${order.discount.toFixed(2)}` : ''}</div>
+        <div style="font-weight:600;text-align:right">Order total: ₹${(order.totalPrice || 0).toFixed(2)}</div>
+      </div>`).join('');
+    const summaryRowsHTML = summary
+      .map(([label, amount]) => `<div style="display:flex;justify-content:space-between"><span>${label}</span><span>₹${amount.toFixed(2)}</span></div>`)
+      .join('');
+    const discountRowHTML = group.discount > 0
+      ? `<div style="display:flex;justify-content:space-between"><span>Discount${couponCode ? ` (${couponCode})` : ''}</span><span>-₹${group.discount.toFixed(2)}</span></div>`
+      : '';
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(`
+      <!doctype html>
+      <html><head><meta charset="utf-8"/><title>Receipt ${group.groupNumber || group._id}</title>
+      <style>body{font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;padding:24px;color:#111827}</style>
+      </head><body>
+      <div style="font-size:24px;font-weight:700">Order Receipt</div>
+      <div style="font-size:12px;color:#6b7280">Receipt No: ${group.groupNumber || group._id}</div>
+      <div style="font-size:12px;color:#6b7280">Date: ${new Date(group.createdAt).toLocaleDateString()}</div>
+      <div style="margin:16px 0 24px">
+        <div style="font-weight:600">Bill To</div>
+        <div>${buyer.name || buyer.email || ''}</div>
+        <div style="font-size:12px;color:#6b7280">${bAddr.street || ''}</div>
+        <div style="font-size:12px;color:#6b7280">${bAddr.city || ''}, ${bAddr.state || ''} ${bAddr.zipCode || ''}</div>
+        <div style="font-size:12px;color:#6b7280">${bAddr.country || ''}</div>
+      </div>
+      ${orderBlocks}
+      <div style="margin-left:auto;max-width:320px">
+        ${summaryRowsHTML}
+        ${discountRowHTML}
+        <div style="display:flex;justify-content:space-between;font-weight:700"><span>Total</span><span>₹${(group.totalPrice || 0).toFixed(2)}</span></div>
+        <div style="margin-top:8px;font-size:12px;color:#6b7280">Payment: ${group.paymentMethod?.toUpperCase() || ''} — ${paymentStatus}</div>
+      </div>
+      <p style="font-size:12px;color:#6b7280;margin-top:24px">Each seller issues a separate tax invoice for their order.</p>
+      <script>window.onload = () => { window.print && window.print(); };</script>
+      </body></html>
+    `);
+  }
+});
+
+// Per-line GST figures for the invoice; orders placed before GST was computed show no tax
+const invoiceTaxLines = (order) => (order.orderItems || []).map((it) => {
+  const gross = (it.price || 0) * (it.quantity || 0);
+  const taxableValue = typeof it.taxableValue === 'number' ? it.taxableValue : gross;
+  const tax = (it.cgst || 0) + (it.sgst || 0) + (it.igst || 0);
+  return {
+    name: it.name || '',
+    hsnCode: it.hsnCode || '',
+    quantity: it.quantity || 0,
+    price: it.price || 0,
+    gross,
+    taxableValue,
+    gstRate: it.gstRate || 0,
+    tax,
+    total: taxableValue + tax
+  };
+});
+
+// Tax summary rows: CGST + SGST for intra-state supplies, IGST otherwise
+const invoiceTaxSummary = (order) => {
+  const b = order.taxBreakdown || {};
+  if (b.supplyType === 'intra_state') {
+    return [['CGST', b.cgst || 0], ['SGST', b.sgst || 0]];
+  }
+  if (b.supplyType === 'inter_state') {
+    return [['IGST', b.igst || 0]];
+  }
+  return [['Tax', order.taxPrice || 0]];
+};
+
 // Generate invoice (PDF with fallback to HTML)
 // Access: buyer, seller of the order, or admin
 exports.getOrderInvoice = asyncHandler(async (req, res) => {
@@ -396,7 +390,7 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
     doc.pipe(res);
 
     // Header
-    doc.fontSize(20).text('Invoice', { align: 'right' });
+    doc.fontSize(20).text('Tax Invoice', { align: 'right' });
     doc.moveDown(0.5);
     doc.fontSize(10).text(`Invoice No: ${order.orderNumber || order._id}`);
     doc.text(`Date: ${new Date(order.createdAt).toLocaleDateString()}`);
@@ -411,11 +405,14 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
     doc.font('Helvetica').fontSize(10).text(`${sAddr.street || ''}`);
     doc.text(`${sAddr.city || ''}, ${sAddr.state || ''} ${sAddr.zipCode || ''}`);
     doc.text(`${sAddr.country || ''}`);
+    const sellerGstin = order.sellerGstin || seller.businessInfo?.taxId || '';
+    if (sellerGstin) doc.text(`GSTIN: ${sellerGstin}`);
     doc.moveDown(0.5);
     doc.font('Helvetica').fontSize(12).text('Bill To:', { continued: true }).font('Helvetica-Bold').text(` ${buyer.name || buyer.email || ''}`);
     doc.font('Helvetica').fontSize(10).text(`${bAddr.street || ''}`);
     doc.text(`${bAddr.city || ''}, ${bAddr.state || ''} ${bAddr.zipCode || ''}`);
     doc.text(`${bAddr.country || ''}`);
+    if (bAddr.state) doc.text(`Place of supply: ${bAddr.state}`);
     doc.moveDown(1);
 
     // Items table
@@ -425,23 +422,33 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
     const tableTop = doc.y;
     const col = (x) => 40 + x;
     doc.text('Item', col(0), tableTop);
-    doc.text('Qty', col(280), tableTop);
-    doc.text('Price', col(330), tableTop);
-    doc.text('Total', col(400), tableTop);
+    doc.text('HSN', col(170), tableTop);
+    doc.text('Qty', col(220), tableTop);
+    doc.text('Price', col(250), tableTop);
+    doc.text('Taxable', col(305), tableTop);
+    doc.text('GST %', col(365), tableTop);
+    doc.text('Tax', col(405), tableTop);
+    doc.text('Total', col(455), tableTop);
     doc.moveDown(0.4);
     doc.moveTo(40, doc.y).lineTo(550, doc.y).strokeColor('#cccccc').stroke();
     doc.moveDown(0.2);
     let subtotal = 0;
-    for (const it of order.orderItems || []) {
+    for (const line of invoiceTaxLines(order)) {
       const lineTop = doc.y;
-      const lineTotal = (it.price || 0) * (it.quantity || 0);
-      subtotal += lineTotal;
-      doc.text(it.name || '', col(0), lineTop, { width: 260 });
-      doc.text(String(it.quantity || 0), col(280), lineTop);
-      doc.text(`${(it.price || 0).toFixed(2)}`, col(330), lineTop);
-      doc.text(`${lineTotal.toFixed(2)}`, col(400), lineTop);
+      subtotal += line.gross;
+      doc.text(line.name, col(0), lineTop, { width: 165 });
+      const nameBottom = doc.y;
+      doc.text(line.hsnCode, col(170), lineTop);
+      doc.text(String(line.quantity), col(220), lineTop);
+      doc.text(`${line.price.toFixed(2)}`, col(250), lineTop);
+      doc.text(`${line.taxableValue.toFixed(2)}`, col(305), lineTop);
+      doc.text(`${line.gstRate}`, col(365), lineTop);
+      doc.text(`${line.tax.toFixed(2)}`, col(405), lineTop);
+      doc.text(`${line.total.toFixed(2)}`, col(455), lineTop);
+      doc.y = Math.max(doc.y, nameBottom);
       doc.moveDown(0.2);
     }
+    doc.x = 40;
     doc.moveDown(0.4);
     doc.moveTo(40, doc.y).lineTo(550, doc.y).strokeColor('#cccccc').stroke();
     doc.moveDown(0.4);
@@ -458,7 +465,9 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
     const effectiveDiscount = storedDiscount > 0 ? storedDiscount : Math.max(0, computedGross - (Number(totalPrice) || computedGross));
     doc.text(`Items: ₹${itemsPrice.toFixed(2)}`, { align: 'right' });
     doc.text(`Shipping: ₹${shippingPrice.toFixed(2)}`, { align: 'right' });
-    doc.text(`Tax: ₹${taxPrice.toFixed(2)}`, { align: 'right' });
+    for (const [label, amount] of invoiceTaxSummary(order)) {
+      doc.text(`${label}: ₹${amount.toFixed(2)}`, { align: 'right' });
+    }
     if (effectiveDiscount > 0) {
       const labelParts = [];
       if (couponCode) labelParts.push(couponCode);
@@ -482,13 +491,21 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
     const buyer = order.user || {};
     const sAddr = seller.address || {};
     const bAddr = order.shippingAddress || {};
-    const rows = (order.orderItems || []).map(it => `
+    const sellerGstin = order.sellerGstin || seller.businessInfo?.taxId || '';
+    const rows = invoiceTaxLines(order).map(line => `
       <tr>
-        <td style="padding:6px 8px;border:1px solid #e5e7eb">${it.name || ''}</td>
-        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">${it.quantity || 0}</td>
-        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">₹${(it.price || 0).toFixed(2)}</td>
-        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">₹${(((it.price || 0) * (it.quantity || 0))).toFixed(2)}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb">${line.name}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb">${line.hsnCode}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">${line.quantity}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">₹${line.price.toFixed(2)}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">₹${line.taxableValue.toFixed(2)}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">${line.gstRate}%</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">₹${line.tax.toFixed(2)}</td>
+        <td style="padding:6px 8px;border:1px solid #e5e7eb;text-align:right">₹${line.total.toFixed(2)}</td>
       </tr>`).join('');
+    const taxRowsHTML = invoiceTaxSummary(order)
+      .map(([label, amount]) => `<div style="display:flex;justify-content:space-between"><span>${label}</span><span>₹${amount.toFixed(2)}</span></div>`)
+      .join('');
     const itemsPrice = order.itemsPrice || 0;
     const shippingPrice = order.shippingPrice || 0;
     const taxPrice = order.taxPrice || 0;
@@ -531,7 +548,7 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
       </head><body>
       <div style="display:flex;justify-content:space-between;align-items:flex-start">
         <div>
-          <div style="font-size:24px;font-weight:700">Invoice</div>
+          <div style="font-size:24px;font-weight:700">Tax Invoice</div>
           <div style="font-size:12px;color:#6b7280">Invoice No: ${order.orderNumber || order._id}</div>
           <div style="font-size:12px;color:#6b7280">Date: ${new Date(order.createdAt).toLocaleDateString()}</div>
         </div>
@@ -543,6 +560,7 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
           <div style="font-size:12px;color:#6b7280">${sAddr.street || ''}</div>
           <div style="font-size:12px;color:#6b7280">${sAddr.city || ''}, ${sAddr.state || ''} ${sAddr.zipCode || ''}</div>
           <div style="font-size:12px;color:#6b7280">${sAddr.country || ''}</div>
+          ${sellerGstin ? `<div style="font-size:12px;color:#6b7280">GSTIN: ${sellerGstin}</div>` : ''}
         </div>
         <div>
           <div style="font-weight:600">Bill To</div>
@@ -550,14 +568,19 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
           <div style="font-size:12px;color:#6b7280">${bAddr.street || ''}</div>
           <div style="font-size:12px;color:#6b7280">${bAddr.city || ''}, ${bAddr.state || ''} ${bAddr.zipCode || ''}</div>
           <div style="font-size:12px;color:#6b7280">${bAddr.country || ''}</div>
+          ${bAddr.state ? `<div style="font-size:12px;color:#6b7280">Place of supply: ${bAddr.state}</div>` : ''}
         </div>
       </div>
       <table style="width:100%;border-collapse:collapse;margin-bottom:16px">
         <thead>
           <tr>
             <th style="text-align:left;padding:6px 8px;border:1px solid #e5e7eb">Item</th>
+            <th style="text-align:left;padding:6px 8px;border:1px solid #e5e7eb">HSN</th>
             <th style="text-align:right;padding:6px 8px;border:1px solid #e5e7eb">Qty</th>
             <th style="text-align:right;padding:6px 8px;border:1px solid #e5e7eb">Price</th>
+            <th style="text-align:right;padding:6px 8px;border:1px solid #e5e7eb">Taxable</th>
+            <th style="text-align:right;padding:6px 8px;border:1px solid #e5e7eb">GST</th>
+            <th style="text-align:right;padding:6px 8px;border:1px solid #e5e7eb">Tax</th>
             <th style="text-align:right;padding:6px 8px;border:1px solid #e5e7eb">Total</th>
           </tr>
         </thead>
@@ -566,7 +589,7 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
       <div style="margin-left:auto;max-width:320px">
         <div style="display:flex;justify-content:space-between"><span>Items</span><span>₹${itemsPrice.toFixed(2)}</span></div>
         <div style="display:flex;justify-content:space-between"><span>Shipping</span><span>₹${shippingPrice.toFixed(2)}</span></div>
-        <div style="display:flex;justify-content:space-between"><span>Tax</span><span>₹${taxPrice.toFixed(2)}</span></div>
+        ${taxRowsHTML}
         ${discountRowHTML}
         <div style="display:flex;justify-content:space-between;font-weight:700"><span>Total</span><span>₹${totalPrice.toFixed(2)}</span></div>
         <div style="margin-top:8px;font-size:12px;color:#6b7280">Payment: ${order.paymentMethod?.toUpperCase() || ''} — ${order.paymentStatus || 'pending'}</div>
@@ -582,22 +605,49 @@ exports.getOrderInvoice = asyncHandler(async (req, res) => {
 // Update order status (for seller)
 exports.updateOrderStatus = asyncHandler(async (req, res) => {
   const { status } = req.body;
+  // Cancelling and refunding restock, reverse commission and refund payment; a bare status change would skip all of it
+  if (status === 'cancelled' || status === 'refunded') {
+    return res.status(400).json({
+      message: status === 'cancelled'
+        ? 'Use PUT /api/orders/:id/cancel to cancel an order'
+        : 'Use PUT /api/admin/orders/:id/refund to refund an order'
+    });
+  }
   const order = await Order.findById(req.params.id);
   if (!order) return res.status(404).json({ message: 'Order not found', route: req.originalUrl || req.url });
+  if (req.user.role !== 'admin' && !(await isOrderSeller(order, req.user))) {
+    return res.status(403).json({ message: 'Not authorized to update this order', route: req.originalUrl || req.url });
+  }
   // Do not allow updates on cancelled/refunded orders
-  if (order.orderStatus === 'cancelled' || order.refundStatus === 'pending' || order.paymentStatus === 'refunded') {
+  if (order.orderStatus === 'cancelled' || order.paymentStatus === 'refunded') {
     return res.status(400).json({ message: 'Order is cancelled/refunded and cannot be updated' });
   }
-  order.orderStatus = status;
+  // Rejects transitions the lifecycle does not allow with a 409
+  transitionOrder(order, { orderStatus: status }, {
+    changedBy: req.user._id,
+    source: sourceForUser(req.user),
+    note: req.body.note
+  });
   // If COD and delivered now, mark paid and credit seller wallet
   if (order.paymentMethod === 'cod' && status === 'delivered' && order.paymentStatus !== 'paid') {
     order.paymentStatus = 'paid';
-    // Ensure commission/sellerEarnings exist
-    if (typeof order.commission !== 'number' || typeof order.sellerEarnings !== 'number') {
-      const itemsPrice = order.itemsPrice || (order.orderItems || []).reduce((s, i) => s + (i.price || 0) * (i.quantity || 0), 0);
-      const rate = 0.07;
-      order.commission = Number((itemsPrice * rate).toFixed(2));
-      order.sellerEarnings = Number((itemsPrice - order.commission).toFixed(2));
+    // Ensure commission/sellerEarnings exist (orders placed before commission snapshots)
+    if (!order.commissionSnapshot?.calculatedAt && !(order.sellerEarnings > 0)) {
+      const products = await Product.find({ _id: { $in: order.orderItems.map(i => i.product) } }).select('category subCategory');
+      const productsById = new Map(products.map(p => [String(p._id), p]));
+      const { commission, sellerEarnings, snapshot } = await calculateOrderCommission({
+        sellerId: order.seller,
+        lines: order.orderItems.map(i => ({
+          product: i.product,
+          category: productsById.get(String(i.product))?.category,
+          subCategory: productsById.get(String(i.product))?.subCategory,
+          amount: (i.price || 0) * (i.quantity || 0)
+        })),
+        at: order.createdAt
+      });
+      order.commission = commission;
+      order.sellerEarnings = sellerEarnings;
+      order.commissionSnapshot = snapshot;
     }
     const Seller = require('../models/Seller');
     const sellerDocForUser = await Seller.findById(order.seller).select('userId');
@@ -606,6 +656,7 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
         sellerDocForUser.userId,
         { $inc: { walletBalance: order.sellerEarnings } }
       );
+      order.sellerCredited = true;
     }
   }
   await order.save();
@@ -613,15 +664,32 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
 });
 
 // Cancel order
+// With `items` ([{ itemId, quantity }]) only those units are cancelled, otherwise every remaining
+// unit; see services/refundService
 exports.cancelOrder = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id).populate('user', 'name email phone').populate('seller');
   if (!order) return res.status(404).json({ message: 'Order not found', route: req.originalUrl || req.url });
-  
+  if (!(await canManageOrder(order, req.user))) {
+    return res.status(403).json({ message: 'Not authorized to cancel this order', route: req.originalUrl || req.url });
+  }
+
+  const partial = Array.isArray(req.body.items) && req.body.items.length > 0;
   const previousStatus = order.orderStatus;
-  order.orderStatus = 'cancelled';
-  order.cancelledAt = new Date();
-  order.cancellationReason = req.body.reason || '';
-  order.cancelledBy = req.user._id;
+  const refund = await runAtomic(async (ctx) => {
+    const entry = await cancelOrderItems({
+      order,
+      items: partial ? req.body.items : undefined,
+      reason: req.body.reason,
+      userId: req.user._id,
+      source: sourceForUser(req.user),
+      ctx
+    });
+    await order.save({ session: ctx.session });
+    return entry;
+  });
+  if (partial) {
+    return res.json({ order, refund });
+  }
 
   // Handle RTO (Return to Origin) if shipment exists
   if (order.shipment?.shipmentId && order.shipment.status !== 'cancelled' && order.shipment.status !== 'returned') {
@@ -776,9 +844,14 @@ exports.adminApproveCancellation = asyncHandler(async (req, res) => {
 
   order.cancellationApprovedAt = new Date();
   order.cancellationApprovedBy = req.user._id;
-  order.orderStatus = 'cancelled';
-  // For online orders, mark refund pending to show refund button in admin
-  if (order.paymentMethod !== 'cod') {
+  if (order.orderStatus !== 'cancelled') {
+    // Cancels the remaining items and, for paid online orders, requests their refund
+    // (refundStatus 'pending' shows the refund button in admin)
+    await runAtomic(async (ctx) => {
+      await cancelOrderItems({ order, reason: order.cancellationRequestReason, userId: req.user._id, source: 'admin', ctx });
+      await order.save({ session: ctx.session });
+    });
+  } else if (order.paymentMethod !== 'cod') {
     order.refundStatus = 'pending';
   }
 
@@ -870,38 +943,55 @@ MV Store Admin Team`;
   res.json({ message: 'Cancellation request rejected', order });
 });
 
-// Admin: refund now for approved cancellations (online payments)
+// Admin: send requested refunds to Razorpay (online payments)
+// Body { amount, reason } refunds part of the order without cancelling items
 exports.adminRefundOrder = asyncHandler(async (req, res) => {
   const OrderModel = require('../models/Order');
-  const Seller = require('../models/Seller');
   const User = require('../models/User');
-  const { refundPayment } = require('../utils/razorpay');
   const sendEmail = require('../utils/sendEmail');
 
   const order = await OrderModel.findById(req.params.id);
   if (!order) return res.status(404).json({ message: 'Order not found' });
   if (order.paymentMethod === 'cod') return res.status(400).json({ message: 'COD orders do not require online refund' });
-  if (order.paymentStatus !== 'paid' || order.refundStatus !== 'pending') {
+  if (order.paymentStatus !== 'paid') {
     return res.status(400).json({ message: 'Refund not applicable' });
   }
 
-  const paymentId = order.razorpayPaymentId || order.paymentResult?.id;
-  if (!paymentId) return res.status(400).json({ message: 'No payment id to refund' });
-
-  const refundAmount = order.itemsPrice || order.totalPrice || 0;
-  await refundPayment(paymentId, refundAmount);
-  order.paymentStatus = 'refunded';
-  order.refundStatus = 'refunded';
-
-  // Reverse seller wallet if previously credited
-  if (order.sellerEarnings) {
-    const sellerDocForUser = await Seller.findById(order.seller).select('userId');
-    if (sellerDocForUser?.userId) {
-      await User.findByIdAndUpdate(sellerDocForUser.userId, { $inc: { walletBalance: -Math.abs(order.sellerEarnings) } });
+  const hasRequested = order.refunds.some(r => r.method === 'razorpay' && r.status === 'requested');
+  if (req.body.amount !== undefined) {
+    await requestPartialRefund({ order, amount: req.body.amount, reason: req.body.reason, userId: req.user._id });
+  } else if (!hasRequested) {
+    if (order.refundStatus !== 'pending') {
+      return res.status(400).json({ message: 'Refund not applicable' });
     }
+    // Cancellation approved before refunds were itemised: refund whatever is left
+    await requestPartialRefund({
+      order,
+      amount: getRefundableAmount(order),
+      reason: order.cancellationReason || order.cancellationRequestReason,
+      userId: req.user._id
+    });
   }
 
+  // processRequestedRefunds claims entries in the database, so new ones must be saved first
+  await order.save();
+  const requested = order.refunds.filter(r => r.method === 'razorpay' && r.status === 'requested');
+  const sent = await processRequestedRefunds(order);
   await order.save();
+
+  const failed = order.refunds.filter(r => r.status === 'failed' && !sent.includes(r));
+  if (sent.length === 0 && !requested.some(r => r.status === 'failed')) {
+    return res.status(409).json({ message: 'Refund is already being processed', order });
+  }
+  if (sent.length === 0) {
+    return res.status(502).json({
+      message: 'Refund failed',
+      error: failed.length ? failed[failed.length - 1].failureReason : undefined,
+      order
+    });
+  }
+
+  const refundAmount = Number(sent.reduce((sum, r) => sum + r.amount, 0).toFixed(2));
   // Notify customer via email (best-effort)
   try {
     const user = await User.findById(order.user);
@@ -916,5 +1006,5 @@ exports.adminRefundOrder = asyncHandler(async (req, res) => {
     // ignore email errors
   }
 
-  res.json({ message: 'Refund processed', refundedAmount: refundAmount, order });
+  res.json({ message: 'Refund processed', refundedAmount: refundAmount, refunds: sent, order });
 });
\ No newline at end of file
@@ -1,11 +1,15 @@
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { 
-  createRazorpayOrder, 
   verifyPayment, 
+  verifyWebhookSignature,
   getPaymentDetails 
 } = require('../utils/razorpay');
+const { createCheckoutSession } = require('../services/checkoutSessionService');
+const { handleWebhookEvent } = require('../services/razorpayWebhookService');
 
 // Create Razorpay Payment Order
+// The amount is computed server-side from the cart and snapshotted in a CheckoutSession;
+// a client-sent `amount` is only compared against it
 exports.createPaymentOrder = asyncHandler(async (req, res) => {
   if (!req.user || !req.user._id) {
     return res.status(401).json({ 
@@ -15,49 +19,62 @@ exports.createPaymentOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  const { amount, currency = 'INR', items } = req.body;
-  const userId = req.user._id;
+  const { amount, currency = 'INR', items, shippingAddress, paymentMethod, coupon } = req.body;
 
   // Validation
-  if (!amount || amount <= 0) {
+  if (!items || !Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ 
       success: false,
-      message: 'Invalid amount', 
+      message: 'Items are required', 
       route: req.originalUrl || req.url 
     });
   }
 
-  if (!items || !Array.isArray(items) || items.length === 0) {
+  if (!shippingAddress) {
     return res.status(400).json({ 
       success: false,
-      message: 'Items are required', 
+      message: 'Shipping address is required', 
       route: req.originalUrl || req.url 
     });
   }
 
   try {
-    // Create receipt ID (max 40 characters for Razorpay)
-    const timestamp = Date.now().toString().slice(-8); // Last 8 digits
-    const userIdShort = userId.toString().slice(-8); // Last 8 characters
-    const receipt = `rcpt_${userIdShort}_${timestamp}`;
-    
-    // Create Razorpay order
-    const razorpayOrder = await createRazorpayOrder(amount, currency, receipt);
+    const { session, razorpayOrder } = await createCheckoutSession({
+      user: req.user,
+      items,
+      shippingAddress,
+      paymentMethod,
+      coupon,
+      total: amount,
+      currency
+    });
     
     res.status(200).json({
       success: true,
       data: {
         order: razorpayOrder,
-        key: process.env.RAZORPAY_KEY_ID
+        key: process.env.RAZORPAY_KEY_ID,
+        checkoutSession: {
+          id: session._id,
+          amount: session.amount,
+          itemsPrice: session.itemsPrice,
+          shippingPrice: session.shippingPrice,
+          taxPrice: session.taxPrice,
+          discount: session.discount,
+          expiresAt: session.expiresAt
+        }
       },
       message: 'Razorpay order created successfully'
     });
   } catch (error) {
     console.error('Payment order creation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      message: 'Failed to create payment order', 
+      message: error.statusCode ? error.message : 'Failed to create payment order', 
       error: error.message,
+      type: error.type,
+      expectedTotal: error.expectedTotal,
+      details: error.details,
       route: req.originalUrl || req.url 
     });
   }
@@ -179,3 +196,41 @@ exports.getPaymentStatus = asyncHandler(async (req, res) => {
     });
   }
 });
+
+// Razorpay Webhook
+// Mounted in server.js with express.raw so the signature is checked against the exact bytes sent
+exports.razorpayWebhook = asyncHandler(async (req, res) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    console.error('Razorpay webhook received but RAZORPAY_WEBHOOK_SECRET is not set');
+    return res.status(503).json({
+      success: false,
+      message: 'Webhook not configured',
+      route: req.originalUrl || req.url
+    });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body || {}));
+  if (!verifyWebhookSignature(rawBody, req.headers['x-razorpay-signature'])) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature',
+      route: req.originalUrl || req.url
+    });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook payload',
+      route: req.originalUrl || req.url
+    });
+  }
+
+  // Errors propagate to the error handler as a 5xx so Razorpay retries the delivery
+  const result = await handleWebhookEvent(body);
+  console.log(`Razorpay webhook ${body.event}: ${result}`);
+  res.status(200).json({ success: true, event: body.event, result });
+});
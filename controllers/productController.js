@@ -1,11 +1,26 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const EventBanner = require('../models/EventBanner');
-
-// Get all products
+const renderEmailLayout = require('../utils/emailLayout');
+const {
+  snapshotProductAlerts,
+  triggerProductAlertsSafely,
+  subscribe,
+  unsubscribe
+} = require('../services/productAlertService');
+const { listProducts } = require('../services/productListingService');
+const searchService = require('../services/searchService');
+const SearchSynonym = require('../models/SearchSynonym');
+const recommendationService = require('../services/recommendationService');
+const { recordProductView, getTrendingProducts } = require('../services/productViewService');
+
+// Get approved, active products with filters, sorting, pagination and facet counts
+// @route GET /api/products?page=&limit=&cursor=&sort=newest|price_asc|price_desc|popularity|rating
+//   &category=&brand=&seller=&minPrice=&maxPrice=&minRating=&inStock=true&minDiscount=&spec[Color]=Red,Blue
 exports.getProducts = asyncHandler(async (req, res) => {
-  const products = await Product.find();
-  res.json(products);
+  const result = await listProducts(req.query);
+  res.json(result);
 });
 
 // Get product by ID
@@ -25,9 +40,48 @@ exports.getProduct = asyncHandler(async (req, res) => {
   productData.availableVariants = product.getAvailableVariants();
   // Ensure soldCount is present
   productData.soldCount = product.soldCount;
+  // View count and viewing history; not awaited so the page never waits on it
+  recordProductView({
+    product: product._id,
+    seller: product.seller ? product.seller._id : undefined,
+    user: req.user ? req.user._id : undefined,
+    sessionId: req.get('X-Session-Id')
+  });
   res.json(productData);
 });
 
+// Most viewed products of the last days, recent views weighing more
+// @route GET /api/products/trending?limit=&category=
+exports.getTrendingProducts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+  const { category } = req.query;
+  if (category && !mongoose.Types.ObjectId.isValid(category)) {
+    return res.status(400).json({ message: 'Invalid category', route: req.originalUrl || req.url });
+  }
+  const products = await getTrendingProducts({ limit, category });
+  res.json(products);
+});
+
+// "Customers who bought this also bought"
+// @route GET /api/products/:id/bought-together?limit=
+exports.getBoughtTogetherProducts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 20);
+  const products = await recommendationService.getBoughtTogether(req.params.id, limit);
+  res.json(products);
+});
+
+// Products similar to this one (category, brand, tags)
+// @route GET /api/products/:id/similar?limit=
+exports.getSimilarProducts = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('category subCategory brand tags');
+  if (!product) {
+    return res.status(404).json({ message: 'Product not found', route: req.originalUrl || req.url });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 20);
+  const products = await recommendationService.getSimilarProducts(product, limit);
+  res.json(products);
+});
+
 // Get product variant by combination
 exports.getProductVariant = asyncHandler(async (req, res) => {
   const { productId } = req.params;
@@ -58,23 +112,68 @@ exports.getFeaturedProducts = async (req, res) => {
   }
 };
 
-// Placeholder: Search products
+// Relevance-ranked search with typo tolerance; every search is logged
+// @route GET /api/products/search?query=&page=&limit=
 exports.searchProducts = asyncHandler(async (req, res) => {
-  const { query } = req.query;
-  if (!query || query.trim().length === 0) {
-    return res.json([]);
+  const result = await searchService.searchProducts({
+    query: req.query.query || req.query.q,
+    page: req.query.page,
+    limit: req.query.limit,
+    user: req.user ? req.user._id : undefined,
+    sessionId: req.get('X-Session-Id')
+  });
+  res.json(result);
+});
+
+// Record that a shopper opened a product from search results (for search analytics)
+// @route POST /api/products/search/:searchId/click
+exports.recordSearchClick = asyncHandler(async (req, res) => {
+  const recorded = await searchService.recordSearchClick({
+    searchId: req.params.searchId,
+    productId: req.body.productId,
+    user: req.user ? req.user._id : undefined,
+    sessionId: req.get('X-Session-Id')
+  });
+  if (!recorded) {
+    return res.status(404).json({ message: 'Search not found', route: req.originalUrl || req.url });
   }
-  // Case-insensitive search in name or description
-  const products = await Product.find({
-    $or: [
-      { name: { $regex: query, $options: 'i' } },
-      { description: { $regex: query, $options: 'i' } }
-    ]
-  })
-    .sort({ numReviews: -1 })
-    .limit(8)
-    .select('_id name price images numReviews');
-  res.json(products);
+  res.json({ message: 'Click recorded' });
+});
+
+// Query suggestions while typing
+// @route GET /api/products/autocomplete?q=
+exports.autocompleteProducts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 8, 20);
+  const suggestions = await searchService.autocomplete(req.query.q || req.query.query, { limit });
+  res.json(suggestions);
+});
+
+// Admin: list search synonym groups
+exports.getSearchSynonyms = asyncHandler(async (req, res) => {
+  const synonyms = await SearchSynonym.find().sort({ createdAt: -1 });
+  res.json(synonyms);
+});
+
+// Admin: add a synonym group, e.g. { terms: ["tv", "television"] }
+exports.createSearchSynonym = asyncHandler(async (req, res) => {
+  const synonym = await SearchSynonym.create({ terms: req.body.terms, createdBy: req.user._id });
+  res.status(201).json(synonym);
+});
+
+// Admin: replace the terms of a synonym group
+exports.updateSearchSynonym = asyncHandler(async (req, res) => {
+  const synonym = await SearchSynonym.findById(req.params.id);
+  if (!synonym) return res.status(404).json({ message: 'Synonym group not found', route: req.originalUrl || req.url });
+  synonym.terms = req.body.terms;
+  await synonym.save();
+  res.json(synonym);
+});
+
+// Admin: delete a synonym group
+exports.deleteSearchSynonym = asyncHandler(async (req, res) => {
+  const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+  if (!synonym) return res.status(404).json({ message: 'Synonym group not found', route: req.originalUrl || req.url });
+  res.json({ message: 'Synonym group deleted' });
 });
 
 // Get products by category
@@ -375,12 +474,53 @@ exports.updateVariantOption = asyncHandler(async (req, res) => {
   }
 
   // Update the option
+  const alertSnapshot = snapshotProductAlerts(product);
   Object.assign(option, updates);
   await product.save();
+  await triggerProductAlertsSafely(alertSnapshot, product);
 
   res.json({ message: 'Variant option updated successfully', option });
 });
 
+// Subscribe to a back-in-stock or price-drop alert for a product or variant option
+// Logged-in users are notified at their account email; guests send an email
+exports.subscribeToProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return res.status(404).json({ message: 'Product not found', route: req.originalUrl || req.url });
+  }
+  const { type, selectedVariants, email } = req.body;
+  const subscription = await subscribe({
+    product,
+    type,
+    selectedVariants,
+    email: req.user ? req.user.email : email,
+    user: req.user ? req.user._id : undefined
+  });
+  res.status(201).json({
+    subscription: {
+      _id: subscription._id,
+      product: subscription.product,
+      selectedVariants: subscription.selectedVariants,
+      type: subscription.type,
+      email: subscription.email,
+      referencePrice: subscription.referencePrice,
+      status: subscription.status
+    },
+    message: 'We will email you when this product is available'
+  });
+});
+
+// Unsubscribe link from alert emails; answers with a page since it is opened from the email
+exports.unsubscribeFromProductAlert = asyncHandler(async (req, res) => {
+  const subscription = await unsubscribe(req.params.token);
+  const title = subscription ? 'You have been unsubscribed' : 'Link not found';
+  const contentHtml = subscription
+    ? '<p>You will not receive further emails about this product.</p>'
+    : '<p>This unsubscribe link is invalid or has already been removed.</p>';
+  res.status(subscription ? 200 : 404).type('html').send(renderEmailLayout({ subject: title, title, contentHtml }));
+});
+
 // Delete variant option (Seller only)
 exports.deleteVariantOption = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
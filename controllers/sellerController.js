@@ -3,6 +3,11 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const cloudinary = require('../utils/cloudinary');
 const Category = require('../models/Category');
+const { sellerEarningsExpr } = require('../services/commissionService');
+const { snapshotProductAlerts, triggerProductAlertsSafely } = require('../services/productAlertService');
+const { getSellerInventory, bulkUpdateInventory } = require('../services/inventoryService');
+const { startProductImport, exportSellerProducts } = require('../services/productImportService');
+const { getSellerViewReport } = require('../services/productViewService');
 const mongoose = require('mongoose');
 
 // Register a new seller (vendor request)
@@ -305,7 +310,7 @@ exports.createProduct = async (req, res) => {
 
     // Parse and convert fields
     const {
-      name, description, shortDescription, price, comparePrice, subCategory, brand, sku, stock, lowStockThreshold, weight, weightUnit, dimensions, variants, tags, shippingInfo, seo
+      name, description, shortDescription, price, comparePrice, subCategory, brand, sku, stock, lowStockThreshold, weight, weightUnit, dimensions, variants, tags, shippingInfo, seo, hsnCode, gstRate
     } = req.body;
 
     // Convert numeric fields
@@ -397,6 +402,8 @@ exports.createProduct = async (req, res) => {
         shippingCost: shippingCharge
       },
       seo,
+      hsnCode: hsnCode || undefined,
+      gstRate: (gstRate !== undefined && gstRate !== '') ? Number(gstRate) : undefined,
       isActive: true,
       isApproved: false // Admin approval required
     });
@@ -421,6 +428,8 @@ exports.updateProduct = async (req, res) => {
     if (!seller) return res.status(404).json({ message: 'Seller not found' });
     const product = await Product.findOne({ _id: req.params.id, seller: seller._id });
     if (!product) return res.status(404).json({ message: 'Product not found' });
+    // Stock and prices before the update, to trigger back-in-stock / price-drop alerts
+    const alertSnapshot = snapshotProductAlerts(product);
 
     let imageUrl = product.images && product.images[0] ? product.images[0].url : '';
     if (req.file) {
@@ -441,7 +450,7 @@ exports.updateProduct = async (req, res) => {
 
     // Parse fields from req.body
     const {
-      name, description, shortDescription, price, comparePrice, category, subCategory, brand, sku, stock, lowStockThreshold, weight, weightUnit, dimensions, variants, tags, shippingInfo, seo, features, specifications
+      name, description, shortDescription, price, comparePrice, category, subCategory, brand, sku, stock, lowStockThreshold, weight, weightUnit, dimensions, variants, tags, shippingInfo, seo, features, specifications, hsnCode, gstRate
     } = req.body;
 
     // Parse features and specifications
@@ -496,6 +505,8 @@ exports.updateProduct = async (req, res) => {
     if (specificationsArr && specifications !== undefined) product.specifications = specificationsArr;
     if (featuresArr && features !== undefined) product.features = featuresArr;
     if (tags !== undefined) product.tags = tags;
+    if (hsnCode !== undefined) product.hsnCode = hsnCode || undefined;
+    if (gstRate !== undefined) product.gstRate = gstRate === '' ? undefined : Number(gstRate);
     // Merge previous shippingInfo safely
     // Build a plain object to avoid carrying Mongoose doc internals and undefined fields
     const baseShippingSrc = (typeof shippingInfo === 'object' && shippingInfo !== null)
@@ -515,6 +526,7 @@ exports.updateProduct = async (req, res) => {
     product.seo = seo;
 
     await product.save();
+    await triggerProductAlertsSafely(alertSnapshot, product);
     res.json(product);
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -607,6 +619,134 @@ exports.getStats = async (req, res) => {
   }
 }; 
 
+// Inventory: items below their low-stock threshold, out-of-stock counts and stock value
+exports.getInventory = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    const inventory = await getSellerInventory(seller._id);
+    res.json(inventory);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Update stock and prices of many SKUs (product or variant SKUs) at once
+// @route PATCH /api/sellers/inventory/bulk
+exports.bulkUpdateInventory = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    const rows = Array.isArray(req.body) ? req.body : req.body.items;
+    const result = await bulkUpdateInventory(seller._id, rows);
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Bulk import products from a CSV/XLSX file; processed in the background
+// @route POST /api/sellers/products/import?dryRun=true
+exports.importProducts = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+    const dryRun = String(req.query.dryRun || req.body.dryRun || '').toLowerCase() === 'true';
+    const productImport = await startProductImport({ seller, userId: req.user._id, file: req.file, dryRun });
+    res.status(202).json({
+      message: dryRun ? 'Dry run queued; no products will be changed' : 'Import queued',
+      import: productImport
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, type: error.type });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Recent imports of the seller
+// @route GET /api/sellers/products/imports
+exports.getProductImports = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    const ProductImport = require('../models/ProductImport');
+    const imports = await ProductImport.find({ seller: seller._id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json(imports);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Status, counts and row errors of one import
+// @route GET /api/sellers/products/imports/:id
+exports.getProductImport = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    const ProductImport = require('../models/ProductImport');
+    const productImport = await ProductImport.findOne({ _id: req.params.id, seller: seller._id });
+    if (!productImport) return res.status(404).json({ message: 'Import not found' });
+    res.json(productImport);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Download the seller's products in the import format
+// @route GET /api/sellers/products/export?format=csv|xlsx
+exports.exportProducts = async (req, res) => {
+  try {
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (format !== 'csv' && format !== 'xlsx') {
+      return res.status(400).json({ message: 'format must be csv or xlsx' });
+    }
+    const file = await exportSellerProducts(seller._id, format);
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${file.extension}"`);
+    res.send(file.body);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, type: error.type });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Product views (seller) grouped by period, with the most viewed products
+// @route GET /api/sellers/reports/views?period=daily|monthly|yearly&from=YYYY-MM-DD&to=YYYY-MM-DD
+exports.getViewsReport = async (req, res) => {
+  try {
+    const period = (req.query.period || 'daily').toLowerCase();
+    const { from, to } = req.query;
+    if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+    const report = await getSellerViewReport(seller._id, { period, from, to });
+    return res.json({ success: true, period, ...report });
+  } catch (error) {
+    return res.status(500).json({ message: 'Failed to build views report', error: error.message });
+  }
+};
+
 // Sales report (seller) grouped by period
 // @route GET /api/sellers/reports/sales?period=daily|monthly|yearly
 exports.getSalesReport = async (req, res) => {
@@ -728,12 +868,12 @@ exports.getWalletOverview = async (req, res) => {
     // - COD: orderStatus = 'delivered'
     const onlineEarningsAgg = await Order.aggregate([
       { $match: { seller: seller._id, paymentMethod: { $ne: 'cod' }, paymentStatus: 'paid' } },
-      { $project: { sellerEarnEff: { $cond: [ { $gt: ['$sellerEarnings', 0] }, '$sellerEarnings', { $subtract: ['$itemsPrice', { $multiply: ['$itemsPrice', 0.07] }] } ] } } },
+      { $project: { sellerEarnEff: sellerEarningsExpr() } },
       { $group: { _id: null, total: { $sum: '$sellerEarnEff' } } }
     ]);
     const codEarningsAgg = await Order.aggregate([
       { $match: { seller: seller._id, paymentMethod: 'cod', orderStatus: 'delivered' } },
-      { $project: { sellerEarnEff: { $cond: [ { $gt: ['$sellerEarnings', 0] }, '$sellerEarnings', { $subtract: ['$itemsPrice', { $multiply: ['$itemsPrice', 0.07] }] } ] } } },
+      { $project: { sellerEarnEff: sellerEarningsExpr() } },
       { $group: { _id: null, total: { $sum: '$sellerEarnEff' } } }
     ]);
     const totalEarnings = (onlineEarningsAgg[0]?.total || 0) + (codEarningsAgg[0]?.total || 0);
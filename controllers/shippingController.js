@@ -3,6 +3,22 @@ const Order = require('../models/Order');
 const Seller = require('../models/Seller');
 const rapidShyp = require('../services/rapidshypService');
 const { getStatusDetails, mapToOrderStatus, mapToShippingStatus, isRTOStatus, processTrackingResponse } = require('../utils/rapidshypStatusMapper');
+const { transitionOrder, assertTransition, canTransition, sourceForUser } = require('../services/orderLifecycleService');
+const { cancelOrderItems } = require('../services/refundService');
+const { runAtomic } = require('../utils/transaction');
+
+// Saves an order whose carrier status ended it (RTO, lost, cancelled pickup). If it can still
+// be cancelled, its remaining items are cancelled the same way as any other cancellation.
+const saveCarrierCancelledOrder = async (order, { reason, changedBy }) => {
+  if (order.orderStatus === 'cancelled' || !canTransition('orderStatus', order.orderStatus, 'cancelled')) {
+    await order.save();
+    return;
+  }
+  await runAtomic(async (ctx) => {
+    await cancelOrderItems({ order, reason, userId: changedBy, source: 'rapidshyp', ctx });
+    await order.save({ session: ctx.session });
+  });
+};
 
 /**
  * Get courier rates for a shipment
@@ -92,21 +108,24 @@ exports.createShipmentForOrder = asyncHandler(async (req, res) => {
     phone: order.shippingAddress?.phone || order.user?.phone || ''
   };
 
-  // Prepare order items
-  const orderItems = order.orderItems.map(item => ({
-    itemName: item.name || '',
-    sku: item.sku || item.product?.toString() || '',
-    description: item.name || '',
-    units: item.quantity || 1,
-    unitPrice: item.price || 0,
-    tax: 0,
-    hsn: '',
-    productWeight: 0.5, // Approximate 500g per item
-    imageURL: item.image || ''
-  }));
-
-  // Calculate package details
-  const totalWeight = order.orderItems.reduce((sum, item) => sum + ((item.quantity || 1) * 0.5), 0.5);
+  // Prepare order items (cancelled units are not shipped)
+  const orderItems = order.orderItems
+    .filter(item => (item.quantity || 1) > (item.cancelledQuantity || 0))
+    .map(item => ({
+      itemName: item.name || '',
+      sku: item.sku || item.product?.toString() || '',
+      description: item.name || '',
+      units: (item.quantity || 1) - (item.cancelledQuantity || 0),
+      unitPrice: item.price || 0,
+      tax: 0,
+      hsn: '',
+      productWeight: 0.5, // Approximate 500g per item
+      imageURL: item.image || ''
+    }));
+
+  // Calculate package details (weight quoted at checkout, else ~500g per item)
+  const totalWeight = order.shippingQuote?.weight
+    || order.orderItems.reduce((sum, item) => sum + ((item.quantity || 1) * 0.5), 0.5);
   const packageDetails = {
     packageLength: 20,
     packageBreadth: 10,
@@ -116,6 +135,8 @@ exports.createShipmentForOrder = asyncHandler(async (req, res) => {
 
   // Determine payment method
   const paymentMethod = order.paymentMethod === 'cod' ? 'COD' : 'PREPAID';
+  // Order value less cancelled items and refunds
+  const amountDue = Math.max(0, (order.totalPrice || 0) - (order.refundedAmount || 0));
 
   // Create order/shipment via RapidShyp Wrapper API (creates order, shipment, label in one call)
   const shipmentResult = await rapidShyp.createWrapperOrder({
@@ -128,9 +149,9 @@ exports.createShipmentForOrder = asyncHandler(async (req, res) => {
     orderItems,
     paymentMethod,
     shippingCharges: order.shippingPrice || 0,
-    totalOrderValue: order.totalPrice || 0,
-    codCharges: paymentMethod === 'COD' ? (order.totalPrice || 0) : 0,
-    prepaidAmount: paymentMethod === 'PREPAID' ? (order.totalPrice || 0) : 0,
+    totalOrderValue: amountDue,
+    codCharges: paymentMethod === 'COD' ? amountDue : 0,
+    prepaidAmount: paymentMethod === 'PREPAID' ? amountDue : 0,
     packageDetails
   });
 
@@ -145,6 +166,22 @@ exports.createShipmentForOrder = asyncHandler(async (req, res) => {
   const responseData = shipmentResult.data;
   let shipmentDetails = {};
 
+  // Book the courier the customer was quoted at checkout when RapidShyp did not assign an AWB itself
+  const quotedCourierCode = order.shippingQuote?.courierCode;
+  const createdShipment = Array.isArray(responseData.shipment) ? responseData.shipment[0] : null;
+  const createdShipmentId = createdShipment?.shipmentId || createdShipment?.shipment_id || responseData.shipmentId || responseData.shipment_id;
+  if (quotedCourierCode && createdShipmentId && !(createdShipment?.awb || responseData.awb)) {
+    const awbResult = await rapidShyp.assignAWB({ shipmentId: createdShipmentId, courierCode: quotedCourierCode });
+    if (awbResult.success && awbResult.data) {
+      const assigned = awbResult.data;
+      const target = createdShipment || responseData;
+      target.awb = assigned.awb || assigned.awb_code || target.awb;
+      target.courierName = assigned.courierName || assigned.courier_name || order.shippingQuote.courierName;
+    } else {
+      console.warn(`Could not assign quoted courier ${quotedCourierCode} for order ${order._id}:`, awbResult.error);
+    }
+  }
+
   // Handle different response structures from RapidShyp
   // Structure 1: response.shipment[] array (Wrapper API)
   // Structure 2: Direct shipment fields in response
@@ -226,12 +263,12 @@ exports.createShipmentForOrder = asyncHandler(async (req, res) => {
     // Update shipping status based on shipment status
     if (shipmentDetails.status) {
       const statusDetails = getStatusDetails(shipmentDetails.status);
-      order.shippingStatus = statusDetails.shippingStatus || 'pending';
-      if (order.orderStatus === 'pending' && statusDetails.internalStatus === 'processing') {
-        order.orderStatus = 'processing';
-      }
-    } else {
-      order.shippingStatus = 'pending';
+      transitionOrder(order, {
+        shippingStatus: statusDetails.shippingStatus || 'pending',
+        ...(['pending', 'confirmed'].includes(order.orderStatus) && statusDetails.internalStatus === 'processing'
+          ? { orderStatus: 'processing' }
+          : {})
+      }, { changedBy: req.user?._id, source: 'rapidshyp', note: 'Shipment created', strict: false });
     }
 
     // Update estimated delivery if available
@@ -376,6 +413,13 @@ exports.cancelShipmentForOrder = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Order does not have a RapidShyp order ID' });
   }
 
+  if (order.orderStatus === 'cancelled' || order.orderStatus === 'refunded') {
+    return res.status(400).json({ message: `Order is already ${order.orderStatus}` });
+  }
+
+  // Check before cancelling at RapidShyp so a delivered order is never left half-cancelled
+  assertTransition(order, { orderStatus: 'cancelled', shippingStatus: 'pending' });
+
   // Use orderNumber as RapidShyp orderId, or fallback to order._id
   const rapidShypOrderId = order.orderNumber || order._id.toString();
 
@@ -398,12 +442,22 @@ exports.cancelShipmentForOrder = asyncHandler(async (req, res) => {
     raw: result.data
   });
 
-  order.orderStatus = 'cancelled';
-  order.shippingStatus = 'pending';
-  order.cancelledAt = new Date();
-  order.cancellationReason = reason || 'Shipment cancelled';
-
-  await order.save();
+  transitionOrder(order, { shippingStatus: 'pending' }, {
+    changedBy: req.user._id,
+    source: sourceForUser(req.user),
+    note: reason || 'Shipment cancelled'
+  });
+  // Cancels the remaining items: restock and refund
+  await runAtomic(async (ctx) => {
+    await cancelOrderItems({
+      order,
+      reason: reason || 'Shipment cancelled',
+      userId: req.user._id,
+      source: sourceForUser(req.user),
+      ctx
+    });
+    await order.save({ session: ctx.session });
+  });
 
   res.json({
     success: true,
@@ -439,6 +493,10 @@ exports.ndrAction = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'Invalid action. Must be RE_ATTEMPT or RETURN' });
   }
 
+  if (action.toUpperCase() === 'RETURN') {
+    assertTransition(order, { orderStatus: 'cancelled' });
+  }
+
   const result = await rapidShyp.ndrAction({
     awb: order.shipment.awb,
     action: action.toUpperCase(),
@@ -463,11 +521,20 @@ exports.ndrAction = asyncHandler(async (req, res) => {
   if (action.toUpperCase() === 'RETURN') {
     order.shipment.isReturning = true;
     order.shipment.status = 'rto';
-    order.orderStatus = 'cancelled';
+    await runAtomic(async (ctx) => {
+      await cancelOrderItems({
+        order,
+        reason: 'NDR: return to origin',
+        userId: req.user._id,
+        source: sourceForUser(req.user),
+        ctx
+      });
+      await order.save({ session: ctx.session });
+    });
+  } else {
+    await order.save();
   }
 
-  await order.save();
-
   res.json({
     success: true,
     message: `NDR action '${action}' processed successfully`,
@@ -523,6 +590,7 @@ exports.webhook = asyncHandler(async (req, res) => {
     });
 
     // Update order status based on webhook event using status code mapper
+    let carrierCancelReason = null;
     if (status) {
       // Handle status in different formats (string, code, object)
       let statusCode = status;
@@ -540,43 +608,43 @@ exports.webhook = asyncHandler(async (req, res) => {
       order.shipment.statusDescription = statusDetails.description;
 
       // Map to order status and shipping status
-      const newOrderStatus = mapToOrderStatus(statusCode, order.orderStatus);
-      const newShippingStatus = mapToShippingStatus(statusCode);
-
-      // Only update order status if it's a valid transition
-      if (newOrderStatus && newOrderStatus !== order.orderStatus) {
-        // Don't downgrade from delivered to processing
-        if (!(order.orderStatus === 'delivered' && newOrderStatus !== 'delivered')) {
-          order.orderStatus = newOrderStatus;
-        }
-      }
-      
-      if (newShippingStatus) {
-        order.shippingStatus = newShippingStatus;
-      }
+      let newOrderStatus = mapToOrderStatus(statusCode, order.orderStatus);
+      let newShippingStatus = mapToShippingStatus(statusCode);
 
       // Handle RTO status
       if (isRTOStatus(statusCode)) {
         order.shipment.isReturning = true;
         // If RTO confirmed, order is effectively cancelled
         if (statusCode === 'RTO' || statusCode === 'RTO_REQ') {
-          order.orderStatus = 'cancelled';
+          newOrderStatus = 'cancelled';
         }
       }
 
       // Handle delivered status
       if (statusCode === 'DEL') {
         order.deliveredAt = new Date();
-        order.orderStatus = 'delivered';
-        order.shippingStatus = 'delivered';
+        newOrderStatus = 'delivered';
+        newShippingStatus = 'delivered';
       }
 
       // Handle RTO delivered
       if (statusCode === 'RTO_DEL') {
         order.shipment.rtoDeliveredAt = new Date();
-        order.orderStatus = 'cancelled';
-        order.shippingStatus = 'delivered';
+        newOrderStatus = 'cancelled';
+        newShippingStatus = 'delivered';
       }
+
+      // Cancellation goes through cancelOrderItems below, not a bare status change
+      if (newOrderStatus === 'cancelled') {
+        carrierCancelReason = statusDetails.description || statusCode;
+        newOrderStatus = null;
+      }
+
+      // Events arrive out of order; transitions the lifecycle does not allow are skipped
+      transitionOrder(order, {
+        ...(newOrderStatus ? { orderStatus: newOrderStatus } : {}),
+        ...(newShippingStatus ? { shippingStatus: newShippingStatus } : {})
+      }, { source: 'rapidshyp', note: statusDetails.description || statusCode, strict: false });
     }
 
     // Update tracking data
@@ -609,7 +677,11 @@ exports.webhook = asyncHandler(async (req, res) => {
       }
     }
 
-    await order.save();
+    if (carrierCancelReason) {
+      await saveCarrierCancelledOrder(order, { reason: carrierCancelReason });
+    } else {
+      await order.save();
+    }
 
     res.status(200).json({ message: 'Webhook processed successfully' });
   } catch (error) {
@@ -676,9 +748,12 @@ exports.trackOrder = asyncHandler(async (req, res) => {
         order.shipment.isReturning = true;
       }
 
-      // Update order status
-      order.orderStatus = shipment.currentStatus || order.orderStatus;
-      order.shippingStatus = shipment.shippingStatus || order.shippingStatus;
+      // Update order status (tracking can lag behind webhooks, so disallowed moves are skipped)
+      const carrierCancelled = shipment.currentStatus === 'cancelled';
+      transitionOrder(order, {
+        ...(shipment.currentStatus && !carrierCancelled ? { orderStatus: shipment.currentStatus } : {}),
+        ...(shipment.shippingStatus ? { shippingStatus: shipment.shippingStatus } : {})
+      }, { changedBy: req.user?._id, source: 'rapidshyp', note: shipment.statusDescription, strict: false });
 
       // Update delivery dates
       if (shipment.deliveredDate) {
@@ -703,7 +778,11 @@ exports.trackOrder = asyncHandler(async (req, res) => {
         });
       }
 
-      await order.save();
+      if (carrierCancelled) {
+        await saveCarrierCancelledOrder(order, { reason: shipment.statusDescription, changedBy: req.user?._id });
+      } else {
+        await order.save();
+      }
     }
   }
 
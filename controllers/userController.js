@@ -1,35 +1,41 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { addCartLine, findCartLine, mergeCartLines, validateUserCart } = require('../services/cartService');
+const { getDefaultWishlist, addWishlistItem } = require('../services/wishlistService');
+const { getUserRecommendations } = require('../services/recommendationService');
+const { getRecentlyViewed, clearRecentlyViewed } = require('../services/productViewService');
 
-// Get user's wishlist
+// Get user's wishlist (the default named list, see /api/wishlists)
 exports.getWishlist = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id).populate('wishlist');
-  res.json({ wishlist: user.wishlist });
+  const wishlist = await getDefaultWishlist(req.user._id);
+  await wishlist.populate('items.product');
+  res.json({ wishlist: wishlist.items.map(item => item.product).filter(Boolean), wishlistId: wishlist._id });
 });
 
 // Add product to wishlist
 exports.addToWishlist = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
-  const productId = req.params.productId;
-  if (!user.wishlist.includes(productId)) {
-    user.wishlist.push(productId);
-    await user.save();
+  const productDoc = await Product.findById(req.params.productId);
+  if (!productDoc) {
+    return res.status(404).json({ message: 'Product not found', route: req.originalUrl || req.url });
   }
-  const updatedUser = await User.findById(req.user._id).populate('wishlist');
-  res.json({ wishlist: updatedUser.wishlist });
+  const wishlist = await getDefaultWishlist(req.user._id);
+  addWishlistItem(wishlist, productDoc);
+  await wishlist.save();
+  await wishlist.populate('items.product');
+  res.json({ wishlist: wishlist.items.map(item => item.product).filter(Boolean), wishlistId: wishlist._id });
 });
 
 // Remove product from wishlist
 exports.removeFromWishlist = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
   const productId = req.params.productId;
-  user.wishlist = user.wishlist.filter(
-    (id) => id.toString() !== productId
+  const wishlist = await getDefaultWishlist(req.user._id);
+  wishlist.items = wishlist.items.filter(
+    (item) => item.product.toString() !== productId
   );
-  await user.save();
-  const updatedUser = await User.findById(req.user._id).populate('wishlist');
-  res.json({ wishlist: updatedUser.wishlist });
+  await wishlist.save();
+  await wishlist.populate('items.product');
+  res.json({ wishlist: wishlist.items.map(item => item.product).filter(Boolean), wishlistId: wishlist._id });
 });
 
 // Update user profile
@@ -58,46 +64,156 @@ exports.getCart = asyncHandler(async (req, res) => {
 exports.addToCart = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
   const { product, quantity = 1, selectedVariants = {} } = req.body;
-  const existingItem = user.cart.find(
-    (item) =>
-      item.product.toString() === product &&
-      JSON.stringify(item.selectedVariants || {}) === JSON.stringify(selectedVariants || {})
-  );
-  if (existingItem) {
-    existingItem.quantity += quantity;
-  } else {
-    user.cart.push({ product, quantity, selectedVariants });
+
+  const productDoc = await Product.findById(product);
+  if (!productDoc) {
+    return res.status(404).json({ message: 'Product not found', route: req.originalUrl || req.url });
+  }
+  if (!addCartLine(user.cart, productDoc, { quantity, selectedVariants })) {
+    return res.status(400).json({ message: 'Invalid variant selection', route: req.originalUrl || req.url });
   }
   await user.save();
   const updatedUser = await User.findById(req.user._id).populate('cart.product');
   res.json({ cart: updatedUser.cart });
 });
 
-// Remove product from cart
+// Cart lines are addressed by line _id, or by product id plus selectedVariants (body or query)
+const lineVariants = (req) => req.body?.selectedVariants || req.query.selectedVariants;
+
+// Remove a line from the cart
 exports.removeFromCart = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
-  const productId = req.params.productId;
-  user.cart = user.cart.filter((item) => item.product.toString() !== productId);
-  await user.save();
+  const cartItem = findCartLine(user.cart, req.params.itemId, lineVariants(req));
+  if (cartItem) {
+    user.cart.pull(cartItem._id);
+    await user.save();
+  }
   const updatedUser = await User.findById(req.user._id).populate('cart.product');
   res.json({ cart: updatedUser.cart });
 });
 
-// Update cart item quantity
+// Update cart line quantity
 exports.updateCartQuantity = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
-  const productId = req.params.productId;
   const { quantity } = req.body;
-  const cartItem = user.cart.find(item => item.product.toString() === productId);
+  const cartItem = findCartLine(user.cart, req.params.itemId, lineVariants(req));
   if (!cartItem) {
     return res.status(404).json({ message: 'Cart item not found', route: req.originalUrl || req.url });
   }
   if (quantity <= 0) {
-    user.cart = user.cart.filter(item => item.product.toString() !== productId);
+    user.cart.pull(cartItem._id);
   } else {
     cartItem.quantity = quantity;
   }
   await user.save();
   const updatedUser = await User.findById(req.user._id).populate('cart.product');
   res.json({ cart: updatedUser.cart });
-}); 
\ No newline at end of file
+});
+
+// Validate cart: drops items that can no longer be bought, cuts quantities to the stock left
+// and reprices every line. The response lists each change so the client can show it.
+exports.validateCart = asyncHandler(async (req, res) => {
+  const report = await validateUserCart(req.user._id);
+  const updatedUser = await User.findById(req.user._id).populate('cart.product');
+  res.json({
+    cart: updatedUser.cart,
+    valid: report.removed.length === 0 && report.priceChanges.length === 0 && report.stockIssues.length === 0,
+    removed: report.removed,
+    priceChanges: report.priceChanges,
+    stockIssues: report.stockIssues,
+    sellers: report.sellers,
+    itemsPrice: report.itemsPrice
+  });
+});
+
+// Get user's saved-for-later items
+exports.getSavedForLater = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).populate('savedForLater.product');
+  res.json({ savedForLater: user.savedForLater });
+});
+
+// Move a cart line to saved-for-later
+exports.saveForLater = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const cartItem = findCartLine(user.cart, req.params.itemId, lineVariants(req));
+  if (!cartItem) {
+    return res.status(404).json({ message: 'Cart item not found', route: req.originalUrl || req.url });
+  }
+  mergeCartLines(user.savedForLater, [cartItem.toObject()]);
+  user.cart.pull(cartItem._id);
+  await user.save();
+  const updatedUser = await User.findById(req.user._id).populate('cart.product').populate('savedForLater.product');
+  res.json({ cart: updatedUser.cart, savedForLater: updatedUser.savedForLater });
+});
+
+// Move a saved-for-later line back to the cart, merging with the same line already in it
+exports.moveToCart = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const savedItem = findCartLine(user.savedForLater, req.params.itemId, lineVariants(req));
+  if (!savedItem) {
+    return res.status(404).json({ message: 'Saved item not found', route: req.originalUrl || req.url });
+  }
+  mergeCartLines(user.cart, [savedItem.toObject()]);
+  user.savedForLater.pull(savedItem._id);
+  await user.save();
+  const updatedUser = await User.findById(req.user._id).populate('cart.product').populate('savedForLater.product');
+  res.json({ cart: updatedUser.cart, savedForLater: updatedUser.savedForLater });
+});
+
+// Remove a line from saved-for-later
+exports.removeFromSavedForLater = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const savedItem = findCartLine(user.savedForLater, req.params.itemId, lineVariants(req));
+  if (savedItem) {
+    user.savedForLater.pull(savedItem._id);
+    await user.save();
+  }
+  const updatedUser = await User.findById(req.user._id).populate('savedForLater.product');
+  res.json({ savedForLater: updatedUser.savedForLater });
+});
+
+// Get user's back-in-stock / price-drop subscriptions
+exports.getProductSubscriptions = asyncHandler(async (req, res) => {
+  const ProductSubscription = require('../models/ProductSubscription');
+  const subscriptions = await ProductSubscription.find({
+    user: req.user._id,
+    status: { $in: ['active', 'triggered'] }
+  })
+    .select('-unsubscribeToken')
+    .populate('product', 'name images price')
+    .sort({ createdAt: -1 });
+  res.json({ subscriptions });
+});
+
+// Cancel one of the user's subscriptions
+exports.deleteProductSubscription = asyncHandler(async (req, res) => {
+  const ProductSubscription = require('../models/ProductSubscription');
+  const subscription = await ProductSubscription.findOne({ _id: req.params.id, user: req.user._id });
+  if (!subscription) {
+    return res.status(404).json({ message: 'Subscription not found', route: req.originalUrl || req.url });
+  }
+  subscription.status = 'unsubscribed';
+  await subscription.save();
+  res.json({ message: 'Unsubscribed' });
+});
+
+// "Recommended for you" from viewing history, wishlists and orders; best sellers until
+// the shopper has enough history (personalized: false)
+exports.getRecommendations = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 20);
+  const result = await getUserRecommendations(req.user._id, limit);
+  res.json(result);
+});
+
+// Products the user viewed, most recent first
+exports.getRecentlyViewed = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+  const products = await getRecentlyViewed(req.user._id, limit);
+  res.json({ products });
+});
+
+// Clear the user's viewing history
+exports.clearRecentlyViewed = asyncHandler(async (req, res) => {
+  await clearRecentlyViewed(req.user._id);
+  res.json({ message: 'Recently viewed cleared' });
+});
@@ -0,0 +1,152 @@
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { cartLineKey } = require('../services/cartService');
+const {
+  getDefaultWishlist,
+  getUserWishlist,
+  addWishlistItem,
+  describeWishlist
+} = require('../services/wishlistService');
+
+const shareUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/wishlist/shared/${token}`;
+
+// Get all wishlists of the user (the default list is created on first use)
+exports.getWishlists = asyncHandler(async (req, res) => {
+  await getDefaultWishlist(req.user._id);
+  const wishlists = await Wishlist.find({ user: req.user._id }).sort({ isDefault: -1, createdAt: 1 });
+  res.json({
+    wishlists: wishlists.map(wishlist => ({
+      _id: wishlist._id,
+      name: wishlist.name,
+      isDefault: wishlist.isDefault,
+      isPublic: wishlist.isPublic,
+      itemCount: wishlist.items.length,
+      createdAt: wishlist.createdAt,
+      updatedAt: wishlist.updatedAt
+    }))
+  });
+});
+
+// Create a named wishlist
+exports.createWishlist = asyncHandler(async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ message: 'Wishlist name is required', route: req.originalUrl || req.url });
+  }
+  await getDefaultWishlist(req.user._id);
+  const wishlist = await Wishlist.create({ user: req.user._id, name });
+  res.status(201).json({ wishlist: await describeWishlist(wishlist) });
+});
+
+// Get a wishlist with price-drop / back-in-stock flags on its items
+exports.getWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  res.json({ wishlist: await describeWishlist(wishlist) });
+});
+
+// Rename a wishlist or make it the default list
+exports.updateWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  const { name, isDefault } = req.body;
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      return res.status(400).json({ message: 'Wishlist name is required', route: req.originalUrl || req.url });
+    }
+    wishlist.name = String(name).trim();
+  }
+  if (isDefault === true && !wishlist.isDefault) {
+    await Wishlist.updateMany({ user: req.user._id, isDefault: true }, { $set: { isDefault: false } });
+    wishlist.isDefault = true;
+  }
+  await wishlist.save();
+  res.json({ wishlist: await describeWishlist(wishlist) });
+});
+
+// Delete a wishlist; the default list cannot be deleted
+exports.deleteWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  if (wishlist.isDefault) {
+    return res.status(400).json({ message: 'The default wishlist cannot be deleted', route: req.originalUrl || req.url });
+  }
+  await wishlist.deleteOne();
+  res.json({ message: 'Wishlist deleted' });
+});
+
+// Add a product (optionally a variant) to a wishlist
+exports.addItem = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  const { product, selectedVariants } = req.body;
+  const productDoc = await Product.findById(product);
+  if (!productDoc) {
+    return res.status(404).json({ message: 'Product not found', route: req.originalUrl || req.url });
+  }
+  addWishlistItem(wishlist, productDoc, selectedVariants);
+  await wishlist.save();
+  res.json({ wishlist: await describeWishlist(wishlist) });
+});
+
+// Remove an item from a wishlist
+exports.removeItem = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  const item = wishlist.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({ message: 'Wishlist item not found', route: req.originalUrl || req.url });
+  }
+  item.deleteOne();
+  await wishlist.save();
+  res.json({ wishlist: await describeWishlist(wishlist) });
+});
+
+// Move an item to another wishlist of the user; it keeps its price and stock reference
+exports.moveItem = asyncHandler(async (req, res) => {
+  if (!req.body.wishlistId) {
+    return res.status(400).json({ message: 'Target wishlistId is required', route: req.originalUrl || req.url });
+  }
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  const target = await getUserWishlist(req.user._id, req.body.wishlistId);
+  const item = wishlist.items.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({ message: 'Wishlist item not found', route: req.originalUrl || req.url });
+  }
+  if (!target._id.equals(wishlist._id)) {
+    const duplicate = target.items.some(existing => cartLineKey(existing) === cartLineKey(item));
+    if (!duplicate) {
+      const { _id, ...moved } = item.toObject();
+      target.items.push(moved);
+      await target.save();
+    }
+    item.deleteOne();
+    await wishlist.save();
+  }
+  res.json({ wishlist: await describeWishlist(wishlist), target: await describeWishlist(target) });
+});
+
+// Share a wishlist: anyone with the returned link can view it. Sharing again issues a new link.
+exports.shareWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  const token = wishlist.share();
+  await wishlist.save();
+  res.json({ shareToken: token, shareUrl: shareUrl(token) });
+});
+
+// Stop sharing a wishlist; the old link stops working
+exports.unshareWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getUserWishlist(req.user._id, req.params.id);
+  wishlist.unshare();
+  await wishlist.save();
+  res.json({ message: 'Wishlist is no longer shared' });
+});
+
+// Public view of a shared wishlist
+exports.getSharedWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.findOne({ shareToken: req.params.token, isPublic: true });
+  if (!wishlist) {
+    return res.status(404).json({ message: 'Wishlist not found', route: req.originalUrl || req.url });
+  }
+  const owner = await require('../models/User').findById(wishlist.user).select('name');
+  res.json({
+    wishlist: await describeWishlist(wishlist, { publicView: true }),
+    owner: owner ? { name: owner.name } : null
+  });
+});
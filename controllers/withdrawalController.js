@@ -1,6 +1,7 @@
 const Withdrawal = require('../models/Withdrawal');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { sellerEarningsExpr } = require('../services/commissionService');
 const { 
   createContact, 
   createFundAccount, 
@@ -36,12 +37,12 @@ exports.createWithdrawalRequest = asyncHandler(async (req, res) => {
   const [onlineEarningsAgg, codEarningsAgg] = await Promise.all([
     OrderModel.aggregate([
       { $match: { seller: sellerDoc._id, paymentMethod: { $ne: 'cod' }, paymentStatus: 'paid' } },
-      { $project: { sellerEarnEff: { $cond: [ { $gt: ['$sellerEarnings', 0] }, '$sellerEarnings', { $subtract: ['$itemsPrice', { $multiply: ['$itemsPrice', 0.07] }] } ] } } },
+      { $project: { sellerEarnEff: sellerEarningsExpr() } },
       { $group: { _id: null, total: { $sum: '$sellerEarnEff' } } }
     ]),
     OrderModel.aggregate([
       { $match: { seller: sellerDoc._id, paymentMethod: 'cod', orderStatus: 'delivered' } },
-      { $project: { sellerEarnEff: { $cond: [ { $gt: ['$sellerEarnings', 0] }, '$sellerEarnings', { $subtract: ['$itemsPrice', { $multiply: ['$itemsPrice', 0.07] }] } ] } } },
+      { $project: { sellerEarnEff: sellerEarningsExpr() } },
       { $group: { _id: null, total: { $sum: '$sellerEarnEff' } } }
     ])
   ]);
@@ -0,0 +1,65 @@
+const Seller = require('../models/Seller');
+const { sendLowStockDigest } = require('../services/inventoryService');
+
+// Daily email to each seller listing items out of stock or below their low-stock threshold.
+// Checks hourly and sends once a day from LOW_STOCK_DIGEST_HOUR (server local time, default 8);
+// set LOW_STOCK_DIGEST_HOUR=off to disable.
+const DIGEST_HOUR = process.env.LOW_STOCK_DIGEST_HOUR === 'off' ? null : Number(process.env.LOW_STOCK_DIGEST_HOUR || 8);
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let running = false;
+
+const runLowStockDigestJob = async (now = new Date()) => {
+  if (running || now.getHours() < DIGEST_HOUR) return;
+  running = true;
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let sent = 0;
+  const failed = [];
+  try {
+    // Claim each seller for today before emailing, so restarts and other instances skip it.
+    // The claim returns the seller as it was, so a failed send can put the old date back.
+    for (;;) {
+      const seller = await Seller.findOneAndUpdate(
+        {
+          _id: { $nin: failed },
+          isApproved: true,
+          isActive: true,
+          $or: [{ lowStockDigestSentAt: { $exists: false } }, { lowStockDigestSentAt: { $lt: startOfDay } }]
+        },
+        { $set: { lowStockDigestSentAt: now } }
+      );
+      if (!seller) break;
+      try {
+        if (await sendLowStockDigest(seller)) sent++;
+      } catch (error) {
+        console.error(`Low stock digest error for seller ${seller._id}:`, error.message);
+        // Release the claim so the next hourly run retries; skip the seller for the rest of this one
+        failed.push(seller._id);
+        await Seller.updateOne(
+          { _id: seller._id, lowStockDigestSentAt: now },
+          seller.lowStockDigestSentAt
+            ? { $set: { lowStockDigestSentAt: seller.lowStockDigestSentAt } }
+            : { $unset: { lowStockDigestSentAt: 1 } }
+        );
+      }
+    }
+    if (sent) console.log(`Low stock digest sent to ${sent} seller(s)`);
+  } catch (error) {
+    console.error('Low stock digest job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startLowStockDigestJob = () => {
+  if (DIGEST_HOUR === null || Number.isNaN(DIGEST_HOUR)) return null;
+  const timer = setInterval(() => runLowStockDigestJob(), CHECK_INTERVAL_MS);
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runLowStockDigestJob,
+  startLowStockDigestJob
+};
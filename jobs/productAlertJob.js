@@ -0,0 +1,36 @@
+const { sendTriggeredAlerts } = require('../services/productAlertService');
+
+// Emails back-in-stock and price-drop alerts triggered by product updates.
+// Runs every PRODUCT_ALERT_INTERVAL_MINUTES (default 5); 0 disables the job.
+const INTERVAL_MINUTES = Number(process.env.PRODUCT_ALERT_INTERVAL_MINUTES ?? 5);
+
+let running = false;
+
+const runProductAlertJob = async () => {
+  // A slow SMTP server must not make runs overlap
+  if (running) return;
+  running = true;
+  try {
+    const { sent, skipped, failed } = await sendTriggeredAlerts();
+    if (sent || failed) {
+      console.log(`Product alerts: ${sent} sent, ${skipped} skipped, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Product alert job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startProductAlertJob = () => {
+  if (!INTERVAL_MINUTES) return null;
+  const timer = setInterval(runProductAlertJob, INTERVAL_MINUTES * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runProductAlertJob,
+  startProductAlertJob
+};
@@ -0,0 +1,38 @@
+const { refreshRecommendations } = require('../services/recommendationService');
+
+// Rebuilds "bought together", "similar products" and personal recommendation lists.
+// Runs shortly after start-up and then every RECOMMENDATION_INTERVAL_HOURS (default 6);
+// 0 disables the job.
+const INTERVAL_HOURS = Number(process.env.RECOMMENDATION_INTERVAL_HOURS ?? 6);
+const STARTUP_DELAY_MS = 60 * 1000;
+
+let running = false;
+
+const runRecommendationJob = async () => {
+  // A large catalogue can take longer than the interval
+  if (running) return;
+  running = true;
+  try {
+    const { boughtTogether, similar, forUser } = await refreshRecommendations();
+    console.log(`Recommendations: ${boughtTogether} bought-together, ${similar} similar, ${forUser} personal lists`);
+  } catch (error) {
+    console.error('Recommendation job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startRecommendationJob = () => {
+  if (!INTERVAL_HOURS) return null;
+  const firstRun = setTimeout(runRecommendationJob, STARTUP_DELAY_MS);
+  firstRun.unref();
+  const timer = setInterval(runRecommendationJob, INTERVAL_HOURS * 60 * 60 * 1000);
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runRecommendationJob,
+  startRecommendationJob
+};
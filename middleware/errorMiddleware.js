@@ -55,7 +55,10 @@ const errorHandler = (err, req, res, next) => {
     type: error.type || err.name || 'UnknownError',
     route,
     stack: err.stack,
-    ...(error.field && { field: error.field })
+    ...(error.field && { field: error.field }),
+    ...(error.details && { details: error.details }),
+    // CheckoutTotalMismatch / PaymentAmountMismatch: the server total, so the client can show it
+    ...(error.expectedTotal !== undefined && { expectedTotal: error.expectedTotal })
   });
 };
 
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const hashBody = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+// Make POST endpoints safe to retry. When the client sends an Idempotency-Key header the
+// first response is stored and replayed for later requests with the same key; a retry
+// while the first request is still running gets 409. Requests without the header run as usual.
+// Must be mounted after protect, keys are scoped per user and route.
+const idempotency = () => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, route: req.originalUrl || req.url });
+  }
+  if (!req.user || !req.user._id) {
+    return res.status(401).json({ message: 'User not authenticated', route: req.originalUrl || req.url });
+  }
+
+  const scope = {
+    user: req.user._id,
+    key,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`
+  };
+  const requestHash = hashBody(req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne(scope);
+    if (!existing) {
+      // Expired between the insert and the lookup; let the client retry
+      return res.status(409).json({ message: 'Idempotency-Key conflict, please retry', route: req.originalUrl || req.url });
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({ message: 'Idempotency-Key was already used with a different request', route: req.originalUrl || req.url });
+    }
+    if (existing.status !== 'completed') {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed', route: req.originalUrl || req.url });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res
+      .status(existing.responseStatus)
+      .type('application/json')
+      .send(existing.responseBody);
+  }
+
+  // Capture the JSON response; server errors release the key so the request can be retried
+  let captured = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const responseBody = JSON.stringify(body);
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody } }
+      );
+    save.catch(err => console.error('Failed to store idempotent response:', err));
+    return originalJson(body);
+  };
+  res.on('close', () => {
+    if (!captured) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(err => console.error('Failed to release idempotency key:', err));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -48,6 +48,16 @@ const categorySchema = new mongoose.Schema({
   },
   metaTitle: String,
   metaDescription: String,
+  // Default GST classification for products in this category
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 0.25, 3, 5, 12, 18, 28]
+  },
   productCount: {
     type: Number,
     default: 0
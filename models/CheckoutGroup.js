@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { getOrderNumberPrefix, nextOrderNumber } = require('../services/orderNumberService');
+
+// One customer checkout: the per-seller orders it was split into, the payment that
+// covered them and the coupon applied across them
+const checkoutGroupSchema = new mongoose.Schema({
+  // Same format as order numbers with a G after the prefix, e.g. ORDG2410190003
+  groupNumber: {
+    type: String,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  marketplace: {
+    type: String,
+    default: () => process.env.MARKETPLACE || 'IN'
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  shippingAddress: {
+    type: { type: String },
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    phone: String
+  },
+  paymentMethod: {
+    type: String,
+    required: true
+  },
+  payment: {
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    amount: Number
+  },
+  coupon: {
+    code: String,
+    discount: Number
+  },
+  itemsPrice: { type: Number, default: 0 },
+  shippingPrice: { type: Number, default: 0 },
+  taxPrice: { type: Number, default: 0 },
+  discount: { type: Number, default: 0 },
+  totalPrice: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+checkoutGroupSchema.index({ user: 1, createdAt: -1 });
+checkoutGroupSchema.index({ 'payment.razorpayPaymentId': 1 });
+
+checkoutGroupSchema.pre('save', async function(next) {
+  if (this.isNew && !this.groupNumber) {
+    this.groupNumber = await nextOrderNumber({ prefix: `${getOrderNumberPrefix(this.marketplace)}G` });
+  }
+  next();
+});
+
+module.exports = mongoose.model('CheckoutGroup', checkoutGroupSchema);
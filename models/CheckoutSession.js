@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// Minutes a checkout can be paid for before its prices must be quoted again
+const CHECKOUT_SESSION_TTL_MINUTES = Number(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 30;
+// Sessions are deleted this long after they expire; orders keep everything needed afterwards
+const CHECKOUT_SESSION_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// One seller's part of the priced checkout, as the orders will be created from it
+const sellerSnapshotSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+  // Order lines with the quoted unit price and GST (see services/taxService)
+  orderItems: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    name: String,
+    image: String,
+    price: Number,
+    quantity: Number,
+    selectedVariants: { type: Map, of: String },
+    sku: String,
+    hsnCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  }],
+  // Stock each line draws from, and the categories its commission is charged on
+  reservations: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    subCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    quantity: Number,
+    variantId: mongoose.Schema.Types.ObjectId,
+    optionId: mongoose.Schema.Types.ObjectId
+  }],
+  itemsPrice: Number,
+  shippingPrice: Number,
+  shippingQuote: {
+    source: String,
+    courierCode: String,
+    courierName: String,
+    freight: Number,
+    weight: Number,
+    estimatedDelivery: String,
+    quotedAt: Date
+  },
+  discount: Number,
+  taxPrice: Number,
+  taxBreakdown: {
+    supplyType: String,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  },
+  sellerGstin: String,
+  totalPrice: Number
+}, { _id: false });
+
+// Snapshot of a checkout awaiting an online payment, keyed by its Razorpay order.
+// The checkout is priced server-side when the Razorpay order is created, and both
+// /api/orders/with-payment and the payment webhook place orders from this snapshot
+// at the prices, taxes and shipping charges the customer paid.
+const checkoutSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Server-computed total charged through Razorpay (INR)
+  amount: {
+    type: Number,
+    required: true
+  },
+  itemsPrice: Number,
+  shippingPrice: Number,
+  taxPrice: Number,
+  discount: Number,
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  items: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    selectedVariants: { type: Map, of: String }
+  }],
+  sellers: [sellerSnapshotSchema],
+  shippingAddress: {
+    type: { type: String },
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    phone: String
+  },
+  paymentMethod: {
+    type: String,
+    default: 'razorpay'
+  },
+  coupon: String,
+  // Guest cart of a guest checkout (see services/guestCheckoutService)
+  guestCart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuestCart'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + CHECKOUT_SESSION_TTL_MINUTES * 60 * 1000)
+  },
+  razorpayPaymentId: String,
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  failureReason: String,
+  // Payments refunded because the session could not be fulfilled
+  refunds: [{
+    _id: false,
+    paymentId: String,
+    refundId: String,
+    amount: Number,
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+checkoutSessionSchema.index({ user: 1, status: 1 });
+checkoutSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: CHECKOUT_SESSION_RETENTION_SECONDS });
+
+// Pending sessions past expiresAt can no longer be paid for
+checkoutSessionSchema.methods.isExpired = function (at = new Date()) {
+  return this.status === 'expired' || (this.status === 'pending' && this.expiresAt && this.expiresAt <= at);
+};
+
+module.exports = mongoose.model('CheckoutSession', checkoutSessionSchema);
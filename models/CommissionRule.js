@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Commission rule applied to order lines. Rules can target a seller, a category, both,
+// or neither (marketplace-wide), and can be limited to a date range for promotional rates.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Percentage of the line amount taken as commission
+  ratePercent: {
+    type: Number,
+    required: [true, 'Please provide a commission rate'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100']
+  },
+  // Flat fee charged once per order
+  fixedFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fixed fee cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Breaks ties between rules of the same specificity (higher wins)
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ isActive: 1, seller: 1, category: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Named monotonically increasing sequences (e.g. order numbers per prefix and day)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Atomically increment a sequence and return its new value. The first call for a name
+ * creates the counter; two callers racing to create it both get distinct values.
+ * @param {String} name
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.next = async function (name) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      // Concurrent upserts of a new counter: one inserts, the other retries as an update
+      if (error.code !== 11000 || attempt > 0) throw error;
+    }
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -42,4 +42,32 @@ const couponSchema = new mongoose.Schema({
 
 couponSchema.index({ code: 1 }, { unique: true });
 
+// Instance method to check whether a user may redeem this coupon
+// Returns null when valid, otherwise { message, statusCode }
+couponSchema.methods.getRedemptionError = function(userId) {
+  if (!this.isActive) {
+    return { message: 'Invalid or expired coupon', statusCode: 404 };
+  }
+  if (this.expiry < new Date()) {
+    return { message: 'Coupon expired', statusCode: 400 };
+  }
+  if (this.usageLimit && this.usedBy.length >= this.usageLimit) {
+    return { message: 'Coupon usage limit reached', statusCode: 400 };
+  }
+  if (userId && this.usedBy.some(id => String(id) === String(userId))) {
+    return { message: 'You have already used this coupon', statusCode: 400 };
+  }
+  return null;
+};
+
+// Instance method to compute the discount for an amount
+// discount <= 100 is a percentage, anything above is a flat amount in INR
+couponSchema.methods.computeDiscount = function(amount) {
+  const base = Math.max(0, Number(amount) || 0);
+  const value = this.discount <= 100
+    ? base * this.discount / 100
+    : Math.min(this.discount, base);
+  return Number(value.toFixed(2));
+};
+
 module.exports = mongoose.model('Coupon', couponSchema); 
\ No newline at end of file
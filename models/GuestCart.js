@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Cart of a shopper who has not logged in, found by the anonymous token the client sends
+// in the X-Guest-Token header. Only a hash of the token is stored. Merged into User.cart on
+// login or registration; untouched carts expire after GUEST_CART_TTL_DAYS.
+const guestCartSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Same line shape as User.cart
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    selectedVariants: {
+      type: Map,
+      of: String
+    },
+    price: Number
+  }],
+  // Guest account the cart was checked out with (see services/guestCheckoutService)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email code sent to check out on an existing guest account, and the email it proved
+  emailOTP: {
+    email: String,
+    otpHash: String,
+    expiresAt: Date,
+    sentAt: Date
+  },
+  // Codes sent and wrong codes entered per email over the cart's lifetime; a new code keeps them
+  emailOTPUsage: [{
+    _id: false,
+    email: String,
+    sends: { type: Number, default: 0 },
+    attempts: { type: Number, default: 0 }
+  }],
+  verifiedEmail: String,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+guestCartSchema.index({ user: 1 });
+
+// Every change keeps the cart alive for another TTL period
+guestCartSchema.pre('save', function(next) {
+  this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+/**
+ * Create a cart with a new anonymous token
+ * @returns {Promise<{cart: Object, token: String}>} The plain token is only returned here
+ */
+guestCartSchema.statics.createWithToken = async function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  const cart = await this.create({ tokenHash: hashToken(token) });
+  return { cart, token };
+};
+
+/**
+ * Find the cart of an anonymous token
+ * @param {String} token
+ * @returns {Promise<Object|null>}
+ */
+guestCartSchema.statics.findByToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('GuestCart', guestCartSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Stored result of a request made with an Idempotency-Key header, replayed for retries.
+// Records expire after a day (see middleware/idempotencyMiddleware).
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body; reusing a key with a different body is rejected
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  // JSON text of the response, so it replays byte-for-byte
+  responseBody: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1, method: 1, path: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextOrderNumber } = require('../services/orderNumberService');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -23,11 +24,65 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Any variant combination, keyed by variant name (e.g. { Color: 'Black', Storage: '128GB' })
   selectedVariants: {
-    size: String,
-    color: String
+    type: Map,
+    of: String
   },
-  sku: String
+  // Variant option SKU when a variant was selected, otherwise the product SKU
+  sku: String,
+  // GST on this line (see services/taxService)
+  hsnCode: String,
+  gstRate: { type: Number, default: 0 },
+  taxableValue: Number,
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  // Units of this line cancelled after the order was placed (see services/refundService)
+  cancelledQuantity: { type: Number, default: 0, min: 0 }
+});
+
+// One change of orderStatus or shippingStatus (see services/orderLifecycleService)
+const statusHistorySchema = new mongoose.Schema({
+  field: { type: String, enum: ['orderStatus', 'shippingStatus'], required: true },
+  from: String,
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  source: String,
+  note: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One cancellation or refund of (part of) an order
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  items: [{
+    _id: false,
+    item: mongoose.Schema.Types.ObjectId,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    quantity: Number,
+    amount: Number
+  }],
+  includesShipping: { type: Boolean, default: false },
+  // Platform commission and seller earnings taken off the order by this refund
+  commissionReversed: { type: Number, default: 0 },
+  earningsReversed: { type: Number, default: 0 },
+  reason: String,
+  method: { type: String, enum: ['razorpay', 'none'], default: 'razorpay' },
+  // requested: awaiting admin; processing: being sent to Razorpay; pending: submitted to Razorpay;
+  // not_required: nothing was charged yet
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'pending', 'processed', 'failed', 'not_required'],
+    default: 'requested'
+  },
+  razorpayRefundId: String,
+  failureReason: String,
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  processedAt: Date
+}, {
+  timestamps: true
 });
 
 const orderSchema = new mongoose.Schema({
@@ -35,6 +90,11 @@ const orderSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Marketplace the order was placed on; decides the order number prefix
+  marketplace: {
+    type: String,
+    default: () => process.env.MARKETPLACE || 'IN'
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -45,6 +105,11 @@ const orderSchema = new mongoose.Schema({
     ref: 'Seller',
     required: true
   },
+  // The checkout this order was split from (one order per seller)
+  checkoutGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutGroup'
+  },
   orderItems: [orderItemSchema],
   shippingAddress: {
     type: {
@@ -105,6 +170,15 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0.0
   },
+  // GST summary of taxPrice; intra_state = CGST + SGST, inter_state = IGST
+  taxBreakdown: {
+    supplyType: { type: String, enum: ['intra_state', 'inter_state'] },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+  },
+  // Seller GSTIN at the time of the order, printed on the invoice
+  sellerGstin: String,
   orderStatus: {
     type: String,
     required: true,
@@ -123,6 +197,7 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'shipped', 'delivered'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   // Whether admin has credited seller wallet for this order
   sellerCredited: { type: Boolean, default: false },
   trackingNumber: String,
@@ -147,9 +222,15 @@ const orderSchema = new mongoose.Schema({
   // refund workflow for online payments
   refundStatus: {
     type: String,
-    enum: ['none', 'pending', 'refunded'],
+    enum: ['none', 'pending', 'partial', 'refunded'],
     default: 'none'
   },
+  // Amount returned (or, for unpaid orders, no longer due) across all refunds
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [refundSchema],
   notes: String,
   commission: {
     type: Number,
@@ -159,6 +240,32 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Commission rules applied when the order was placed (see services/commissionService)
+  commissionSnapshot: {
+    calculatedAt: Date,
+    fixedFee: { type: Number, default: 0 },
+    lines: [{
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+      amount: Number,
+      ratePercent: Number,
+      commission: Number,
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionRule' },
+      ruleName: String,
+      source: { type: String, enum: ['rule', 'seller', 'default'] }
+    }]
+  },
+  // Shipping charge quoted at checkout; createShipmentForOrder books this courier
+  shippingQuote: {
+    source: { type: String, enum: ['rapidshyp', 'product', 'free', 'threshold', 'fallback'] },
+    courierCode: String,
+    courierName: String,
+    freight: Number,
+    weight: Number,
+    estimatedDelivery: String,
+    quotedAt: Date
+  },
   // Shipment details
   shipment: {
     courier: String,
@@ -196,7 +303,8 @@ const orderSchema = new mongoose.Schema({
   // Razorpay specific fields
   razorpayOrderId: String,
   razorpayPaymentId: String,
-  razorpaySignature: String
+  razorpaySignature: String,
+  razorpayRefundId: String
 }, {
   timestamps: true
 });
@@ -204,26 +312,22 @@ const orderSchema = new mongoose.Schema({
 // Indexes for better query performance
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ user: 1 });
+orderSchema.index({ checkoutGroup: 1 });
 orderSchema.index({ seller: 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+// A Razorpay payment fulfils at most one order per seller (a multi-seller checkout shares the payment id)
+orderSchema.index(
+  { razorpayPaymentId: 1, seller: 1 },
+  { unique: true, partialFilterExpression: { razorpayPaymentId: { $type: 'string' } } }
+);
 
 // Pre-save middleware to generate order number
 orderSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    
-    // Get count of orders for today
-    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const orderCount = await this.constructor.countDocuments({
-      createdAt: { $gte: today }
-    });
-    
-    this.orderNumber = `ORD${year}${month}${day}${(orderCount + 1).toString().padStart(4, '0')}`;
+  if (this.isNew && !this.orderNumber) {
+    // Counter-based so concurrent checkouts never share a number
+    this.orderNumber = await nextOrderNumber({ marketplace: this.marketplace });
   }
   next();
 });
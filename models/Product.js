@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { trigrams } = require('../utils/searchText');
 
 const reviewSchema = new mongoose.Schema({
   user: {
@@ -193,6 +194,16 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 10
   },
+  // GST classification; falls back to the category's values when not set
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 0.25, 3, 5, 12, 18, 28]
+  },
   weight: {
     type: Number,
     min: 0
@@ -211,6 +222,17 @@ const productSchema = new mongoose.Schema({
     value: String
   }],
   tags: [String],
+  // Search index fields, maintained on save (see utils/searchText and services/searchService)
+  // Names of the category and subcategory, so the text index can match them
+  searchCategory: {
+    type: String,
+    select: false
+  },
+  // Trigrams of name, brand and tags for typo-tolerant matching
+  searchGrams: {
+    type: [String],
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -290,13 +312,28 @@ const productSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
-productSchema.index({ name: 'text', description: 'text', brand: 'text' });
+// Relevance weights for ranked search. Only one text index is allowed per collection;
+// run scripts/migrateProductSearchIndex.js once to replace the old name/description/brand index.
+productSchema.index(
+  { name: 'text', brand: 'text', tags: 'text', searchCategory: 'text', description: 'text' },
+  { name: 'product_search_text', weights: { name: 10, brand: 6, tags: 5, searchCategory: 3, description: 1 } }
+);
+productSchema.index({ searchGrams: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ seller: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ isFeatured: 1 });
 productSchema.index({ isApproved: 1 });
 productSchema.index({ sku: 1 });
+// Storefront listing sorts (services/productListingService); _id is the tie-breaker of every sort
+productSchema.index({ isApproved: 1, isActive: 1, createdAt: -1, _id: -1 });
+productSchema.index({ isApproved: 1, isActive: 1, price: 1, _id: 1 });
+productSchema.index({ isApproved: 1, isActive: 1, totalSold: -1, _id: -1 });
+productSchema.index({ isApproved: 1, isActive: 1, ratings: -1, _id: -1 });
+productSchema.index({ brand: 1 });
+// Similar products fallback (services/recommendationService): every $or branch needs an index
+productSchema.index({ subCategory: 1 });
+productSchema.index({ tags: 1 });
 
 // Virtual for average rating
 productSchema.virtual('averageRating').get(function() {
@@ -327,6 +364,19 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the search index fields in step with the searchable fields
+productSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('name') || this.isModified('brand') || this.isModified('tags')) {
+    this.searchGrams = trigrams([this.name, this.brand, ...(this.tags || [])].join(' '));
+  }
+  if (this.isNew || this.isModified('category') || this.isModified('subCategory')) {
+    const ids = [this.category, this.subCategory].filter(Boolean);
+    const Category = require('./Category');
+    const categories = await Category.find({ _id: { $in: ids } }).select('name');
+    this.searchCategory = categories.map(c => c.name).join(' ');
+  }
+});
+
 // Instance method to get variant by combination
 productSchema.methods.getVariantByCombination = function(variantCombination) {
   if (!this.variants || this.variants.length === 0) {
@@ -344,6 +394,46 @@ productSchema.methods.getVariantByCombination = function(variantCombination) {
   return null;
 };
 
+// Normalize a variant selection ({ Color: 'Black' } or a Map) to a plain object with sorted keys,
+// so two selections of the same options compare equal
+productSchema.statics.normalizeVariantSelection = function(selection) {
+  if (!selection) return {};
+  const entries = selection instanceof Map ? Array.from(selection.entries()) : Object.entries(selection);
+  return entries
+    .filter(([name, value]) => name && value !== undefined && value !== null && String(value).trim() !== '')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .reduce((acc, [name, value]) => {
+      acc[name] = String(value).trim();
+      return acc;
+    }, {});
+};
+
+// Instance method to resolve a selection to the variant option that prices and stocks it.
+// Returns null when the selection names an unknown variant/option, misses a required choice
+// or lands on an inactive option. Products without variants resolve an empty selection.
+productSchema.methods.resolveVariantSelection = function(selection) {
+  const combination = this.constructor.normalizeVariantSelection(selection);
+  const names = Object.keys(combination);
+
+  if (!this.variants || this.variants.length === 0) {
+    return names.length === 0 ? { combination, variant: null, option: null } : null;
+  }
+
+  for (const name of names) {
+    const variant = this.variants.find(v => v.name === name);
+    if (!variant || !variant.options.some(o => o.value === combination[name])) {
+      return null;
+    }
+  }
+
+  const option = this.getVariantByCombination(combination);
+  if (!option || !option.isActive) {
+    return null;
+  }
+  const variant = this.variants.find(v => v.options.some(o => o._id.equals(option._id)));
+  return { combination, variant, option };
+};
+
 // Instance method to get all available variant combinations
 productSchema.methods.getAvailableVariants = function() {
   if (!this.variants || this.variants.length === 0) {
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Errors kept per import; a file with more bad rows only reports the first ones
+const MAX_IMPORT_ERRORS = 500;
+
+// A seller's bulk product import (CSV/XLSX). The file is processed in the background;
+// clients poll this record for progress and row-level errors.
+const productImportSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // Validate every row without writing any product
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: { type: Number, default: 0 },
+  totalProducts: { type: Number, default: 0 },
+  processedProducts: { type: Number, default: 0 },
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    sku: String,
+    field: String,
+    message: String
+  }],
+  // Set when the whole file could not be read
+  failureReason: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+productImportSchema.index({ seller: 1, createdAt: -1 });
+
+productImportSchema.statics.MAX_IMPORT_ERRORS = MAX_IMPORT_ERRORS;
+
+module.exports = mongoose.model('ProductImport', productImportSchema);
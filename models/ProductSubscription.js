@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A "notify me" request: email the subscriber when a product (or one variant option)
+// comes back in stock or gets cheaper. Product updates mark matching subscriptions
+// triggered; jobs/productAlertJob sends the emails.
+const productSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant option the subscription is for; empty for the product as a whole
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  selectedVariants: {
+    type: Map,
+    of: String
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'price_drop'],
+    required: true
+  },
+  // Set for logged-in subscribers; guests subscribe with an email only
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  // price_drop: notify when the price falls below this (moves down after each email)
+  referencePrice: Number,
+  // active -> triggered (by a product update) -> notified (back_in_stock) or active again (price_drop)
+  status: {
+    type: String,
+    enum: ['active', 'triggered', 'notified', 'unsubscribed'],
+    default: 'active'
+  },
+  triggeredAt: Date,
+  triggerPrice: Number,
+  notifiedAt: Date,
+  lastError: String,
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(20).toString('hex')
+  }
+}, {
+  timestamps: true
+});
+
+productSubscriptionSchema.index({ product: 1, option: 1, type: 1, status: 1 });
+productSubscriptionSchema.index({ status: 1, triggeredAt: 1 });
+productSubscriptionSchema.index({ user: 1 });
+// One live subscription per email, product option and type
+productSubscriptionSchema.index(
+  { email: 1, product: 1, option: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['active', 'triggered'] } } }
+);
+
+module.exports = mongoose.model('ProductSubscription', productSubscriptionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A shopper's viewing history of one product: how often and when they last opened it.
+// One document per viewer (signed-in user, or X-Session-Id of anonymous shoppers) and
+// product; feeds "recently viewed" and "recommended for you".
+const productViewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: String,
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Counted views (repeat views within the dedup window are not counted)
+  count: {
+    type: Number,
+    default: 1
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+productViewSchema.index({ user: 1, product: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+productViewSchema.index({ sessionId: 1, product: 1 }, { unique: true, partialFilterExpression: { sessionId: { $exists: true } } });
+productViewSchema.index({ user: 1, lastViewedAt: -1 });
+
+module.exports = mongoose.model('ProductView', productViewSchema);
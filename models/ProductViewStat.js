@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Days of view counts kept before the TTL index removes them
+const VIEW_STATS_TTL_DAYS = Number(process.env.VIEW_STATS_TTL_DAYS) || 400;
+
+// Counted views of a product on one day (Asia/Kolkata, like the sales reports).
+// Feeds trending products and seller view reports.
+const productViewStatSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  },
+  // YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+productViewStatSchema.index({ product: 1, day: 1 }, { unique: true });
+productViewStatSchema.index({ day: 1 });
+productViewStatSchema.index({ seller: 1, day: 1 });
+productViewStatSchema.index({ createdAt: 1 }, { expireAfterSeconds: VIEW_STATS_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProductViewStat', productViewStatSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Precomputed product recommendations, rebuilt by jobs/recommendationJob:
+// - bought_together: products ordered in the same checkout as `product`
+// - similar: products sharing category, brand or tags with `product`
+// - for_user: the personal feed of `user`, from their views, wishlist and orders
+const recommendationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['bought_together', 'similar', 'for_user'],
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Best first
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    score: Number
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+recommendationSchema.index({ type: 1, product: 1 }, { unique: true, partialFilterExpression: { product: { $exists: true } } });
+recommendationSchema.index({ type: 1, user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+recommendationSchema.index({ type: 1, computedAt: 1 });
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
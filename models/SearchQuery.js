@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Days search queries are kept before the TTL index removes them
+const SEARCH_LOG_TTL_DAYS = Number(process.env.SEARCH_LOG_TTL_DAYS) || 180;
+
+// One storefront search: what was asked, how many products it found and which of them the
+// shopper opened. Feeds autocomplete suggestions and the admin search reports.
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true
+  },
+  // Lowercased, punctuation-free form used for grouping and prefix suggestions
+  normalizedQuery: {
+    type: String,
+    required: true
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  // True when no product matched the words and typo-tolerant matching was used
+  fuzzy: {
+    type: Boolean,
+    default: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // X-Session-Id header of anonymous shoppers
+  sessionId: String,
+  // Products opened from the results, in click order
+  clickedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  firstClickAt: Date
+}, {
+  timestamps: true
+});
+
+searchQuerySchema.index({ normalizedQuery: 1, createdAt: -1 });
+searchQuerySchema.index({ resultCount: 1, createdAt: -1 });
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { normalizeSearchText } = require('../utils/searchText');
+
+// A group of interchangeable search terms ("tv", "television"). A query containing any
+// term of a group also matches products containing the others.
+const searchSynonymSchema = new mongoose.Schema({
+  terms: {
+    type: [String],
+    validate: {
+      validator: (terms) => Array.isArray(terms) && terms.length >= 2,
+      message: 'A synonym group needs at least two terms'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+searchSynonymSchema.pre('validate', function(next) {
+  this.terms = [...new Set((this.terms || []).map(normalizeSearchText).filter(Boolean))];
+  next();
+});
+
+searchSynonymSchema.index({ terms: 1 });
+
+module.exports = mongoose.model('SearchSynonym', searchSynonymSchema);
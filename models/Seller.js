@@ -99,6 +99,8 @@ const sellerSchema = new mongoose.Schema({
     paypalEmail: String,
     stripeAccountId: String
   },
+  // Last daily low-stock digest run for this seller (jobs/lowStockDigestJob)
+  lowStockDigestSentAt: Date,
   commissionRate: {
     type: Number,
     default: 7, // 7% commission by default
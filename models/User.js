@@ -73,11 +73,32 @@ const userSchema = new mongoose.Schema({
       default: 1,
       min: 1
     },
+    // Any variant combination, keyed by variant name (e.g. { Color: 'Black', Storage: '128GB' })
     selectedVariants: {
-      size: String,
-      color: String
-    }
+      type: Map,
+      of: String
+    },
+    // Unit price when the line was added or last validated, to report price changes
+    price: Number
   }],
+  // Cart lines moved out of the cart to buy later; same shape as cart
+  savedForLater: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    selectedVariants: {
+      type: Map,
+      of: String
+    },
+    price: Number
+  }],
+  // Legacy flat wishlist; moved into the user's default Wishlist on first use
   wishlist: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
@@ -110,6 +131,11 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
 
+  // Account created by a guest checkout; becomes a normal account when registered with the same email
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
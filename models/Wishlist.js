@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A named list of products a customer wants to come back to ("Gifts", "Diwali", ...).
+// Every user has one default list, which the /api/users/wishlist endpoints work on.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a wishlist name'],
+    trim: true,
+    maxlength: [50, 'Wishlist name cannot be more than 50 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    selectedVariants: {
+      type: Map,
+      of: String
+    },
+    // Price and availability when the item was added; compared with the current
+    // ones to flag price drops and items back in stock
+    priceAtAdd: Number,
+    inStockAtAdd: Boolean,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set while the list is shared; anyone with the link can view it
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  shareToken: String
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+// Start sharing the list under a new link token (revoking any earlier link)
+wishlistSchema.methods.share = function() {
+  this.isPublic = true;
+  this.shareToken = crypto.randomBytes(16).toString('hex');
+  return this.shareToken;
+};
+
+wishlistSchema.methods.unshare = function() {
+  this.isPublic = false;
+  this.shareToken = undefined;
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
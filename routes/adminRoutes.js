@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 const adminController = require('../controllers/adminController');
 const orderController = require('../controllers/orderController');
 
@@ -33,16 +34,25 @@ router.get('/orders/cancellation-requests', adminController.getCancellationReque
 // Specific order routes must come before general /orders/:id routes
 router.put('/orders/:id/approve-cancel', orderController.adminApproveCancellation);
 router.put('/orders/:id/reject-cancel', orderController.adminRejectCancellation);
-router.put('/orders/:id/refund', orderController.adminRefundOrder);
+router.put('/orders/:id/refund', idempotency(), orderController.adminRefundOrder);
 // Reports
 router.get('/reports/sales', adminController.getSalesReport);
 router.get('/reports/top-products', adminController.getTopProducts);
+router.get('/reports/search/top-queries', adminController.getTopSearchQueries);
+router.get('/reports/search/zero-results', adminController.getZeroResultSearchQueries);
+router.get('/reports/search/conversion', adminController.getSearchConversion);
 router.get('/reports/top-vendors', adminController.getTopVendors);
 
 // Admin earnings (commission) routes
 router.get('/wallet/admin-earnings', adminController.getAdminEarningsSummary);
 router.get('/wallet/admin-earnings/trend', adminController.getAdminEarningsTrend);
 
+// Commission rules
+router.get('/commission-rules', adminController.getCommissionRules);
+router.post('/commission-rules', adminController.createCommissionRule);
+router.put('/commission-rules/:id', adminController.updateCommissionRule);
+router.delete('/commission-rules/:id', adminController.deleteCommissionRule);
+
 // Wallet Management Routes
 router.get('/wallet/overview', adminController.getWalletOverview);
 router.get('/wallet/seller-earnings', adminController.getSellerEarnings);
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const guestController = require('../controllers/guestController');
+
+// Public routes: the guest cart is identified by the X-Guest-Token header
+
+// Guest cart
+router.get('/cart', guestController.getGuestCart);
+router.post('/cart', guestController.addToGuestCart);
+router.post('/cart/validate', guestController.validateGuestCart);
+router.delete('/cart/:itemId', guestController.removeFromGuestCart);
+router.put('/cart/:itemId', guestController.updateGuestCartQuantity);
+
+// Guest checkout
+router.post('/checkout/email/start', guestController.startGuestEmailVerification);
+router.post('/checkout/email/verify', guestController.verifyGuestEmail);
+router.post('/checkout', guestController.createGuestOrder); // For COD orders
+router.post('/checkout/razorpay', guestController.createGuestPaymentOrder);
+router.post('/checkout/razorpay/verify', guestController.verifyGuestPayment);
+
+module.exports = router;
@@ -1,20 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 const orderController = require('../controllers/orderController');
 
 // All routes are protected
 router.use(protect);
 
 // Order creation routes
-router.post('/', orderController.createOrder); // For COD orders
-router.post('/with-payment', orderController.createOrderWithPayment); // For Razorpay orders
+router.post('/', idempotency(), orderController.createOrder); // For COD orders
+router.post('/with-payment', idempotency(), orderController.createOrderWithPayment); // For Razorpay orders
 
 // Order management routes
 router.get('/', orderController.getOrders);
+router.get('/groups/:id', orderController.getCheckoutGroup);
+router.get('/groups/:id/invoice', orderController.getCheckoutGroupInvoice);
 router.get('/:id/invoice', orderController.getOrderInvoice);
 router.get('/:id', orderController.getOrder);
-router.put('/:id/status', orderController.updateOrderStatus);
+router.put('/:id/status', authorize('seller', 'admin'), orderController.updateOrderStatus);
 router.put('/:id/cancel', orderController.cancelOrder);
 router.put('/:id/request-cancel', orderController.requestCancelOrder);
 
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 const paymentController = require('../controllers/paymentController');
 
 // All routes are protected
 router.use(protect);
 
 // Payment routes
-router.post('/create-order', paymentController.createPaymentOrder);
+router.post('/create-order', idempotency(), paymentController.createPaymentOrder);
 router.post('/verify', paymentController.verifyPayment);
 router.get('/status/:paymentId', paymentController.getPaymentStatus);
 
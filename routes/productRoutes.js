@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
 const multer = require('multer');
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
@@ -9,7 +9,9 @@ const upload = multer({ storage });
 // Public routes
 router.get('/', productController.getProducts);
 router.get('/featured', productController.getFeaturedProducts);
-router.get('/search', productController.searchProducts);
+router.get('/search', optionalAuth, productController.searchProducts);
+router.post('/search/:searchId/click', optionalAuth, productController.recordSearchClick);
+router.get('/autocomplete', productController.autocompleteProducts);
 router.get('/category/:categoryId', productController.getProductsByCategory);
 
 // Event banner routes (must be before /:id)
@@ -20,15 +22,32 @@ router.get('/event-banners', productController.getEventBanners);
 router.put('/event-banner/:id', protect, authorize('admin'), productController.updateEventBanner);
 router.delete('/event-banner/:id', protect, authorize('admin'), productController.deleteEventBanner);
 
+// Admin-only: search synonym groups (must come before /:id routes)
+router.get('/search/synonyms', protect, authorize('admin'), productController.getSearchSynonyms);
+router.post('/search/synonyms', protect, authorize('admin'), productController.createSearchSynonym);
+router.put('/search/synonyms/:id', protect, authorize('admin'), productController.updateSearchSynonym);
+router.delete('/search/synonyms/:id', protect, authorize('admin'), productController.deleteSearchSynonym);
+
 // Discover and recommended products
 router.get('/discover', productController.getDiscoverProducts);
 router.get('/recommended', productController.getRecommendedProducts);
+router.get('/trending', productController.getTrendingProducts);
 
 // Get all reviews for a vendor's products (must come before /:id routes)
 router.get('/vendor/:vendorId/reviews', productController.getReviewsForVendor);
 
-// Get product by ID
-router.get('/:id', productController.getProduct);
+// Back-in-stock / price-drop alert unsubscribe link (must come before /:id routes)
+router.get('/subscriptions/unsubscribe/:token', productController.unsubscribeFromProductAlert);
+
+// Get product by ID (views are tracked per signed-in user or X-Session-Id)
+router.get('/:id', optionalAuth, productController.getProduct);
+
+// Recommendations for a product page
+router.get('/:id/bought-together', productController.getBoughtTogetherProducts);
+router.get('/:id/similar', productController.getSimilarProducts);
+
+// Back-in-stock / price-drop alerts (guests subscribe with an email)
+router.post('/:id/subscriptions', optionalAuth, productController.subscribeToProduct);
 
 // Get product variant by combination
 router.post('/:id/variant', productController.getProductVariant);
@@ -5,6 +5,10 @@ const sellerController = require('../controllers/sellerController');
 const multer = require('multer');
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
+const importUpload = multer({
+  storage,
+  limits: { fileSize: (Number(process.env.PRODUCT_IMPORT_MAX_FILE_MB) || 10) * 1024 * 1024 }
+});
 
 // Public routes
 router.post('/register', upload.fields([
@@ -23,12 +27,19 @@ router.use(authorize('seller'));
 router.get('/dashboard', sellerController.getDashboard);
 router.get('/products', sellerController.getProducts);
 router.post('/products', upload.array('images', 5), sellerController.createProduct);
+router.post('/products/import', importUpload.single('file'), sellerController.importProducts);
+router.get('/products/imports', sellerController.getProductImports);
+router.get('/products/imports/:id', sellerController.getProductImport);
+router.get('/products/export', sellerController.exportProducts);
 router.put('/products/:id', upload.single('image'), sellerController.updateProduct);
 router.delete('/products/:id', sellerController.deleteProduct);
+router.get('/inventory', sellerController.getInventory);
+router.patch('/inventory/bulk', sellerController.bulkUpdateInventory);
 router.get('/orders', sellerController.getOrders);
 router.put('/orders/:id/status', sellerController.updateOrderStatus);
 router.get('/stats', sellerController.getStats);
 router.get('/reports/sales', sellerController.getSalesReport);
+router.get('/reports/views', sellerController.getViewsReport);
 router.get('/orders/status-summary', sellerController.getOrderStatusSummary);
 router.get('/wallet/overview', sellerController.getWalletOverview);
 router.put('/products/:id/sold-count', sellerController.updateSoldCount);
@@ -9,10 +9,20 @@ router.use(protect);
 router.put('/profile', userController.updateProfile);
 router.get('/cart', userController.getCart);
 router.post('/cart', userController.addToCart);
-router.delete('/cart/:productId', userController.removeFromCart);
-router.put('/cart/:productId', userController.updateCartQuantity);
+router.post('/cart/validate', userController.validateCart);
+router.delete('/cart/:itemId', userController.removeFromCart);
+router.put('/cart/:itemId', userController.updateCartQuantity);
+router.post('/cart/:itemId/save-for-later', userController.saveForLater);
+router.get('/saved-for-later', userController.getSavedForLater);
+router.post('/saved-for-later/:itemId/move-to-cart', userController.moveToCart);
+router.delete('/saved-for-later/:itemId', userController.removeFromSavedForLater);
 router.get('/wishlist', userController.getWishlist);
 router.post('/wishlist/:productId', userController.addToWishlist);
 router.delete('/wishlist/:productId', userController.removeFromWishlist);
+router.get('/subscriptions', userController.getProductSubscriptions);
+router.get('/recommendations', userController.getRecommendations);
+router.get('/recently-viewed', userController.getRecentlyViewed);
+router.delete('/recently-viewed', userController.clearRecentlyViewed);
+router.delete('/subscriptions/:id', userController.deleteProductSubscription);
 
 module.exports = router; 
\ No newline at end of file
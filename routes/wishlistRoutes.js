@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const wishlistController = require('../controllers/wishlistController');
+
+// Public route: shared wishlist links
+router.get('/shared/:token', wishlistController.getSharedWishlist);
+
+// Protected routes
+router.use(protect);
+
+router.get('/', wishlistController.getWishlists);
+router.post('/', wishlistController.createWishlist);
+router.get('/:id', wishlistController.getWishlist);
+router.put('/:id', wishlistController.updateWishlist);
+router.delete('/:id', wishlistController.deleteWishlist);
+router.post('/:id/items', wishlistController.addItem);
+router.delete('/:id/items/:itemId', wishlistController.removeItem);
+router.post('/:id/items/:itemId/move', wishlistController.moveItem);
+router.post('/:id/share', wishlistController.shareWishlist);
+router.delete('/:id/share', wishlistController.unshareWishlist);
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 const withdrawalController = require('../controllers/withdrawalController');
 
 // Seller routes
-router.post('/request', protect, authorize('seller'), withdrawalController.createWithdrawalRequest);
+router.post('/request', protect, authorize('seller'), idempotency(), withdrawalController.createWithdrawalRequest);
 router.delete('/:id', protect, authorize('seller'), withdrawalController.deleteMyWithdrawal);
 router.get('/mine', protect, authorize('seller'), withdrawalController.getSellerWithdrawalRequests);
 
@@ -0,0 +1,78 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const {
+  DEFAULT_MARKETPLACE,
+  counterName,
+  parseOrderNumber,
+  nextOrderNumber
+} = require('../services/orderNumberService');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Seed order number counters from existing orders so new numbers continue after them.
+// Existing order numbers are left unchanged; safe to run more than once.
+const migrateOrderNumberCounters = async () => {
+  try {
+    console.log('Starting order number counter migration...');
+
+    // Orders created before the marketplace field existed
+    const marketplaceResult = await Order.updateMany(
+      { marketplace: { $exists: false } },
+      { $set: { marketplace: DEFAULT_MARKETPLACE } }
+    );
+    console.log(`Set marketplace on ${marketplaceResult.modifiedCount} orders`);
+
+    // Highest sequence used per prefix and day
+    const highest = new Map();
+    let skipped = 0;
+    const cursor = Order.find({ orderNumber: { $exists: true, $ne: null } }).select('orderNumber').lean().cursor();
+    for await (const order of cursor) {
+      const parsed = parseOrderNumber(order.orderNumber);
+      if (!parsed) {
+        skipped++;
+        continue;
+      }
+      const name = counterName(parsed.prefix, parsed.datePart);
+      highest.set(name, Math.max(highest.get(name) || 0, parsed.seq));
+    }
+    if (skipped) console.log(`Skipped ${skipped} order numbers in an unknown format`);
+
+    // $max never moves a counter backwards if new orders were placed meanwhile
+    for (const [name, seq] of highest) {
+      await Counter.updateOne({ _id: name }, { $max: { seq } }, { upsert: true });
+    }
+    console.log(`Seeded ${highest.size} order number counters`);
+
+    // Orders that never received a number get one for the day they were placed
+    const unnumbered = await Order.find({ $or: [{ orderNumber: { $exists: false } }, { orderNumber: null }] })
+      .select('createdAt marketplace');
+    for (const order of unnumbered) {
+      const orderNumber = await nextOrderNumber({ marketplace: order.marketplace, date: order.createdAt });
+      await Order.updateOne({ _id: order._id }, { $set: { orderNumber } });
+    }
+    console.log(`Numbered ${unnumbered.length} orders without an order number`);
+
+    console.log('Order number counter migration completed successfully!');
+  } catch (error) {
+    console.error('Error migrating order number counters:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the migration
+connectDB().then(() => {
+  migrateOrderNumberCounters();
+});
@@ -0,0 +1,80 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { trigrams } = require('../utils/searchText');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Replace the old name/description/brand text index with the weighted search index and
+// fill the search fields of existing products. Safe to run more than once.
+const migrateProductSearchIndex = async () => {
+  try {
+    console.log('Starting product search index migration...');
+
+    // MongoDB allows one text index per collection
+    const indexes = await Product.collection.indexes();
+    for (const index of indexes) {
+      if (index.key && index.key._fts === 'text' && index.name !== 'product_search_text') {
+        await Product.collection.dropIndex(index.name);
+        console.log(`Dropped text index ${index.name}`);
+      }
+    }
+
+    const categories = await Category.find().select('name').lean();
+    const categoryNames = new Map(categories.map(c => [String(c._id), c.name]));
+
+    let updated = 0;
+    let batch = [];
+    const cursor = Product.find().select('name brand tags category subCategory').lean().cursor();
+    for await (const product of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: {
+              searchGrams: trigrams([product.name, product.brand, ...(product.tags || [])].join(' ')),
+              searchCategory: [product.category, product.subCategory]
+                .filter(Boolean)
+                .map(id => categoryNames.get(String(id)))
+                .filter(Boolean)
+                .join(' ')
+            }
+          }
+        }
+      });
+      if (batch.length === 500) {
+        await Product.bulkWrite(batch);
+        updated += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await Product.bulkWrite(batch);
+      updated += batch.length;
+    }
+    console.log(`Updated search fields of ${updated} products`);
+
+    await Product.createIndexes();
+    console.log('Product search index migration completed successfully!');
+  } catch (error) {
+    console.error('Error migrating product search index:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the migration
+connectDB().then(() => {
+  migrateProductSearchIndex();
+});
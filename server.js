@@ -66,6 +66,8 @@ const returnRoutes = require('./routes/returnRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const bannerRoutes = require('./routes/bannerRoutes');
 const brandRoutes = require('./routes/brandRoutes');
+const guestRoutes = require('./routes/guestRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorMiddleware');
@@ -132,9 +134,12 @@ app.use(cors({
     'Origin',
     'Access-Control-Request-Method',
     'Access-Control-Request-Headers',
-    'X-Requested-With'
+    'X-Requested-With',
+    'Idempotency-Key',
+    'X-Guest-Token',
+    'X-Session-Id'
   ],
-  exposedHeaders: ['Content-Length', 'Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Authorization', 'Idempotent-Replayed'],
   preflightContinue: false,
   optionsSuccessStatus: 204,
   maxAge: 86400 // Cache preflight requests for 24 hours
@@ -158,7 +163,10 @@ app.options('*', cors({
     'Accept',
     'Origin',
     'Access-Control-Request-Method',
-    'Access-Control-Request-Headers'
+    'Access-Control-Request-Headers',
+    'Idempotency-Key',
+    'X-Guest-Token',
+    'X-Session-Id'
   ],
   optionsSuccessStatus: 204
 }));
@@ -210,6 +218,10 @@ if (process.env.NODE_ENV === 'production') {
   // Don't apply rate limiting in development at all
 }
 
+// Razorpay webhook (registered before the JSON body parser: the signature covers the raw body)
+const paymentController = require('./controllers/paymentController');
+app.post('/api/webhooks/razorpay', express.raw({ type: 'application/json' }), paymentController.razorpayWebhook);
+
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -242,6 +254,8 @@ app.use('/api/withdrawals', withdrawalRoutes);
 app.use('/api/shipping', shippingRoutes);
 app.use('/api/returns', returnRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/guest', guestRoutes);
+app.use('/api/wishlists', wishlistRoutes);
 
 // RapidShyp webhook (must be before error handler and should accept raw body)
 const shippingController = require('./controllers/shippingController');
@@ -475,6 +489,14 @@ const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Background jobs
+const { startProductAlertJob } = require('./jobs/productAlertJob');
+const { startLowStockDigestJob } = require('./jobs/lowStockDigestJob');
+const { startRecommendationJob } = require('./jobs/recommendationJob');
+startProductAlertJob();
+startLowStockDigestJob();
+startRecommendationJob();
+
 // --- SOCKET.IO SETUP ---
 const socketOrigins = [
   'http://localhost:3000',
@@ -494,6 +516,8 @@ const io = new Server(server, {
   }
 });
 
+require('./utils/socket').setIO(io);
+
 const onlineUsers = new Map();
 
 io.on('connection', (socket) => {
@@ -501,6 +525,8 @@ io.on('connection', (socket) => {
   socket.on('join', (userId) => {
     onlineUsers.set(userId, socket.id);
     socket.userId = userId;
+    // Room for server-side notifications to this user (utils/socket emitToUser)
+    socket.join(`user:${userId}`);
   });
 
   // Join conversation room
@@ -0,0 +1,289 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+
+/**
+ * Cart Service
+ * Checks cart lines against the current catalogue: products that can no longer be
+ * bought, prices that changed since the line was added and variant options without
+ * enough stock. The cart validation endpoint applies the result to the saved cart;
+ * checkout runs the same check and refuses to place orders from a stale cart.
+ * The line operations here work on both User.cart and GuestCart.items.
+ */
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const cartError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Lines for the same product and variant combination are the same cart line
+const cartLineKey = (line) => {
+  const productId = line.product && line.product._id ? line.product._id : line.product;
+  return `${productId}:${JSON.stringify(Product.normalizeVariantSelection(line.selectedVariants))}`;
+};
+
+/**
+ * Add a product to a cart array (User.cart or GuestCart.items), bumping the quantity of an
+ * existing line for the same variant combination
+ * @param {Array} cart - Mongoose array of cart lines; the caller saves the parent document
+ * @param {Object} productDoc - Product document
+ * @param {Object} params
+ * @param {Number} [params.quantity=1]
+ * @param {Object} [params.selectedVariants]
+ * @returns {Object|null} The cart line, or null when the selection is not an active variant option
+ */
+const addCartLine = (cart, productDoc, { quantity = 1, selectedVariants = {} } = {}) => {
+  // Any variant combination is accepted as long as it resolves to an active option of the product
+  const selection = productDoc.resolveVariantSelection(selectedVariants);
+  if (!selection) return null;
+  const price = selection.option ? selection.option.price : productDoc.price;
+  const key = cartLineKey({ product: productDoc._id, selectedVariants: selection.combination });
+
+  const existingItem = cart.find(item => cartLineKey(item) === key);
+  if (existingItem) {
+    existingItem.quantity += quantity;
+    existingItem.price = price;
+    return existingItem;
+  }
+  cart.push({ product: productDoc._id, quantity, selectedVariants: selection.combination, price });
+  return cart[cart.length - 1];
+};
+
+/**
+ * Find one line of a cart array (User.cart or GuestCart.items): the line with `itemId` as
+ * its _id, or else the line for product `itemId` and the given variant combination
+ * @param {Array} cart - Mongoose array of cart lines
+ * @param {String} itemId - Cart line id, or product id
+ * @param {Object} [selectedVariants] - Variant combination when `itemId` is a product id
+ * @returns {Object|undefined} The cart line
+ */
+const findCartLine = (cart, itemId, selectedVariants) => {
+  const line = cart.find(item => String(item._id) === String(itemId));
+  if (line) return line;
+  const key = cartLineKey({ product: itemId, selectedVariants });
+  return cart.find(item => cartLineKey(item) === key);
+};
+
+/**
+ * Merge cart lines into another cart array. Lines for the same product and variant are
+ * combined into one line with the quantities added up; cart validation later cuts
+ * quantities to the stock left.
+ * @param {Array} target - Mongoose array of cart lines; the caller saves the parent document
+ * @param {Array} lines - Lines to merge in
+ * @returns {Number} Number of lines merged
+ */
+const mergeCartLines = (target, lines) => {
+  let merged = 0;
+  for (const line of lines || []) {
+    if (!line.product) continue;
+    const key = cartLineKey(line);
+    const existingItem = target.find(item => cartLineKey(item) === key);
+    if (existingItem) {
+      existingItem.quantity += line.quantity;
+      if (line.price !== undefined && line.price !== null) existingItem.price = line.price;
+    } else {
+      target.push({
+        product: line.product,
+        quantity: line.quantity,
+        selectedVariants: Product.normalizeVariantSelection(line.selectedVariants),
+        price: line.price
+      });
+    }
+    merged++;
+  }
+  return merged;
+};
+
+/**
+ * Check cart lines against already loaded products
+ * @param {Array<{product: String, quantity: Number, selectedVariants?: Object, price?: Number}>} items
+ *   Cart lines; `price` is the unit price the customer last saw, when known
+ * @param {Map<string, Object>} productsById - Product documents keyed by id
+ * @returns {Object} { items, removed, priceChanges, stockIssues, sellers, itemsPrice }
+ */
+const checkCartLines = (items, productsById) => {
+  const report = { items: [], removed: [], priceChanges: [], stockIssues: [], sellers: [], itemsPrice: 0 };
+  const sellers = new Map();
+
+  for (const line of items || []) {
+    const productId = String(line.product && line.product._id ? line.product._id : line.product);
+    const product = productsById.get(productId);
+    const quantity = Number(line.quantity) || 0;
+    const base = {
+      product: productId,
+      name: product ? product.name : undefined,
+      selectedVariants: Product.normalizeVariantSelection(line.selectedVariants),
+      quantity
+    };
+
+    if (!product) {
+      report.removed.push({ ...base, reason: 'not_found' });
+      continue;
+    }
+    if (!product.isActive) {
+      report.removed.push({ ...base, reason: 'inactive' });
+      continue;
+    }
+    if (!product.isApproved) {
+      report.removed.push({ ...base, reason: 'not_approved' });
+      continue;
+    }
+    const selection = product.resolveVariantSelection(line.selectedVariants);
+    if (!selection) {
+      report.removed.push({ ...base, reason: 'invalid_variant' });
+      continue;
+    }
+
+    const { combination, option } = selection;
+    const available = Math.max(0, Number(option ? option.stock : product.stock) || 0);
+    if (available === 0) {
+      report.removed.push({ ...base, selectedVariants: combination, reason: 'out_of_stock' });
+      continue;
+    }
+
+    const price = option ? option.price : product.price;
+    const lastPrice = line.price === undefined || line.price === null ? null : Number(line.price);
+    if (lastPrice !== null && Math.abs(roundMoney(lastPrice) - roundMoney(price)) > 0.001) {
+      report.priceChanges.push({ ...base, selectedVariants: combination, oldPrice: lastPrice, newPrice: price });
+    }
+
+    // Shortfalls keep the line at the quantity that can still be supplied
+    let finalQuantity = quantity;
+    if (quantity > available) {
+      report.stockIssues.push({ ...base, selectedVariants: combination, requested: quantity, available });
+      finalQuantity = available;
+    }
+
+    const sellerId = product.seller ? String(product.seller) : null;
+    const subtotal = roundMoney(price * finalQuantity);
+    report.items.push({
+      product: productId,
+      name: product.name,
+      seller: sellerId,
+      selectedVariants: combination,
+      sku: (option ? option.sku : product.sku) || '',
+      price,
+      quantity: finalQuantity,
+      available,
+      subtotal
+    });
+
+    if (!sellers.has(sellerId)) sellers.set(sellerId, { seller: sellerId, itemCount: 0, subtotal: 0 });
+    const sellerTotals = sellers.get(sellerId);
+    sellerTotals.itemCount += finalQuantity;
+    sellerTotals.subtotal = roundMoney(sellerTotals.subtotal + subtotal);
+  }
+
+  report.sellers = Array.from(sellers.values());
+  report.itemsPrice = roundMoney(report.sellers.reduce((sum, s) => sum + s.subtotal, 0));
+  return report;
+};
+
+/**
+ * Load the products of some cart lines and check them
+ * @param {Array} items - Cart lines
+ * @returns {Promise<Object>} Report from checkCartLines
+ */
+const validateCartItems = async (items) => {
+  const productIds = (items || []).map(line => (line.product && line.product._id ? line.product._id : line.product));
+  const products = await Product.find({ _id: { $in: productIds } });
+  return checkCartLines(items, new Map(products.map(p => [String(p._id), p])));
+};
+
+/**
+ * Throw a 409 carrying the report when cart lines cannot be checked out as sent
+ * @param {Array} items - Cart lines
+ * @param {Map<string, Object>} productsById - Product documents keyed by id
+ * @returns {Object} Report from checkCartLines
+ */
+const assertCartLinesValid = (items, productsById) => {
+  const report = checkCartLines(items, productsById);
+  if (report.removed.length || report.stockIssues.length || report.priceChanges.length) {
+    const error = cartError('Your cart has changed. Please review it before placing the order.', 'CartChanged', 409);
+    error.details = {
+      removed: report.removed,
+      priceChanges: report.priceChanges,
+      stockIssues: report.stockIssues
+    };
+    throw error;
+  }
+  return report;
+};
+
+/**
+ * Validate the cart array of a document (User.cart, GuestCart.items) and apply the result to
+ * it: unavailable lines are removed, short lines are cut to the stock left and every line is
+ * repriced. Saves the document when anything changed.
+ * @param {Object} doc - User or GuestCart document
+ * @param {String} field - 'cart' | 'items'
+ * @returns {Promise<Object>} Report from checkCartLines plus `changed`
+ */
+const validateCartDocument = async (doc, field) => {
+  const report = await validateCartItems(doc[field]);
+  const validByKey = new Map(report.items.map(item => [cartLineKey(item), item]));
+
+  let changed = report.removed.length > 0;
+  doc[field] = doc[field].filter((line) => {
+    const item = validByKey.get(cartLineKey(line));
+    if (!item) return false;
+    if (line.quantity !== item.quantity || line.price !== item.price) {
+      line.quantity = item.quantity;
+      line.price = item.price;
+      changed = true;
+    }
+    return true;
+  });
+  if (changed) {
+    await doc.save();
+  }
+
+  return { ...report, changed };
+};
+
+/**
+ * Validate a user's saved cart (see validateCartDocument)
+ * @param {String} userId
+ * @returns {Promise<Object>} Report from checkCartLines plus `changed`
+ */
+const validateUserCart = async (userId) => {
+  const user = await User.findById(userId).select('cart');
+  if (!user) {
+    throw cartError('User not found', 'UserNotFound', 404);
+  }
+  return validateCartDocument(user, 'cart');
+};
+
+/**
+ * Move the lines of a guest cart into a user's cart and delete the guest cart
+ * @param {String} userId
+ * @param {String} guestToken - Anonymous token of the guest cart
+ * @returns {Promise<Number>} Number of lines merged (0 when there is no guest cart)
+ */
+const mergeGuestCart = async (userId, guestToken) => {
+  const GuestCart = require('../models/GuestCart');
+  const guestCart = await GuestCart.findByToken(guestToken);
+  if (!guestCart || guestCart.items.length === 0) return 0;
+
+  const user = await User.findById(userId).select('cart');
+  if (!user) return 0;
+  const merged = mergeCartLines(user.cart, guestCart.items);
+  await user.save();
+  await GuestCart.deleteOne({ _id: guestCart._id });
+  return merged;
+};
+
+module.exports = {
+  cartLineKey,
+  addCartLine,
+  findCartLine,
+  mergeCartLines,
+  checkCartLines,
+  validateCartItems,
+  assertCartLinesValid,
+  validateCartDocument,
+  validateUserCart,
+  mergeGuestCart
+};
@@ -0,0 +1,487 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const Seller = require('../models/Seller');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const GuestCart = require('../models/GuestCart');
+const { runAtomic } = require('../utils/transaction');
+const { calculateOrderCommission } = require('./commissionService');
+const { resolveProductTaxes, isIntraState, computeLineTax, summarizeTax } = require('./taxService');
+const { quoteSellerShipping } = require('./shippingQuoteService');
+const { assertCartLinesValid } = require('./cartService');
+const { findThresholdCrossing, notifyLowStock } = require('./inventoryService');
+
+/**
+ * Checkout Service
+ * Turns a cart into one Order per seller. Every write of a checkout (orders, stock,
+ * coupon usage, cart clear) runs through runAtomic so a failure on any seller
+ * leaves the database exactly as it was before the request.
+ */
+
+const checkoutError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Group cart lines by seller id
+ * @param {Array<{product: String, seller: String, quantity: Number}>} items
+ * @returns {Object<string, Array>} Items keyed by seller id
+ */
+const groupItemsBySeller = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw checkoutError('No items to checkout.', 'EmptyCheckout');
+  }
+  const itemsBySeller = {};
+  for (const item of items) {
+    if (!item.product || !item.seller) {
+      throw checkoutError('Product or seller missing in order item.', 'OrderItemInvalid');
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw checkoutError(`Invalid quantity for product ${item.product}`, 'OrderItemInvalid');
+    }
+    const sellerId = String(item.seller);
+    if (!itemsBySeller[sellerId]) itemsBySeller[sellerId] = [];
+    itemsBySeller[sellerId].push({ ...item, quantity });
+  }
+  return itemsBySeller;
+};
+
+const normalizeShippingAddress = (shippingAddress = {}) => ({
+  type: shippingAddress.type || 'home',
+  street: shippingAddress.street,
+  city: shippingAddress.city,
+  state: shippingAddress.state,
+  zipCode: shippingAddress.zipCode,
+  country: shippingAddress.country,
+  phone: shippingAddress.phone || '',
+});
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+// Split a cart-level amount across sellers in proportion to their subtotal.
+// The last seller absorbs the rounding remainder so the shares always add up exactly.
+const prorate = (amount, subtotals) => {
+  const total = subtotals.reduce((sum, v) => sum + v, 0);
+  if (!amount || total <= 0) return subtotals.map(() => 0);
+  let allocated = 0;
+  return subtotals.map((subtotal, index) => {
+    if (index === subtotals.length - 1) return roundMoney(amount - allocated);
+    const share = roundMoney(amount * subtotal / total);
+    allocated += share;
+    return share;
+  });
+};
+
+// Load and validate the coupon for this user; throws when it cannot be redeemed
+const loadCoupon = async (code, userId) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) return null;
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon) {
+    throw checkoutError('Invalid or expired coupon', 'CouponInvalid', 404);
+  }
+  const redemptionError = coupon.getRedemptionError(userId);
+  if (redemptionError) {
+    throw checkoutError(redemptionError.message, 'CouponInvalid', redemptionError.statusCode);
+  }
+  return coupon;
+};
+
+/**
+ * Price a checkout from the database, ignoring any prices or discounts sent by the client
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {Array} params.items - Cart lines ({ product, seller, quantity, selectedVariants, price? })
+ * @param {Object} [params.shippingAddress] - Buyer pincode for shipping quotes; state decides CGST+SGST vs IGST
+ * @param {String} [params.paymentMethod] - 'cod' quotes cash-on-delivery shipping rates
+ * @param {String} [params.coupon] - Coupon code
+ * @returns {Promise<Object>} Quote with per-seller lines and totals
+ */
+const priceCheckout = async ({ user, items, shippingAddress, paymentMethod, coupon }) => {
+  const itemsBySeller = groupItemsBySeller(items);
+  const productIds = Object.values(itemsBySeller).flat().map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+  // Same check as POST /api/users/cart/validate: no orders from removed, repriced or short lines
+  assertCartLinesValid(Object.values(itemsBySeller).flat(), productsById);
+  const taxesByProduct = await resolveProductTaxes(products);
+  const sellerDocs = await Seller.find({ _id: { $in: Object.keys(itemsBySeller) } }).select('shopName address businessInfo');
+  const sellerDocsById = new Map(sellerDocs.map(s => [String(s._id), s]));
+
+  const sellers = Object.keys(itemsBySeller).map((sellerId) => {
+    const lines = itemsBySeller[sellerId].map((item) => {
+      const product = productsById.get(String(item.product));
+      if (!product) {
+        throw checkoutError(`Product not found: ${item.product}`, 'OrderProductNotFound', 404);
+      }
+      if (!product.seller || product.seller.toString() !== sellerId) {
+        throw checkoutError(`Product seller mismatch for product ${product._id}`, 'OrderProductSellerMismatch');
+      }
+      const selection = product.resolveVariantSelection(item.selectedVariants);
+      if (!selection) {
+        throw checkoutError(`Invalid variant selection for product ${product.name}`, 'OrderVariantInvalid');
+      }
+      const { combination, variant, option } = selection;
+      const optionImage = option && option.images && option.images[0] ? option.images[0].url : '';
+      return {
+        orderItem: {
+          product: product._id,
+          name: product.name,
+          image: optionImage || (product.images && product.images[0] ? product.images[0].url : ''),
+          price: option ? option.price : product.price,
+          quantity: item.quantity,
+          selectedVariants: combination,
+          sku: (option ? option.sku : product.sku) || '',
+          ...taxesByProduct.get(String(product._id))
+        },
+        reservation: {
+          product: product._id,
+          name: product.name,
+          category: product.category,
+          subCategory: product.subCategory,
+          quantity: item.quantity,
+          variantId: variant ? variant._id : null,
+          optionId: option ? option._id : null
+        },
+        shippingLine: { product, option, quantity: item.quantity }
+      };
+    });
+    const orderItems = lines.map(line => line.orderItem);
+    const itemsPrice = roundMoney(orderItems.reduce((sum, i) => sum + i.price * i.quantity, 0));
+    return {
+      sellerId,
+      orderItems,
+      reservations: lines.map(line => line.reservation),
+      shippingLines: lines.map(line => line.shippingLine),
+      itemsPrice,
+      shippingPrice: 0,
+      taxPrice: 0
+    };
+  });
+
+  const itemsPrice = roundMoney(sellers.reduce((sum, s) => sum + s.itemsPrice, 0));
+  const couponDoc = await loadCoupon(coupon, user._id);
+  const discount = couponDoc ? couponDoc.computeDiscount(itemsPrice) : 0;
+  const shares = prorate(discount, sellers.map(s => s.itemsPrice));
+
+  sellers.forEach((seller, index) => {
+    seller.discount = shares[index];
+
+    // GST is charged on the discounted value of each line
+    const sellerDoc = sellerDocsById.get(seller.sellerId);
+    const intraState = isIntraState(sellerDoc?.address?.state, shippingAddress?.state);
+    const lineDiscounts = prorate(seller.discount, seller.orderItems.map(i => i.price * i.quantity));
+    seller.orderItems.forEach((orderItem, lineIndex) => {
+      const taxableValue = orderItem.price * orderItem.quantity - lineDiscounts[lineIndex];
+      const { cgst, sgst, igst } = computeLineTax(taxableValue, orderItem.gstRate, intraState);
+      Object.assign(orderItem, { taxableValue: roundMoney(taxableValue), cgst, sgst, igst });
+    });
+    const { total: taxPrice, ...taxBreakdown } = summarizeTax(seller.orderItems, intraState);
+    seller.taxPrice = taxPrice;
+    seller.taxBreakdown = taxBreakdown;
+    seller.sellerGstin = sellerDoc?.businessInfo?.taxId || '';
+  });
+
+  // Quoted after discount and tax: COD rates depend on the amount collected on delivery
+  for (const seller of sellers) {
+    const { shippingPrice, quote } = await quoteSellerShipping({
+      seller: sellerDocsById.get(seller.sellerId),
+      deliveryPincode: shippingAddress?.zipCode,
+      lines: seller.shippingLines,
+      itemsPrice: seller.itemsPrice,
+      orderAmount: roundMoney(seller.itemsPrice + seller.taxPrice - seller.discount),
+      cod: paymentMethod === 'cod'
+    });
+    seller.shippingPrice = shippingPrice;
+    seller.shippingQuote = { ...quote, quotedAt: new Date() };
+    seller.totalPrice = roundMoney(seller.itemsPrice + seller.shippingPrice + seller.taxPrice - seller.discount);
+  }
+
+  return {
+    sellers,
+    coupon: couponDoc,
+    itemsPrice,
+    shippingPrice: roundMoney(sellers.reduce((sum, s) => sum + s.shippingPrice, 0)),
+    taxPrice: roundMoney(sellers.reduce((sum, s) => sum + s.taxPrice, 0)),
+    discount,
+    totalPrice: roundMoney(sellers.reduce((sum, s) => sum + s.totalPrice, 0))
+  };
+};
+
+// Reject the checkout when the amount the client showed (or paid) is not what we computed
+const assertTotalMatches = (expected, received, type = 'CheckoutTotalMismatch') => {
+  if (received === undefined || received === null || received === '') return;
+  if (Math.abs(roundMoney(received) - expected) > 0.01) {
+    const error = checkoutError(
+      `Order total mismatch: expected ₹${expected.toFixed(2)}, received ₹${roundMoney(received).toFixed(2)}`,
+      type,
+      409
+    );
+    error.expectedTotal = expected;
+    throw error;
+  }
+};
+
+// Stock field a reserved line draws from: the selected variant option's, or the product's
+const stockTarget = ({ product, variantId, optionId }) => (optionId
+  ? {
+    filter: { _id: product, variants: { $elemMatch: { _id: variantId, 'options._id': optionId } } },
+    stockInc: 'variants.$[v].options.$[o].stock',
+    arrayFilters: [{ 'v._id': variantId }, { 'o._id': optionId }]
+  }
+  : { filter: { _id: product }, stockInc: 'stock', arrayFilters: null });
+
+// Decrement stock only if enough is left, so concurrent checkouts cannot oversell.
+// Lines with a variant selection draw from the selected option's stock instead of the product's.
+const reserveStock = async (line, sellerId, { session, undo }) => {
+  const { quantity, optionId } = line;
+  const { stockInc, arrayFilters } = stockTarget(line);
+  const filter = optionId
+    ? {
+      _id: line.product,
+      seller: sellerId,
+      variants: {
+        $elemMatch: { _id: line.variantId, options: { $elemMatch: { _id: optionId, stock: { $gte: quantity } } } }
+      }
+    }
+    : { _id: line.product, seller: sellerId, stock: { $gte: quantity } };
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { [stockInc]: -quantity, totalSold: quantity } },
+    { new: true, session, ...(arrayFilters ? { arrayFilters } : {}) }
+  );
+
+  if (!product) {
+    const existing = await Product.findById(line.product).session(session).select('name seller');
+    if (!existing) {
+      throw checkoutError(`Product not found: ${line.product}`, 'OrderProductNotFound', 404);
+    }
+    if (!existing.seller || existing.seller.toString() !== sellerId) {
+      throw checkoutError(`Product seller mismatch for product ${existing._id}`, 'OrderProductSellerMismatch');
+    }
+    throw checkoutError(`Insufficient stock for product ${existing.name}`, 'InsufficientStock', 409);
+  }
+
+  undo.push(() => Product.updateOne(
+    { _id: product._id },
+    { $inc: { [stockInc]: quantity, totalSold: -quantity } },
+    arrayFilters ? { arrayFilters } : {}
+  ));
+  return product;
+};
+
+// Mark the coupon as used by this user (once per checkout)
+const markCouponUsed = async (coupon, userId, { session, undo }) => {
+  const previous = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, isActive: true, usedBy: { $ne: userId } },
+    { $addToSet: { usedBy: userId } },
+    { new: false, session }
+  );
+  // Lost a race with another checkout redeeming the same coupon
+  if (!previous) {
+    throw checkoutError('Coupon is no longer available', 'CouponInvalid', 409);
+  }
+
+  const exhausted = previous.usageLimit && (previous.usedBy || []).length + 1 >= previous.usageLimit;
+  if (exhausted) {
+    await Coupon.updateOne({ _id: previous._id }, { $set: { isActive: false } }, { session });
+  }
+
+  undo.push(() => Coupon.updateOne(
+    { _id: previous._id },
+    { $set: { isActive: previous.isActive }, $pull: { usedBy: userId } }
+  ));
+};
+
+const clearCart = async (userId, guestCartId, { session, undo }) => {
+  const user = await User.findById(userId).session(session).select('cart');
+  const previousCart = user ? user.cart.map(line => line.toObject()) : [];
+  await User.updateOne({ _id: userId }, { $set: { cart: [] } }, { session });
+  undo.push(() => User.updateOne({ _id: userId }, { $set: { cart: previousCart } }));
+
+  // Guest checkouts order from one guest cart; other carts of the same guest account
+  // belong to other devices and are left alone
+  if (!guestCartId) return;
+  const guestCart = await GuestCart.findById(guestCartId).session(session).select('items');
+  if (!guestCart) return;
+  const previousItems = guestCart.items.map(line => line.toObject());
+  await GuestCart.updateOne({ _id: guestCart._id }, { $set: { items: [] } }, { session });
+  undo.push(() => GuestCart.updateOne({ _id: guestCart._id }, { $set: { items: previousItems } }));
+};
+
+/**
+ * Create one order per seller for a checkout, atomically
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {Array} params.items - Cart lines ({ product, seller, quantity, selectedVariants })
+ * @param {Object} params.shippingAddress
+ * @param {String} params.paymentMethod - 'cod' | 'razorpay' | ...
+ * @param {String} [params.coupon] - Coupon code applied to the checkout
+ * @param {Number} [params.total] - Total shown to the customer; rejected if it differs from the server total
+ * @param {Object} [params.payment] - Captured payment ({ razorpayOrderId, razorpayPaymentId, razorpaySignature, amount })
+ * @param {String} [params.guestCartId] - Guest cart a guest checkout orders from; emptied with the account cart
+ * @returns {Promise<Array>} Created orders, each linked to one CheckoutGroup by order.checkoutGroup
+ */
+const placeOrder = async ({ user, items, shippingAddress, paymentMethod, coupon, total, payment, guestCartId }) => {
+  const quote = await priceCheckout({ user, items, shippingAddress, paymentMethod, coupon });
+  assertTotalMatches(quote.totalPrice, total);
+  return placeQuotedOrder({ user, quote, shippingAddress, paymentMethod, payment, guestCartId });
+};
+
+/**
+ * Create the orders of an already priced checkout (a priceCheckout quote, or the snapshot
+ * of one kept in a CheckoutSession), atomically. Stock and the coupon are still checked.
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {Object} params.quote - { sellers, coupon, itemsPrice, shippingPrice, taxPrice, discount, totalPrice }
+ * @param {Object} params.shippingAddress
+ * @param {String} params.paymentMethod
+ * @param {Object} [params.payment] - Captured payment; its amount must equal the quote total
+ * @param {String} [params.guestCartId]
+ * @returns {Promise<Array>} Created orders
+ */
+const placeQuotedOrder = async ({ user, quote, shippingAddress, paymentMethod, payment, guestCartId }) => {
+  if (payment) {
+    assertTotalMatches(quote.totalPrice, payment.amount, 'PaymentAmountMismatch');
+  }
+  const userId = user._id;
+  // Items this checkout pushed below their low-stock threshold; sellers are told after commit
+  let lowStockCrossings = [];
+
+  const createdOrders = await runAtomic(async (ctx) => {
+    const createdOrders = [];
+    const crossings = [];
+    // Parent of the per-seller orders; its id is set on each order as it is created
+    const group = new CheckoutGroup({
+      user: userId,
+      shippingAddress: normalizeShippingAddress(shippingAddress),
+      paymentMethod: payment ? (paymentMethod || 'razorpay') : paymentMethod,
+      payment: payment ? {
+        razorpayOrderId: payment.razorpayOrderId,
+        razorpayPaymentId: payment.razorpayPaymentId,
+        amount: payment.amount
+      } : undefined,
+      coupon: quote.coupon ? { code: quote.coupon.code, discount: quote.discount } : undefined,
+      itemsPrice: quote.itemsPrice,
+      shippingPrice: quote.shippingPrice,
+      taxPrice: quote.taxPrice,
+      discount: quote.discount,
+      totalPrice: quote.totalPrice
+    });
+
+    for (const seller of quote.sellers) {
+      for (const line of seller.reservations) {
+        const product = await reserveStock(line, seller.sellerId, ctx);
+        const row = findThresholdCrossing(product, line.optionId, line.quantity);
+        if (row) crossings.push({ seller: seller.sellerId, row });
+      }
+
+      const { commission, sellerEarnings, snapshot } = await calculateOrderCommission({
+        sellerId: seller.sellerId,
+        lines: seller.reservations.map((line, index) => ({
+          product: line.product,
+          category: line.category,
+          subCategory: line.subCategory,
+          amount: seller.orderItems[index].price * line.quantity
+        })),
+        session: ctx.session
+      });
+
+      const order = new Order({
+        user: userId,
+        seller: seller.sellerId,
+        checkoutGroup: group._id,
+        orderItems: seller.orderItems,
+        shippingAddress: normalizeShippingAddress(shippingAddress),
+        paymentMethod: payment ? (paymentMethod || 'razorpay') : paymentMethod,
+        itemsPrice: seller.itemsPrice,
+        taxPrice: seller.taxPrice,
+        taxBreakdown: seller.taxBreakdown,
+        sellerGstin: seller.sellerGstin,
+        shippingPrice: seller.shippingPrice,
+        shippingQuote: seller.shippingQuote,
+        totalPrice: seller.totalPrice,
+        commission,
+        sellerEarnings,
+        commissionSnapshot: snapshot,
+        // COD: do NOT credit wallet immediately; credit after delivery in updateOrderStatus
+        orderStatus: payment ? 'confirmed' : 'pending',
+        paymentStatus: payment ? 'paid' : 'pending',
+        sellerCredited: false,
+        shippingStatus: 'pending',
+        statusHistory: [{
+          field: 'orderStatus',
+          to: payment ? 'confirmed' : 'pending',
+          changedBy: userId,
+          // Orders placed by the payment webhook carry no client signature
+          source: payment && !payment.razorpaySignature ? 'razorpay' : 'customer',
+          note: payment ? 'Order placed and paid' : 'Order placed'
+        }],
+        coupon: quote.coupon ? quote.coupon.code : undefined,
+        discount: seller.discount,
+        ...(payment ? {
+          paymentResult: {
+            id: payment.razorpayPaymentId,
+            status: 'captured',
+            update_time: new Date().toISOString(),
+            email_address: user.email,
+          },
+          razorpayOrderId: payment.razorpayOrderId,
+          razorpayPaymentId: payment.razorpayPaymentId,
+          razorpaySignature: payment.razorpaySignature,
+        } : {})
+      });
+      await order.save({ session: ctx.session });
+      ctx.undo.push(() => Order.deleteOne({ _id: order._id }));
+      createdOrders.push(order);
+    }
+
+    group.orders = createdOrders.map(o => o._id);
+    await group.save({ session: ctx.session });
+    ctx.undo.push(() => CheckoutGroup.deleteOne({ _id: group._id }));
+
+    if (quote.coupon) {
+      await markCouponUsed(quote.coupon, userId, ctx);
+    }
+    await clearCart(userId, guestCartId, ctx);
+
+    lowStockCrossings = crossings;
+    return createdOrders;
+  });
+
+  await notifyLowStock(lowStockCrossings);
+  return createdOrders;
+};
+
+// Put cancelled units of a reserved line back in stock and take them off totalSold
+const releaseStock = async (line, { session, undo }) => {
+  const { filter, stockInc, arrayFilters } = stockTarget(line);
+  const result = await Product.updateOne(
+    filter,
+    { $inc: { [stockInc]: line.quantity, totalSold: -line.quantity } },
+    { session, ...(arrayFilters ? { arrayFilters } : {}) }
+  );
+  if (result.modifiedCount > 0) {
+    undo.push(() => Product.updateOne(
+      filter,
+      { $inc: { [stockInc]: -line.quantity, totalSold: line.quantity } },
+      arrayFilters ? { arrayFilters } : {}
+    ));
+  }
+};
+
+module.exports = {
+  checkoutError,
+  groupItemsBySeller,
+  priceCheckout,
+  assertTotalMatches,
+  releaseStock,
+  placeOrder,
+  placeQuotedOrder
+};
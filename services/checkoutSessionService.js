@@ -0,0 +1,232 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const CheckoutSession = require('../models/CheckoutSession');
+const { createRazorpayOrder, refundPayment } = require('../utils/razorpay');
+const {
+  checkoutError,
+  groupItemsBySeller,
+  priceCheckout,
+  assertTotalMatches,
+  placeOrder,
+  placeQuotedOrder
+} = require('./checkoutService');
+
+/**
+ * Checkout Session Service
+ * An online checkout is priced once, when its Razorpay order is created, and the cart,
+ * address, coupon and per-seller quote (line prices, GST, shipping) are snapshotted in a
+ * CheckoutSession. Whoever learns about the captured payment first (the client callback
+ * or the webhook) places the orders from that snapshot, so the customer gets what they
+ * paid for even if prices change meanwhile. Payments that can no longer be fulfilled
+ * (stock gone, coupon used up) are refunded.
+ */
+
+/**
+ * Price a checkout and open a Razorpay order for the server-computed total
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {Array} params.items - Cart lines ({ product, seller, quantity, selectedVariants })
+ * @param {Object} params.shippingAddress
+ * @param {String} [params.paymentMethod]
+ * @param {String} [params.coupon] - Coupon code
+ * @param {Number} [params.total] - Total shown to the customer; rejected if it differs from the server total
+ * @param {String} [params.currency]
+ * @param {String} [params.guestCartId] - Guest cart of a guest checkout, emptied when the orders are placed
+ * @returns {Promise<{session: Object, razorpayOrder: Object}>}
+ */
+const createCheckoutSession = async ({ user, items, shippingAddress, paymentMethod, coupon, total, currency = 'INR', guestCartId }) => {
+  if (!shippingAddress) {
+    throw checkoutError('Shipping address is required', 'ShippingAddressRequired');
+  }
+  const itemsBySeller = groupItemsBySeller(items);
+  const quote = await priceCheckout({ user, items, shippingAddress, paymentMethod, coupon });
+  assertTotalMatches(quote.totalPrice, total);
+
+  // Receipt ID (max 40 characters for Razorpay)
+  const timestamp = Date.now().toString().slice(-8);
+  const userIdShort = user._id.toString().slice(-8);
+  const receipt = `rcpt_${userIdShort}_${timestamp}`;
+  const razorpayOrder = await createRazorpayOrder(quote.totalPrice, currency, receipt);
+
+  const session = await CheckoutSession.create({
+    user: user._id,
+    razorpayOrderId: razorpayOrder.id,
+    amount: quote.totalPrice,
+    itemsPrice: quote.itemsPrice,
+    shippingPrice: quote.shippingPrice,
+    taxPrice: quote.taxPrice,
+    discount: quote.discount,
+    currency,
+    items: Object.values(itemsBySeller).flat().map(item => ({
+      product: item.product,
+      seller: item.seller,
+      quantity: item.quantity,
+      selectedVariants: item.selectedVariants
+    })),
+    sellers: quote.sellers.map(seller => ({
+      seller: seller.sellerId,
+      orderItems: seller.orderItems,
+      reservations: seller.reservations,
+      itemsPrice: seller.itemsPrice,
+      shippingPrice: seller.shippingPrice,
+      shippingQuote: seller.shippingQuote,
+      discount: seller.discount,
+      taxPrice: seller.taxPrice,
+      taxBreakdown: seller.taxBreakdown,
+      sellerGstin: seller.sellerGstin,
+      totalPrice: seller.totalPrice
+    })),
+    shippingAddress,
+    paymentMethod: paymentMethod || 'razorpay',
+    coupon: quote.coupon ? quote.coupon.code : undefined,
+    guestCart: guestCartId
+  });
+
+  return { session, razorpayOrder };
+};
+
+// The priced checkout kept in a session, in the shape priceCheckout returns
+const getSessionQuote = async (session) => {
+  const coupon = session.coupon ? await Coupon.findOne({ code: session.coupon }) : null;
+  if (session.coupon && !coupon) {
+    throw checkoutError('Coupon is no longer available', 'CouponInvalid', 409);
+  }
+  return {
+    sellers: session.sellers.map(seller => ({
+      sellerId: String(seller.seller),
+      orderItems: seller.orderItems.map(item => item.toObject()),
+      reservations: seller.reservations.map(line => line.toObject()),
+      itemsPrice: seller.itemsPrice,
+      shippingPrice: seller.shippingPrice,
+      shippingQuote: seller.shippingQuote ? seller.shippingQuote.toObject() : undefined,
+      discount: seller.discount,
+      taxPrice: seller.taxPrice,
+      taxBreakdown: seller.taxBreakdown ? seller.taxBreakdown.toObject() : undefined,
+      sellerGstin: seller.sellerGstin,
+      totalPrice: seller.totalPrice
+    })),
+    coupon,
+    itemsPrice: session.itemsPrice,
+    shippingPrice: session.shippingPrice,
+    taxPrice: session.taxPrice,
+    discount: session.discount,
+    totalPrice: session.amount
+  };
+};
+
+const markCompleted = async (session, paymentId, orders) => {
+  if (session.status === 'completed') return;
+  session.status = 'completed';
+  session.razorpayPaymentId = paymentId;
+  session.orders = orders.map(o => o._id);
+  session.failureReason = undefined;
+  await session.save();
+};
+
+// Refund a payment once, however many times its fulfilment is retried
+const refundSessionPayment = async (session, payment, reason) => {
+  if (session.refunds.some(r => r.paymentId === payment.razorpayPaymentId)) return;
+  const refund = await refundPayment(payment.razorpayPaymentId, null, {
+    checkoutSession: String(session._id),
+    reason
+  });
+  session.refunds.push({
+    paymentId: payment.razorpayPaymentId,
+    refundId: refund?.id,
+    amount: payment.amount,
+    reason
+  });
+  await session.save();
+};
+
+/**
+ * Place the orders of a checkout session for a captured payment. Idempotent: orders
+ * already created for the payment are returned instead of placed again.
+ * @param {Object} params
+ * @param {Object} params.session - CheckoutSession document
+ * @param {Object} params.payment - Captured payment ({ razorpayOrderId, razorpayPaymentId, razorpaySignature, amount })
+ * @returns {Promise<{orders: Array, created: Boolean}>}
+ * @throws Error with statusCode/type when the session cannot be fulfilled (the payment is then refunded)
+ */
+const fulfilCheckoutSession = async ({ session, payment }) => {
+  const existingOrders = await Order.find({ razorpayPaymentId: payment.razorpayPaymentId });
+  if (existingOrders.length > 0) {
+    await markCompleted(session, payment.razorpayPaymentId, existingOrders);
+    return { orders: existingOrders, created: false };
+  }
+
+  // A second payment against a fulfilled, failed or expired checkout is returned to the customer
+  let rejection = null;
+  if (session.status === 'completed') {
+    rejection = checkoutError('This checkout has already been paid for; the payment will be refunded', 'CheckoutSessionCompleted', 409);
+  } else if (session.status === 'failed') {
+    rejection = checkoutError(`This checkout could not be placed (${session.failureReason}); the payment will be refunded`, 'CheckoutSessionFailed', 409);
+  } else if (session.isExpired()) {
+    if (session.status !== 'expired') {
+      session.status = 'expired';
+      await session.save();
+    }
+    rejection = checkoutError('This checkout has expired; the payment will be refunded', 'CheckoutSessionExpired', 410);
+  }
+  if (rejection) {
+    await refundSessionPayment(session, payment, rejection.type);
+    throw rejection;
+  }
+
+  try {
+    const user = await User.findById(session.user);
+    if (!user) {
+      throw checkoutError('Customer account no longer exists', 'UserNotFound', 404);
+    }
+    // Sessions created before quotes were snapshotted are priced again
+    const orders = session.sellers.length > 0
+      ? await placeQuotedOrder({
+        user,
+        quote: await getSessionQuote(session),
+        shippingAddress: session.shippingAddress,
+        paymentMethod: session.paymentMethod,
+        payment,
+        guestCartId: session.guestCart
+      })
+      : await placeOrder({
+        user,
+        items: session.items.map(item => ({
+          product: item.product,
+          seller: item.seller,
+          quantity: item.quantity,
+          selectedVariants: item.selectedVariants ? Object.fromEntries(item.selectedVariants) : undefined
+        })),
+        shippingAddress: session.shippingAddress,
+        paymentMethod: session.paymentMethod,
+        coupon: session.coupon,
+        total: session.amount,
+        payment,
+        guestCartId: session.guestCart
+      });
+    await markCompleted(session, payment.razorpayPaymentId, orders);
+    return { orders, created: true };
+  } catch (error) {
+    // Lost a race with a concurrent fulfilment of the same payment
+    const orders = await Order.find({ razorpayPaymentId: payment.razorpayPaymentId });
+    if (orders.length > 0) {
+      await markCompleted(session, payment.razorpayPaymentId, orders);
+      return { orders, created: false };
+    }
+    // Errors without a statusCode (database, network) are transient and left for a retry
+    if (!error.statusCode) throw error;
+
+    // Stock, prices or the coupon changed after the customer paid
+    session.status = 'failed';
+    session.razorpayPaymentId = payment.razorpayPaymentId;
+    session.failureReason = error.message;
+    await session.save();
+    await refundSessionPayment(session, payment, error.type || 'order_not_placed');
+    throw error;
+  }
+};
+
+module.exports = {
+  createCheckoutSession,
+  fulfilCheckoutSession
+};
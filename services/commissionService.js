@@ -0,0 +1,171 @@
+const CommissionRule = require('../models/CommissionRule');
+const Seller = require('../models/Seller');
+
+/**
+ * Commission Service
+ * Picks the commission rule for each order line and computes the platform commission
+ * and seller earnings of an order. The result is snapshotted on the Order so later
+ * rule changes never alter historical earnings.
+ */
+
+// Marketplace default (percent), also the rate used for orders created before snapshots existed
+const DEFAULT_COMMISSION_RATE = 7;
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+// Rate used when no rule matches: the seller's own commissionRate, else the marketplace default.
+// 10% was the old Seller.commissionRate default and is treated as unset (see adminController.getSellers)
+const getFallbackRate = async (sellerId, session) => {
+  const seller = await Seller.findById(sellerId).select('commissionRate').session(session);
+  if (!seller || !seller.commissionRate || seller.commissionRate === 10) {
+    return { ratePercent: DEFAULT_COMMISSION_RATE, source: 'default' };
+  }
+  return { ratePercent: seller.commissionRate, source: 'seller' };
+};
+
+// Seller + category beats category, which beats seller, which beats marketplace-wide
+const specificity = (rule) => (rule.seller ? 1 : 0) + (rule.category ? 2 : 0);
+
+const compareRules = (a, b) => {
+  const bySpecificity = specificity(b) - specificity(a);
+  if (bySpecificity) return bySpecificity;
+  const byPriority = (b.priority || 0) - (a.priority || 0);
+  if (byPriority) return byPriority;
+  // Promotional (dated) rules win over open-ended ones
+  const byDated = (b.startsAt || b.endsAt ? 1 : 0) - (a.startsAt || a.endsAt ? 1 : 0);
+  if (byDated) return byDated;
+  return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+};
+
+/**
+ * Load the active rules that can apply to a seller at a point in time
+ * @param {String} sellerId - Seller document id
+ * @param {Date} at
+ * @param {import('mongoose').ClientSession|null} [session]
+ * @returns {Promise<Array>} Rules sorted best-first
+ */
+const getApplicableRules = async (sellerId, at = new Date(), session = null) => {
+  const rules = await CommissionRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ seller: null }, { seller: sellerId }] },
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+    ]
+  }).session(session).lean();
+  return rules.sort(compareRules);
+};
+
+const ruleMatchesLine = (rule, line) => {
+  if (!rule.category) return true;
+  const ruleCategory = String(rule.category);
+  return [line.category, line.subCategory].some(id => id && String(id) === ruleCategory);
+};
+
+/**
+ * Compute commission and seller earnings for one seller's order
+ * @param {Object} params
+ * @param {String} params.sellerId - Seller document id
+ * @param {Array<{product: String, category?: String, subCategory?: String, amount: Number}>} params.lines
+ * @param {Date} [params.at] - Time the rules are evaluated at (order placement)
+ * @param {import('mongoose').ClientSession|null} [params.session]
+ * @returns {Promise<{commission: Number, sellerEarnings: Number, snapshot: Object}>}
+ */
+const calculateOrderCommission = async ({ sellerId, lines, at = new Date(), session = null }) => {
+  const rules = await getApplicableRules(sellerId, at, session);
+  let fallback = null;
+
+  const snapshotLines = [];
+  let fixedFee = 0;
+  for (const line of lines) {
+    const rule = rules.find(r => ruleMatchesLine(r, line));
+    let applied;
+    if (rule) {
+      applied = { ratePercent: rule.ratePercent, source: 'rule' };
+      fixedFee = Math.max(fixedFee, rule.fixedFee || 0);
+    } else {
+      if (!fallback) fallback = await getFallbackRate(sellerId, session);
+      applied = fallback;
+    }
+    const { ratePercent, source } = applied;
+    const amount = roundMoney(line.amount);
+    snapshotLines.push({
+      product: line.product,
+      category: line.category || null,
+      amount,
+      ratePercent,
+      commission: roundMoney(amount * ratePercent / 100),
+      rule: rule ? rule._id : null,
+      ruleName: rule ? rule.name : '',
+      source
+    });
+  }
+
+  const itemsPrice = roundMoney(snapshotLines.reduce((sum, l) => sum + l.amount, 0));
+  const percentCommission = snapshotLines.reduce((sum, l) => sum + l.commission, 0);
+  // The fixed fee is charged once per order; the largest fee among the applied rules is used
+  const commission = roundMoney(Math.min(itemsPrice, percentCommission + fixedFee));
+
+  return {
+    commission,
+    sellerEarnings: roundMoney(itemsPrice - commission),
+    snapshot: {
+      calculatedAt: at,
+      fixedFee: roundMoney(fixedFee),
+      lines: snapshotLines
+    }
+  };
+};
+
+/**
+ * Commission of an order: the stored value when it was computed by the engine,
+ * otherwise the legacy default rate on itemsPrice
+ * @param {Object} order
+ * @returns {Number}
+ */
+const getOrderCommission = (order) => {
+  if (order.commissionSnapshot && order.commissionSnapshot.calculatedAt) return order.commission || 0;
+  if (order.commission > 0) return order.commission;
+  return roundMoney((order.itemsPrice || 0) * DEFAULT_COMMISSION_RATE / 100);
+};
+
+/**
+ * Seller earnings of an order, with the same legacy fallback as getOrderCommission
+ * @param {Object} order
+ * @returns {Number}
+ */
+const getOrderSellerEarnings = (order) => {
+  if (order.commissionSnapshot && order.commissionSnapshot.calculatedAt) return order.sellerEarnings || 0;
+  if (order.sellerEarnings > 0) return order.sellerEarnings;
+  return roundMoney((order.itemsPrice || 0) - getOrderCommission(order));
+};
+
+// Aggregation counterparts of getOrderCommission / getOrderSellerEarnings, for $project stages
+const hasSnapshotExpr = { $ifNull: ['$commissionSnapshot.calculatedAt', false] };
+const legacyCommissionExpr = { $multiply: ['$itemsPrice', DEFAULT_COMMISSION_RATE / 100] };
+
+const commissionExpr = () => ({
+  $cond: [
+    { $or: [hasSnapshotExpr, { $gt: ['$commission', 0] }] },
+    { $ifNull: ['$commission', 0] },
+    legacyCommissionExpr
+  ]
+});
+
+const sellerEarningsExpr = () => ({
+  $cond: [
+    { $or: [hasSnapshotExpr, { $gt: ['$sellerEarnings', 0] }] },
+    { $ifNull: ['$sellerEarnings', 0] },
+    { $subtract: ['$itemsPrice', legacyCommissionExpr] }
+  ]
+});
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  getApplicableRules,
+  calculateOrderCommission,
+  getOrderCommission,
+  getOrderSellerEarnings,
+  commissionExpr,
+  sellerEarningsExpr
+};
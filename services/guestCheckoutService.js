@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const GuestCart = require('../models/GuestCart');
+const sendEmail = require('../utils/sendEmail');
+
+/**
+ * Guest Checkout Service
+ * Orders, checkout sessions and checkout groups all belong to a User, so a guest checkout
+ * places them on a guest account: a User with isGuest set, created from the email and phone
+ * given at checkout with a random password nobody knows. Registering later with the same
+ * email (register/start + register/verify) turns that account into a normal one and keeps
+ * its orders.
+ * Checking out again on an existing guest account from another guest cart needs the email
+ * confirmed with a one-time code first, so nobody can add orders to (or change) someone
+ * else's guest account by typing their email.
+ */
+
+const guestError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const hashOTP = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+const EMAIL_OTP_MINUTES = 10;
+const EMAIL_OTP_RESEND_SECONDS = 60;
+const MAX_EMAIL_OTP_SENDS = 5;
+const MAX_EMAIL_OTP_ATTEMPTS = 5;
+
+// Usage counters of an email on this cart, added when missing
+const getOTPUsage = (guestCart, email) => {
+  let usage = guestCart.emailOTPUsage.find(u => u.email === email);
+  if (!usage) {
+    guestCart.emailOTPUsage.push({ email, sends: 0, attempts: 0 });
+    usage = guestCart.emailOTPUsage[guestCart.emailOTPUsage.length - 1];
+  }
+  return usage;
+};
+
+/**
+ * Email a one-time code for checking out on the guest account of an email. Codes are sent
+ * at most once a minute, and sends and wrong codes are capped per email for the cart's life.
+ * @param {Object} guestCart - GuestCart document
+ * @param {String} email
+ */
+const startGuestEmailVerification = async (guestCart, email) => {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) {
+    throw guestError('Email is required', 'GuestDetailsRequired');
+  }
+  const lastSentAt = guestCart.emailOTP?.sentAt;
+  if (lastSentAt && Date.now() - lastSentAt.getTime() < EMAIL_OTP_RESEND_SECONDS * 1000) {
+    throw guestError(`Please wait ${EMAIL_OTP_RESEND_SECONDS} seconds before requesting another code`, 'GuestEmailOTPCooldown', 429);
+  }
+  const usage = getOTPUsage(guestCart, normalizedEmail);
+  if (usage.attempts >= MAX_EMAIL_OTP_ATTEMPTS) {
+    throw guestError('Too many attempts for this email', 'GuestEmailOTPInvalid', 429);
+  }
+  if (usage.sends >= MAX_EMAIL_OTP_SENDS) {
+    throw guestError('Too many codes requested for this email', 'GuestEmailOTPLimit', 429);
+  }
+  usage.sends += 1;
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  guestCart.emailOTP = {
+    email: normalizedEmail,
+    otpHash: hashOTP(otp),
+    expiresAt: new Date(Date.now() + EMAIL_OTP_MINUTES * 60 * 1000),
+    sentAt: new Date()
+  };
+  await guestCart.save();
+
+  await sendEmail({
+    email: normalizedEmail,
+    subject: 'Your checkout code - MV Store',
+    message: `Your checkout code is ${otp}`,
+    html: `<p>Your checkout code is:</p>
+      <h2 style="letter-spacing:4px">${otp}</h2>
+      <p>This code will expire in ${EMAIL_OTP_MINUTES} minutes.</p>`
+  });
+};
+
+/**
+ * Check an emailed code; the guest cart may then check out on that email's guest account
+ * @param {Object} guestCart - GuestCart document
+ * @param {String} email
+ * @param {String} otp
+ */
+const verifyGuestEmail = async (guestCart, email, otp) => {
+  const normalizedEmail = normalizeEmail(email);
+  const pending = guestCart.emailOTP;
+  if (!pending || !pending.otpHash || pending.email !== normalizedEmail) {
+    throw guestError('No code requested for this email', 'GuestEmailOTPInvalid');
+  }
+  const usage = getOTPUsage(guestCart, normalizedEmail);
+  if (usage.attempts >= MAX_EMAIL_OTP_ATTEMPTS) {
+    throw guestError('Too many attempts for this email', 'GuestEmailOTPInvalid', 429);
+  }
+  if (!pending.expiresAt || pending.expiresAt.getTime() < Date.now()) {
+    throw guestError('Code expired', 'GuestEmailOTPInvalid');
+  }
+  if (hashOTP(otp) !== pending.otpHash) {
+    usage.attempts += 1;
+    await guestCart.save();
+    throw guestError('Invalid code', 'GuestEmailOTPInvalid');
+  }
+  guestCart.verifiedEmail = normalizedEmail;
+  guestCart.emailOTP = undefined;
+  await guestCart.save();
+};
+
+/**
+ * Find or create the guest account for a checkout. An existing guest account is used only
+ * by the guest cart already linked to it or one that verified the email; its details are
+ * never changed here (orders carry their own shipping phone).
+ * @param {Object} params
+ * @param {Object} params.guestCart - GuestCart document being checked out
+ * @param {String} params.email
+ * @param {String} params.phone
+ * @param {String} [params.name]
+ * @returns {Promise<Object>} User document
+ */
+const findOrCreateGuestUser = async ({ guestCart, email, phone, name }) => {
+  const normalizedEmail = normalizeEmail(email);
+  const normalizedPhone = String(phone || '').trim();
+  if (!normalizedEmail || !normalizedPhone) {
+    throw guestError('Email and phone are required for guest checkout', 'GuestDetailsRequired');
+  }
+
+  const existing = await User.findOne({ email: normalizedEmail });
+  if (existing && !existing.isGuest) {
+    // Orders must not be added to a registered account without logging in to it
+    throw guestError('An account with this email already exists. Please log in to check out.', 'GuestAccountExists', 409);
+  }
+  if (existing) {
+    const linked = guestCart.user && String(guestCart.user) === String(existing._id);
+    if (!linked && guestCart.verifiedEmail !== normalizedEmail) {
+      throw guestError(
+        'This email was used for an earlier guest checkout. Confirm it with the code we email you.',
+        'GuestEmailVerificationRequired',
+        403
+      );
+    }
+    return existing;
+  }
+
+  try {
+    return await User.create({
+      name: String(name || '').trim() || normalizedEmail.split('@')[0],
+      email: normalizedEmail,
+      phone: normalizedPhone,
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'customer',
+      isGuest: true,
+      isEmailVerified: false
+    });
+  } catch (error) {
+    // Two guest checkouts with the same email at once
+    if (error.code === 11000) {
+      return findOrCreateGuestUser({ guestCart, email, phone, name });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Turn guest cart lines into checkout items ({ product, seller, quantity, selectedVariants, price })
+ * @param {Object} guestCart - GuestCart document with items.product populated
+ * @returns {Array}
+ */
+const guestCartCheckoutItems = (guestCart) => guestCart.items
+  .filter(line => line.product)
+  .map(line => ({
+    product: line.product._id,
+    seller: line.product.seller,
+    quantity: line.quantity,
+    selectedVariants: line.selectedVariants ? Object.fromEntries(line.selectedVariants) : {},
+    price: line.price
+  }));
+
+/**
+ * Load the guest cart of a token with its products, for checkout
+ * @param {String} token
+ * @returns {Promise<Object>} GuestCart document
+ */
+const loadGuestCartForCheckout = async (token) => {
+  const guestCart = await GuestCart.findByToken(token);
+  if (!guestCart) {
+    throw guestError('Guest cart not found', 'GuestCartNotFound', 404);
+  }
+  await guestCart.populate('items.product', 'seller');
+  if (guestCart.items.length === 0) {
+    throw guestError('No items to checkout.', 'EmptyCheckout');
+  }
+  return guestCart;
+};
+
+module.exports = {
+  startGuestEmailVerification,
+  verifyGuestEmail,
+  findOrCreateGuestUser,
+  guestCartCheckoutItems,
+  loadGuestCartForCheckout
+};
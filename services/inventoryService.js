@@ -0,0 +1,356 @@
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const sendEmail = require('../utils/sendEmail');
+const { emitToUser } = require('../utils/socket');
+const { snapshotProductAlerts, triggerProductAlertsSafely } = require('./productAlertService');
+
+/**
+ * Inventory Service
+ * Stock levels against Product.lowStockThreshold. Products with variants are tracked
+ * per variant option (using the product's threshold); other products by their own stock.
+ */
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const stockStatus = (stock, threshold) => {
+  if (stock <= 0) return 'out_of_stock';
+  if (stock < threshold) return 'low_stock';
+  return 'in_stock';
+};
+
+/**
+ * One row per stock-keeping unit of a product: each active variant option, or the product itself
+ * @param {Object} product - Product document or lean object
+ * @returns {Array<Object>}
+ */
+const getInventoryRows = (product) => {
+  const threshold = Number(product.lowStockThreshold ?? 10);
+  const base = {
+    product: product._id,
+    name: product.name,
+    image: product.images && product.images[0] ? product.images[0].url : '',
+    isActive: product.isActive,
+    threshold
+  };
+
+  const options = [];
+  for (const variant of product.variants || []) {
+    for (const option of variant.options || []) {
+      if (option.isActive === false) continue;
+      options.push({ variant, option });
+    }
+  }
+
+  if (options.length === 0) {
+    const stock = Number(product.stock) || 0;
+    return [{
+      ...base,
+      sku: product.sku || '',
+      variantName: null,
+      optionValue: null,
+      option: null,
+      stock,
+      price: product.price,
+      stockValue: roundMoney(stock * product.price),
+      status: stockStatus(stock, threshold)
+    }];
+  }
+
+  return options.map(({ variant, option }) => {
+    const stock = Number(option.stock) || 0;
+    return {
+      ...base,
+      sku: option.sku || product.sku || '',
+      variantName: variant.name,
+      optionValue: option.value,
+      option: option._id,
+      stock,
+      price: option.price,
+      stockValue: roundMoney(stock * option.price),
+      status: stockStatus(stock, threshold)
+    };
+  });
+};
+
+/**
+ * Inventory of a seller: low and out-of-stock items plus totals
+ * @param {String} sellerId - Seller id
+ * @returns {Promise<Object>} { summary, lowStock, outOfStock }
+ */
+const getSellerInventory = async (sellerId) => {
+  const products = await Product.find({ seller: sellerId })
+    .select('name sku price stock lowStockThreshold variants images isActive')
+    .lean();
+  const rows = products.flatMap(getInventoryRows);
+
+  const lowStock = rows.filter(row => row.status === 'low_stock').sort((a, b) => a.stock - b.stock);
+  const outOfStock = rows.filter(row => row.status === 'out_of_stock');
+  const outOfStockProducts = products.filter(product =>
+    getInventoryRows(product).every(row => row.status === 'out_of_stock')
+  ).length;
+
+  return {
+    summary: {
+      totalProducts: products.length,
+      totalSkus: rows.length,
+      totalUnits: rows.reduce((sum, row) => sum + row.stock, 0),
+      stockValue: roundMoney(rows.reduce((sum, row) => sum + row.stockValue, 0)),
+      lowStockCount: lowStock.length,
+      outOfStockCount: outOfStock.length,
+      outOfStockProducts
+    },
+    lowStock,
+    outOfStock
+  };
+};
+
+/**
+ * The inventory row a stock reservation dropped below threshold, if it did
+ * @param {Object} product - Product document after the stock was decremented
+ * @param {String|null} optionId - Variant option the stock was taken from
+ * @param {Number} quantity - Units taken
+ * @returns {Object|null}
+ */
+const findThresholdCrossing = (product, optionId, quantity) => {
+  const row = getInventoryRows(product).find(r => String(r.option) === String(optionId || null));
+  if (!row) return null;
+  const before = row.stock + quantity;
+  const droppedBelowThreshold = row.stock < row.threshold && before >= row.threshold;
+  const soldOut = row.stock <= 0 && before > 0;
+  return droppedBelowThreshold || soldOut ? row : null;
+};
+
+/**
+ * Tell sellers over Socket.IO (`lowStock` event) that orders pushed items below threshold
+ * @param {Array<{seller: String, row: Object}>} crossings
+ */
+const notifyLowStock = async (crossings) => {
+  if (!crossings || crossings.length === 0) return;
+  try {
+    const sellerIds = [...new Set(crossings.map(c => String(c.seller)))];
+    const sellers = await Seller.find({ _id: { $in: sellerIds } }).select('userId');
+    const userBySeller = new Map(sellers.map(s => [String(s._id), String(s.userId)]));
+    for (const { seller, row } of crossings) {
+      emitToUser(userBySeller.get(String(seller)), 'lowStock', {
+        product: row.product,
+        name: row.name,
+        sku: row.sku,
+        variantName: row.variantName,
+        optionValue: row.optionValue,
+        stock: row.stock,
+        threshold: row.threshold,
+        status: row.status
+      });
+    }
+  } catch (error) {
+    console.error('Low stock notification error:', error);
+  }
+};
+
+// Rows accepted per bulk update request
+const MAX_BULK_ROWS = 1000;
+const BULK_FIELDS = ['stock', 'price', 'comparePrice'];
+
+// Validate one bulk update row; returns { updates } or { error }
+const parseBulkRow = (row) => {
+  if (!row || typeof row !== 'object' || !row.sku || typeof row.sku !== 'string') {
+    return { error: 'sku is required' };
+  }
+  const updates = {};
+  for (const field of BULK_FIELDS) {
+    if (row[field] === undefined || row[field] === null || row[field] === '') continue;
+    const value = Number(row[field]);
+    if (Number.isNaN(value)) return { error: `${field} must be a number` };
+    if (value < 0) return { error: `${field} cannot be negative` };
+    if (field === 'stock' && !Number.isInteger(value)) return { error: 'stock must be a whole number' };
+    updates[field] = value;
+  }
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update; send stock, price or comparePrice' };
+  }
+  return { updates };
+};
+
+/**
+ * Update stock and prices of many SKUs of one seller. Each SKU is a product SKU or a
+ * variant option SKU and is updated with a single atomic write; a failing row does not
+ * affect the others. Product prices are sent without the weight-based shipping charge,
+ * as in the seller product form; option prices are stored as sent.
+ * @param {String} sellerId - Seller id
+ * @param {Array<{sku: String, stock?: Number, price?: Number, comparePrice?: Number}>} rows
+ * @returns {Promise<{updated: Number, failed: Number, results: Array<Object>}>}
+ */
+const bulkUpdateInventory = async (sellerId, rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    const error = new Error('Send a non-empty array of { sku, stock, price, comparePrice }');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    const error = new Error(`At most ${MAX_BULK_ROWS} SKUs can be updated per request`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const skus = [...new Set(rows.filter(row => row && typeof row.sku === 'string').map(row => row.sku))];
+  const products = await Product.find({
+    seller: sellerId,
+    $or: [{ sku: { $in: skus } }, { 'variants.options.sku': { $in: skus } }]
+  }).select('sku variants._id variants.options._id variants.options.sku variants.options.isActive').lean();
+
+  // Every product and option carrying each SKU
+  const matchesBySku = new Map();
+  const addMatch = (sku, match) => {
+    if (!skus.includes(sku)) return;
+    if (!matchesBySku.has(sku)) matchesBySku.set(sku, []);
+    matchesBySku.get(sku).push(match);
+  };
+  for (const product of products) {
+    const hasOptions = (product.variants || []).some(v => (v.options || []).some(o => o.isActive !== false));
+    addMatch(product.sku, { product: product._id, option: null, hasOptions });
+    for (const variant of product.variants || []) {
+      for (const option of variant.options || []) {
+        addMatch(option.sku, { product: product._id, option: option._id });
+      }
+    }
+  }
+
+  const results = [];
+  const seen = new Set();
+  for (const row of rows) {
+    const sku = row && row.sku;
+    const result = { sku };
+    results.push(result);
+
+    const { updates, error } = parseBulkRow(row);
+    if (error) {
+      Object.assign(result, { status: 'invalid', message: error });
+      continue;
+    }
+    if (seen.has(sku)) {
+      Object.assign(result, { status: 'invalid', message: 'SKU appears more than once in this request' });
+      continue;
+    }
+    seen.add(sku);
+
+    const matches = matchesBySku.get(sku) || [];
+    if (matches.length === 0) {
+      Object.assign(result, { status: 'not_found', message: 'No product or variant with this SKU' });
+      continue;
+    }
+    if (matches.length > 1) {
+      Object.assign(result, { status: 'ambiguous', message: 'SKU is used by more than one product or variant' });
+      continue;
+    }
+    const match = matches[0];
+    if (match.hasOptions) {
+      Object.assign(result, { status: 'invalid', message: 'Product has variants; update its variant SKUs' });
+      continue;
+    }
+
+    try {
+      let before;
+      if (match.option) {
+        const $set = {};
+        for (const [field, value] of Object.entries(updates)) {
+          $set[`variants.$[].options.$[option].${field}`] = value;
+        }
+        before = await Product.findOneAndUpdate(
+          { _id: match.product, seller: sellerId, 'variants.options._id': match.option },
+          { $set },
+          { arrayFilters: [{ 'option._id': match.option }], runValidators: true }
+        );
+      } else {
+        // Pipeline update so the shipping charge is read and added in the same write
+        const $set = { ...updates };
+        if (updates.price !== undefined) {
+          $set.price = { $add: [updates.price, { $ifNull: ['$shippingInfo.shippingCost', 0] }] };
+        }
+        before = await Product.findOneAndUpdate(
+          { _id: match.product, seller: sellerId },
+          [{ $set }]
+        );
+      }
+      if (!before) {
+        Object.assign(result, { status: 'not_found', message: 'No product or variant with this SKU' });
+        continue;
+      }
+
+      const product = await Product.findById(match.product);
+      await triggerProductAlertsSafely(snapshotProductAlerts(before), product);
+      const inventoryRow = getInventoryRows(product).find(r => String(r.option) === String(match.option));
+      const option = match.option ? product.variants.flatMap(v => v.options).find(o => String(o._id) === String(match.option)) : null;
+      Object.assign(result, {
+        status: 'updated',
+        product: product._id,
+        option: match.option,
+        stock: option ? option.stock : product.stock,
+        price: option ? option.price : product.price,
+        comparePrice: option ? option.comparePrice : product.comparePrice,
+        stockStatus: inventoryRow ? inventoryRow.status : undefined
+      });
+    } catch (err) {
+      Object.assign(result, { status: 'failed', message: err.message });
+    }
+  }
+
+  const updated = results.filter(r => r.status === 'updated').length;
+  return { updated, failed: results.length - updated, results };
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const digestRowHtml = (row) => `
+  <tr>
+    <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;">${escapeHtml(row.name)}${row.optionValue ? ` (${escapeHtml(row.variantName)}: ${escapeHtml(row.optionValue)})` : ''}</td>
+    <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;">${escapeHtml(row.sku)}</td>
+    <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;text-align:right;">${row.stock}</td>
+    <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;text-align:right;">${row.threshold}</td>
+  </tr>`;
+
+/**
+ * Email a seller the items that are out of stock or below threshold
+ * @param {Object} seller - Seller document
+ * @returns {Promise<Number>} Number of items listed (0: nothing to report, no email sent)
+ */
+const sendLowStockDigest = async (seller) => {
+  const { summary, lowStock, outOfStock } = await getSellerInventory(seller._id);
+  const rows = [...outOfStock, ...lowStock];
+  if (rows.length === 0) return 0;
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const html = `
+    <p>Hi ${escapeHtml(seller.shopName)},</p>
+    <p>${summary.outOfStockCount} item(s) are out of stock and ${summary.lowStockCount} are below their low-stock threshold.</p>
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;font-size:13px;">
+      <tr>
+        <th align="left" style="padding:6px 8px;border-bottom:2px solid #e5e7eb;">Item</th>
+        <th align="left" style="padding:6px 8px;border-bottom:2px solid #e5e7eb;">SKU</th>
+        <th align="right" style="padding:6px 8px;border-bottom:2px solid #e5e7eb;">Stock</th>
+        <th align="right" style="padding:6px 8px;border-bottom:2px solid #e5e7eb;">Threshold</th>
+      </tr>
+      ${rows.map(digestRowHtml).join('')}
+    </table>`;
+
+  await sendEmail({
+    email: seller.email,
+    subject: `Low stock: ${rows.length} item(s) need restocking`,
+    message: rows.map(row => `${row.name}${row.optionValue ? ` (${row.variantName}: ${row.optionValue})` : ''} - ${row.stock} left`).join('\n'),
+    html,
+    cta: { href: `${frontendUrl}/seller/inventory`, label: 'View inventory' }
+  });
+  return rows.length;
+};
+
+module.exports = {
+  getInventoryRows,
+  getSellerInventory,
+  findThresholdCrossing,
+  notifyLowStock,
+  sendLowStockDigest,
+  bulkUpdateInventory
+};
@@ -0,0 +1,118 @@
+/**
+ * Order Lifecycle Service
+ * The only place orderStatus and shippingStatus change. Each change is checked against
+ * the allowed transitions below and recorded in order.statusHistory with who made it.
+ * Requests asking for a transition that is not allowed get a 409; carrier updates
+ * (RapidShyp webhook and tracking) arrive out of order, so they skip such changes instead.
+ */
+
+// -> refunded: the payment was refunded in full (see services/refundService), which can
+// happen at any point, e.g. a goodwill refund of an order still being processed
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'processing', 'shipped', 'cancelled', 'refunded'],
+  confirmed: ['processing', 'shipped', 'cancelled', 'refunded'],
+  processing: ['shipped', 'delivered', 'cancelled', 'refunded'],
+  // shipped -> cancelled is a return to origin (RTO)
+  shipped: ['delivered', 'cancelled', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+const SHIPPING_TRANSITIONS = {
+  pending: ['shipped', 'delivered'],
+  // shipped -> pending when the shipment is cancelled before pickup
+  shipped: ['delivered', 'pending'],
+  delivered: []
+};
+
+const TRANSITIONS = {
+  orderStatus: ORDER_TRANSITIONS,
+  shippingStatus: SHIPPING_TRANSITIONS
+};
+
+const transitionError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.type = 'InvalidOrderTransition';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether a status field may move from one value to another
+ * @param {String} field - 'orderStatus' | 'shippingStatus'
+ * @param {String} from
+ * @param {String} to
+ * @returns {Boolean}
+ */
+const canTransition = (field, from, to) => {
+  if (from === to) return true;
+  const allowed = TRANSITIONS[field]?.[from || 'pending'];
+  return Array.isArray(allowed) && allowed.includes(to);
+};
+
+/**
+ * Throw a 409 unless every requested change is allowed
+ * @param {Object} order - Order document
+ * @param {{orderStatus?: String, shippingStatus?: String}} changes
+ */
+const assertTransition = (order, changes) => {
+  for (const field of Object.keys(TRANSITIONS)) {
+    const to = changes[field];
+    if (to === undefined) continue;
+    if (!TRANSITIONS[field][to]) {
+      throw transitionError(`Invalid ${field}: ${to}`, 400);
+    }
+    if (!canTransition(field, order[field], to)) {
+      throw transitionError(`Order ${order.orderNumber || order._id} cannot move from ${order[field]} to ${to}`);
+    }
+  }
+};
+
+/**
+ * Apply status changes to an order (the caller saves it)
+ * @param {Object} order - Order document
+ * @param {Object} changes
+ * @param {String} [changes.orderStatus]
+ * @param {String} [changes.shippingStatus]
+ * @param {Object} [meta]
+ * @param {String} [meta.changedBy] - User who made the change; empty for system and carrier updates
+ * @param {String} [meta.source] - customer | seller | admin | system | rapidshyp | razorpay
+ * @param {String} [meta.note]
+ * @param {Boolean} [meta.strict=true] - Throw on a disallowed transition instead of skipping it
+ * @returns {Array<String>} Fields that changed
+ */
+const transitionOrder = (order, changes, { changedBy, source = 'system', note, strict = true } = {}) => {
+  if (strict) assertTransition(order, changes);
+
+  const changed = [];
+  for (const field of Object.keys(TRANSITIONS)) {
+    const to = changes[field];
+    const from = order[field];
+    if (to === undefined || to === from) continue;
+    if (!canTransition(field, from, to)) {
+      console.warn(`Skipping ${field} change ${from} -> ${to} for order ${order.orderNumber || order._id} (${source})`);
+      continue;
+    }
+    order[field] = to;
+    order.statusHistory.push({ field, from, to, changedBy, source, note });
+    changed.push(field);
+  }
+  return changed;
+};
+
+// statusHistory source for a request made by this user
+const sourceForUser = (user) => {
+  if (!user) return 'system';
+  if (user.role === 'admin' || user.role === 'seller') return user.role;
+  return 'customer';
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  SHIPPING_TRANSITIONS,
+  canTransition,
+  assertTransition,
+  transitionOrder,
+  sourceForUser
+};
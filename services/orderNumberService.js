@@ -0,0 +1,82 @@
+const Counter = require('../models/Counter');
+
+/**
+ * Order Number Service
+ * Order numbers are <prefix><yymmdd><sequence>, e.g. ORD2410190007. The sequence comes
+ * from a Counter document per prefix and day incremented with an atomic $inc, so
+ * concurrent checkouts can never be handed the same number.
+ *
+ * Prefixes are configured per marketplace with ORDER_NUMBER_PREFIXES
+ * ("IN=ORD,AE=AEO"); marketplaces without an entry use ORDER_NUMBER_PREFIX (default ORD).
+ */
+
+const DEFAULT_MARKETPLACE = process.env.MARKETPLACE || 'IN';
+
+const getDefaultPrefix = () => (process.env.ORDER_NUMBER_PREFIX || 'ORD').toUpperCase();
+
+const getPrefixMap = () => String(process.env.ORDER_NUMBER_PREFIXES || '')
+  .split(',')
+  .map(entry => entry.split('=').map(part => part.trim()))
+  .filter(([marketplace, prefix]) => marketplace && prefix)
+  .reduce((map, [marketplace, prefix]) => ({ ...map, [marketplace.toUpperCase()]: prefix.toUpperCase() }), {});
+
+/**
+ * Order number prefix of a marketplace
+ * @param {String} [marketplace]
+ * @returns {String}
+ */
+const getOrderNumberPrefix = (marketplace = DEFAULT_MARKETPLACE) => {
+  const prefix = getPrefixMap()[String(marketplace).toUpperCase()] || getDefaultPrefix();
+  if (!/^[A-Z]+$/.test(prefix)) {
+    throw new Error(`Invalid order number prefix "${prefix}": use letters only`);
+  }
+  return prefix;
+};
+
+// yymmdd in server local time, as order numbers have always used
+const formatDatePart = (date) => {
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+const counterName = (prefix, datePart) => `orderNumber:${prefix}:${datePart}`;
+
+const formatOrderNumber = (prefix, datePart, seq) => `${prefix}${datePart}${String(seq).padStart(4, '0')}`;
+
+/**
+ * Split an order number into prefix, date and sequence
+ * @param {String} orderNumber
+ * @returns {{prefix: String, datePart: String, seq: Number}|null}
+ */
+const parseOrderNumber = (orderNumber) => {
+  const match = /^([A-Z]+)(\d{6})(\d{4,})$/.exec(String(orderNumber || ''));
+  if (!match) return null;
+  return { prefix: match[1], datePart: match[2], seq: Number(match[3]) };
+};
+
+/**
+ * Allocate the next order number. Runs outside any checkout transaction: a number
+ * taken by a checkout that later rolls back is simply skipped.
+ * @param {Object} [params]
+ * @param {String} [params.marketplace]
+ * @param {String} [params.prefix] - Overrides the marketplace prefix (e.g. checkout group numbers)
+ * @param {Date} [params.date]
+ * @returns {Promise<String>}
+ */
+const nextOrderNumber = async ({ marketplace, prefix = getOrderNumberPrefix(marketplace), date = new Date() } = {}) => {
+  const datePart = formatDatePart(date);
+  const seq = await Counter.next(counterName(prefix, datePart));
+  return formatOrderNumber(prefix, datePart, seq);
+};
+
+module.exports = {
+  DEFAULT_MARKETPLACE,
+  getOrderNumberPrefix,
+  formatDatePart,
+  counterName,
+  formatOrderNumber,
+  parseOrderNumber,
+  nextOrderNumber
+};
@@ -0,0 +1,263 @@
+const Product = require('../models/Product');
+const ProductSubscription = require('../models/ProductSubscription');
+const sendEmail = require('../utils/sendEmail');
+const { getProductSnapshot } = require('./wishlistService');
+
+/**
+ * Product Alert Service
+ * Back-in-stock and price-drop subscriptions. Seller product updates take a snapshot
+ * before the change and call triggerProductAlerts after saving; subscriptions whose
+ * condition became true are marked triggered. sendTriggeredAlerts (run by
+ * jobs/productAlertJob) emails them, so a product update never waits on SMTP.
+ */
+
+const ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+const alertError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Price and availability of the product as a whole and of each variant option
+const snapshotProductAlerts = (product) => {
+  const options = new Map();
+  for (const variant of product.variants || []) {
+    for (const option of variant.options) {
+      options.set(String(option._id), {
+        price: option.price,
+        inStock: product.isActive && option.isActive && option.stock > 0
+      });
+    }
+  }
+  return { product: getProductSnapshot(product), options };
+};
+
+const changedAlerts = (before, after, option) => {
+  const events = [];
+  if (!before || !after) return events;
+  if (!before.inStock && after.inStock) {
+    events.push({ option, type: 'back_in_stock', price: after.price });
+  }
+  if (after.price < before.price) {
+    events.push({ option, type: 'price_drop', price: after.price });
+  }
+  return events;
+};
+
+/**
+ * Mark subscriptions triggered by a product update (call after saving the product)
+ * @param {Object} before - snapshotProductAlerts(product) taken before the update
+ * @param {Object} product - Updated Product document
+ * @returns {Promise<Number>} Number of subscriptions triggered
+ */
+const triggerProductAlerts = async (before, product) => {
+  const after = snapshotProductAlerts(product);
+  const events = changedAlerts(before.product, after.product, null);
+  for (const [optionId, snapshot] of after.options) {
+    events.push(...changedAlerts(before.options.get(optionId), snapshot, optionId));
+  }
+
+  let triggered = 0;
+  for (const event of events) {
+    const filter = { product: product._id, option: event.option, type: event.type, status: 'active' };
+    if (event.type === 'price_drop') {
+      filter.referencePrice = { $gt: event.price };
+    }
+    const result = await ProductSubscription.updateMany(filter, {
+      $set: { status: 'triggered', triggeredAt: new Date(), triggerPrice: event.price }
+    });
+    triggered += result.modifiedCount;
+  }
+  return triggered;
+};
+
+/**
+ * Run triggerProductAlerts without failing the request that updated the product
+ * @param {Object} before
+ * @param {Object} product
+ */
+const triggerProductAlertsSafely = async (before, product) => {
+  try {
+    await triggerProductAlerts(before, product);
+  } catch (error) {
+    console.error('Product alert trigger error:', error);
+  }
+};
+
+/**
+ * Subscribe an email to a product or variant option
+ * @param {Object} params
+ * @param {Object} params.product - Product document
+ * @param {String} params.type - back_in_stock | price_drop
+ * @param {String} params.email
+ * @param {Object} [params.selectedVariants] - Variant option to watch
+ * @param {String} [params.user] - Logged-in subscriber
+ * @returns {Promise<Object>} ProductSubscription document (the existing one for a repeat request)
+ */
+const subscribe = async ({ product, type, email, selectedVariants, user }) => {
+  if (!ALERT_TYPES.includes(type)) {
+    throw alertError(`Invalid subscription type: ${type}`, 'SubscriptionInvalid');
+  }
+  if (!email) {
+    throw alertError('Email is required', 'SubscriptionInvalid');
+  }
+
+  const combination = Product.normalizeVariantSelection(selectedVariants);
+  let option = null;
+  let snapshot = getProductSnapshot(product);
+  if (Object.keys(combination).length > 0) {
+    const selection = product.resolveVariantSelection(combination);
+    if (!selection) {
+      throw alertError('Invalid variant selection', 'SubscriptionInvalid');
+    }
+    option = selection.option ? selection.option._id : null;
+    snapshot = getProductSnapshot(product, combination);
+  }
+  if (type === 'back_in_stock' && snapshot.inStock) {
+    throw alertError('This product is in stock', 'ProductInStock');
+  }
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const existing = await ProductSubscription.findOne({
+    email: normalizedEmail,
+    product: product._id,
+    option,
+    type,
+    status: { $in: ['active', 'triggered'] }
+  });
+  if (existing) return existing;
+
+  return ProductSubscription.create({
+    product: product._id,
+    option,
+    selectedVariants: combination,
+    type,
+    user,
+    email: normalizedEmail,
+    referencePrice: type === 'price_drop' ? snapshot.price : undefined
+  });
+};
+
+/**
+ * Unsubscribe with the token from an alert email
+ * @param {String} token
+ * @returns {Promise<Object|null>} The subscription, or null for an unknown token
+ */
+const unsubscribe = async (token) => {
+  const subscription = await ProductSubscription.findOne({ unsubscribeToken: token });
+  if (!subscription) return null;
+  if (subscription.status !== 'unsubscribed') {
+    subscription.status = 'unsubscribed';
+    await subscription.save();
+  }
+  return subscription;
+};
+
+const unsubscribeUrl = (subscription) => {
+  const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  return `${apiUrl}/api/products/subscriptions/unsubscribe/${subscription.unsubscribeToken}`;
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Email for one triggered subscription; sendEmail wraps the html in utils/emailLayout
+const buildAlertEmail = (subscription, product) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const variants = subscription.selectedVariants && subscription.selectedVariants.size
+    ? ` (${Array.from(subscription.selectedVariants.entries()).map(([name, value]) => `${name}: ${value}`).join(', ')})`
+    : '';
+  const productName = `${product.name}${variants}`;
+  const price = `₹${Number(subscription.triggerPrice || 0).toFixed(2)}`;
+  const backInStock = subscription.type === 'back_in_stock';
+  const subject = backInStock ? `Back in stock: ${product.name}` : `Price drop: ${product.name}`;
+  const intro = backInStock
+    ? `<p><strong>${escapeHtml(productName)}</strong> is back in stock at ${price}.</p>`
+    : `<p>The price of <strong>${escapeHtml(productName)}</strong> dropped from ₹${Number(subscription.referencePrice || 0).toFixed(2)} to ${price}.</p>`;
+  const html = `${intro}
+    <p style="font-size:12px;color:#6b7280;margin-top:24px;">You are receiving this because you asked to be notified about this product.
+    <a href="${unsubscribeUrl(subscription)}">Unsubscribe</a></p>`;
+
+  return {
+    email: subscription.email,
+    subject,
+    message: `${subject}. ${frontendUrl}/product/${product._id}\nUnsubscribe: ${unsubscribeUrl(subscription)}`,
+    html,
+    cta: { href: `${frontendUrl}/product/${product._id}`, label: 'View product' }
+  };
+};
+
+/**
+ * Email triggered subscriptions. Back-in-stock subscriptions are done after one email;
+ * price-drop subscriptions stay active with the new price as their reference.
+ * A subscription whose condition no longer holds (sold out again, price back up) is re-armed.
+ * @param {Object} [options]
+ * @param {Number} [options.limit=100] - Subscriptions handled per run
+ * @returns {Promise<{sent: Number, skipped: Number, failed: Number}>}
+ */
+const sendTriggeredAlerts = async ({ limit = 100 } = {}) => {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  const subscriptions = await ProductSubscription.find({ status: 'triggered' })
+    .sort({ triggeredAt: 1 })
+    .limit(limit);
+  const products = await Product.find({ _id: { $in: subscriptions.map(s => s.product) } });
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+
+  for (const subscription of subscriptions) {
+    const product = productsById.get(String(subscription.product));
+    if (!product) {
+      subscription.status = 'unsubscribed';
+      await subscription.save();
+      result.skipped++;
+      continue;
+    }
+
+    const snapshot = getProductSnapshot(product, subscription.selectedVariants);
+    const stillTrue = snapshot && product.isActive && product.isApproved && (subscription.type === 'back_in_stock'
+      ? snapshot.inStock
+      : snapshot.price < subscription.referencePrice);
+    if (!stillTrue) {
+      subscription.status = 'active';
+      await subscription.save();
+      result.skipped++;
+      continue;
+    }
+    subscription.triggerPrice = snapshot.price;
+
+    try {
+      await sendEmail(buildAlertEmail(subscription, product));
+      subscription.notifiedAt = new Date();
+      subscription.lastError = undefined;
+      if (subscription.type === 'back_in_stock') {
+        subscription.status = 'notified';
+      } else {
+        subscription.status = 'active';
+        subscription.referencePrice = snapshot.price;
+      }
+      result.sent++;
+    } catch (error) {
+      // Left triggered and moved to the back of the queue; the next run tries again
+      console.error('Product alert email error:', error.message);
+      subscription.lastError = error.message;
+      subscription.triggeredAt = new Date();
+      result.failed++;
+    }
+    await subscription.save();
+  }
+  return result;
+};
+
+module.exports = {
+  ALERT_TYPES,
+  snapshotProductAlerts,
+  triggerProductAlerts,
+  triggerProductAlertsSafely,
+  subscribe,
+  unsubscribe,
+  sendTriggeredAlerts
+};
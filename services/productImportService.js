@@ -0,0 +1,511 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductImport = require('../models/ProductImport');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { snapshotProductAlerts, triggerProductAlertsSafely } = require('./productAlertService');
+
+/**
+ * Product Import Service
+ * Bulk product import and export for sellers, in one CSV/XLSX format so an export can be
+ * edited and imported again. Each row is one product, or one variant option of a product:
+ * rows sharing a `sku` belong to the same product, product columns are read from its first
+ * row and every row with a `variantName` adds an option to that variant.
+ *
+ * Products are matched on the seller's own SKUs: existing products are updated with the
+ * non-empty cells of their rows (options are matched by variant name and value; options
+ * missing from the file are kept), new SKUs are created pending admin approval.
+ */
+
+const PRODUCT_COLUMNS = [
+  'sku', 'name', 'description', 'shortDescription', 'brand', 'category', 'subCategory',
+  'price', 'comparePrice', 'stock', 'lowStockThreshold', 'weight', 'weightUnit',
+  'hsnCode', 'gstRate', 'isActive', 'tags', 'features', 'specifications', 'images',
+  'variantName', 'optionValue', 'optionSku', 'optionPrice', 'optionComparePrice', 'optionStock', 'optionImages'
+];
+
+const MAX_IMPORT_ROWS = Number(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+// Progress is saved after this many products
+const PROGRESS_EVERY = 25;
+// Same placeholder sellerController.createProduct uses when no image is uploaded
+const DEFAULT_IMAGE_URL = 'https://res.cloudinary.com/demo/image/upload/v1690000000/products/default-product.png';
+
+const importError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Weight-based shipping charge baked into the product price, same tiers as sellerController
+const weightShippingCharge = (weight, weightUnit) => {
+  const grams = (Number(weight) || 0) * (weightUnit === 'g' ? 1 : 1000);
+  if (grams <= 0) return 0;
+  if (grams <= 500) return 45;
+  if (grams <= 1000) return 75;
+  if (grams <= 1500) return 110;
+  return 235;
+};
+
+// Multi-value cells (tags, features, images, specifications) are separated by |
+const splitList = (value) => String(value || '').split('|').map(part => part.trim()).filter(Boolean);
+
+const cellText = (cell) => {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    if (value instanceof Date) return value.toISOString();
+  }
+  return String(value);
+};
+
+/**
+ * Read an import file into rows of string cells
+ * @param {Buffer} buffer
+ * @param {String} format - csv | xlsx
+ * @returns {Promise<Array<Array<String>>>}
+ */
+const readImportFile = async (buffer, format) => {
+  if (format === 'csv') {
+    return parseCsv(buffer.toString('utf8'));
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      cells.push(cellText(row.getCell(col)));
+    }
+    rows.push(cells);
+  });
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Turn a table with a header row into records keyed by column name
+ * @param {Array<Array<String>>} table
+ * @returns {Array<{row: Number, values: Object}>} `row` is the 1-based row number in the file
+ */
+const tableToRecords = (table) => {
+  if (table.length === 0) {
+    throw importError('The file is empty', 'ImportFileInvalid');
+  }
+  const columnsByLowerName = new Map(PRODUCT_COLUMNS.map(column => [column.toLowerCase(), column]));
+  const headers = table[0].map(header => columnsByLowerName.get(String(header).trim().toLowerCase()) || null);
+  if (!headers.includes('sku')) {
+    throw importError('The header row must contain a "sku" column', 'ImportFileInvalid');
+  }
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    throw importError(`Files can have at most ${MAX_IMPORT_ROWS} rows`, 'ImportFileTooLarge');
+  }
+
+  return table.slice(1).map((cells, index) => {
+    const values = {};
+    headers.forEach((column, col) => {
+      if (column) values[column] = String(cells[col] ?? '').trim();
+    });
+    return { row: index + 2, values };
+  });
+};
+
+const parseNumber = (value, field, { integer = false, min = 0 } = {}) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    return { error: `${field} must be a number` };
+  }
+  if (integer && !Number.isInteger(number)) {
+    return { error: `${field} must be a whole number` };
+  }
+  if (number < min) {
+    return { error: `${field} cannot be less than ${min}` };
+  }
+  return { value: number };
+};
+
+const parseImages = (value, field, errors, row) => {
+  const urls = splitList(value);
+  const invalid = urls.find(url => !/^https?:\/\//i.test(url));
+  if (invalid) {
+    errors.push({ row, field, message: `Invalid image URL: ${invalid}` });
+  }
+  return urls.map((url, index) => ({ url, isPrimary: index === 0 }));
+};
+
+const resolveCategory = async (value, cache) => {
+  const key = value.toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+  let category = null;
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    category = await Category.findById(value).select('_id');
+  }
+  if (!category) {
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    category = await Category.findOne({ $or: [{ slug: key }, { name: new RegExp(`^${escaped}$`, 'i') }] }).select('_id');
+  }
+  const id = category ? category._id : null;
+  cache.set(key, id);
+  return id;
+};
+
+/**
+ * Parse the rows of one product into product fields and variant options
+ * @param {Array<{row: Number, values: Object}>} records - Rows sharing one SKU
+ * @param {Map} categoryCache
+ * @returns {Promise<{fields: Object, variants: Array, errors: Array}>}
+ */
+const parseProductRecords = async (records, categoryCache) => {
+  const errors = [];
+  const first = records[0];
+  const values = first.values;
+  const fields = {};
+  const add = (field, message, row = first.row) => errors.push({ row, field, message });
+
+  for (const field of ['name', 'description', 'shortDescription', 'brand', 'hsnCode']) {
+    if (values[field]) fields[field] = values[field];
+  }
+  const numericFields = {
+    price: {},
+    comparePrice: {},
+    stock: { integer: true },
+    lowStockThreshold: { integer: true },
+    weight: {},
+    gstRate: {}
+  };
+  for (const [field, options] of Object.entries(numericFields)) {
+    if (!values[field]) continue;
+    const parsed = parseNumber(values[field], field, options);
+    if (parsed.error) add(field, parsed.error);
+    else fields[field] = parsed.value;
+  }
+  if (values.weightUnit) {
+    if (values.weightUnit === 'kg' || values.weightUnit === 'g') fields.weightUnit = values.weightUnit;
+    else add('weightUnit', 'weightUnit must be kg or g');
+  }
+  if (values.isActive) {
+    const flag = values.isActive.toLowerCase();
+    if (['true', 'yes', '1'].includes(flag)) fields.isActive = true;
+    else if (['false', 'no', '0'].includes(flag)) fields.isActive = false;
+    else add('isActive', 'isActive must be true or false');
+  }
+  for (const field of ['category', 'subCategory']) {
+    if (!values[field]) continue;
+    const id = await resolveCategory(values[field], categoryCache);
+    if (id) fields[field] = id;
+    else add(field, `Unknown ${field}: ${values[field]}`);
+  }
+  if (values.tags) fields.tags = splitList(values.tags);
+  if (values.features) fields.features = splitList(values.features);
+  if (values.specifications) {
+    fields.specifications = splitList(values.specifications).map((pair) => {
+      const separator = pair.indexOf(':');
+      if (separator <= 0) {
+        add('specifications', `Specification "${pair}" must look like "Key: Value"`);
+        return null;
+      }
+      return { key: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+    }).filter(Boolean);
+  }
+  if (values.images) fields.images = parseImages(values.images, 'images', errors, first.row);
+
+  // Variant options, one per row with a variantName
+  const variants = [];
+  const optionSkus = new Set();
+  for (const { row, values: rowValues } of records) {
+    if (row !== first.row && ['name', 'price', 'stock'].some(field => rowValues[field] && rowValues[field] !== values[field])) {
+      add('sku', `Row repeats SKU ${values.sku} with different product details; product columns are read from row ${first.row}`, row);
+    }
+    if (!rowValues.variantName) continue;
+
+    const option = { value: rowValues.optionValue, sku: rowValues.optionSku };
+    if (!option.value) add('optionValue', 'optionValue is required for a variant row', row);
+    if (!option.sku) add('optionSku', 'optionSku is required for a variant row', row);
+    else if (optionSkus.has(option.sku)) add('optionSku', `Duplicate option SKU ${option.sku}`, row);
+    optionSkus.add(option.sku);
+
+    const price = parseNumber(rowValues.optionPrice, 'optionPrice');
+    if (price.error) add('optionPrice', price.error, row);
+    else option.price = price.value;
+    if (rowValues.optionComparePrice) {
+      const comparePrice = parseNumber(rowValues.optionComparePrice, 'optionComparePrice');
+      if (comparePrice.error) add('optionComparePrice', comparePrice.error, row);
+      else option.comparePrice = comparePrice.value;
+    }
+    if (rowValues.optionStock) {
+      const stock = parseNumber(rowValues.optionStock, 'optionStock', { integer: true });
+      if (stock.error) add('optionStock', stock.error, row);
+      else option.stock = stock.value;
+    }
+    if (rowValues.optionImages) option.images = parseImages(rowValues.optionImages, 'optionImages', errors, row);
+
+    let variant = variants.find(v => v.name === rowValues.variantName);
+    if (!variant) {
+      variant = { name: rowValues.variantName, options: [] };
+      variants.push(variant);
+    }
+    if (variant.options.some(existing => existing.value === option.value)) {
+      add('optionValue', `Duplicate option ${rowValues.variantName}: ${option.value}`, row);
+    }
+    variant.options.push(option);
+  }
+
+  return { fields, variants, errors };
+};
+
+/**
+ * Apply parsed rows to a product document (new or existing)
+ * @param {Object} product - Product document
+ * @param {Object} parsed - Result of parseProductRecords
+ */
+const applyToProduct = (product, { fields, variants }) => {
+  const { price, weightUnit, ...rest } = fields;
+  const existingCharge = Number(product.shippingInfo?.shippingCost || 0);
+  const basePrice = price !== undefined ? price : Number(product.price || 0) - existingCharge;
+  // Products store no weight unit, so an unchanged weight keeps the charge it was priced with
+  const weightChanged = product.isNew || (fields.weight !== undefined && fields.weight !== product.weight);
+  Object.assign(product, rest);
+
+  // Prices in the file exclude the weight-based shipping charge, as in the seller product form
+  const shippingCharge = weightChanged ? weightShippingCharge(product.weight, weightUnit || 'kg') : existingCharge;
+  product.price = basePrice + shippingCharge;
+  product.shippingInfo = {
+    ...(product.shippingInfo ? JSON.parse(JSON.stringify(product.shippingInfo)) : {}),
+    weight: Number(product.weight) || 0,
+    freeShipping: true,
+    shippingCost: shippingCharge
+  };
+
+  if (!product.images || product.images.length === 0) {
+    product.images = [{ url: DEFAULT_IMAGE_URL }];
+  }
+
+  for (const variant of variants) {
+    let existingVariant = product.variants.find(v => v.name === variant.name);
+    if (!existingVariant) {
+      product.variants.push({ name: variant.name, options: [] });
+      existingVariant = product.variants[product.variants.length - 1];
+    }
+    for (const option of variant.options) {
+      const existingOption = existingVariant.options.find(o => o.value === option.value);
+      if (existingOption) Object.assign(existingOption, option);
+      else existingVariant.options.push(option);
+    }
+  }
+};
+
+const validationErrors = (error, row) => Object.values(error.errors || {}).map(e => ({
+  row,
+  field: e.path,
+  message: e.message
+}));
+
+/**
+ * Process an import: validate every product and, unless it is a dry run, create or update it.
+ * Progress and row errors are saved on the ProductImport record.
+ * @param {String} importId - ProductImport id
+ * @param {Buffer} buffer - Uploaded file
+ */
+const runProductImport = async (importId, buffer) => {
+  const job = await ProductImport.findById(importId);
+  if (!job) return;
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  const recordErrors = (errors, sku) => {
+    for (const error of errors) {
+      if (job.rowErrors.length >= ProductImport.MAX_IMPORT_ERRORS) break;
+      job.rowErrors.push({ ...error, sku });
+    }
+  };
+
+  try {
+    const records = tableToRecords(await readImportFile(buffer, job.format));
+    job.totalRows = records.length;
+
+    const groups = new Map();
+    for (const record of records) {
+      const sku = record.values.sku;
+      if (!sku) {
+        recordErrors([{ row: record.row, field: 'sku', message: 'sku is required' }]);
+        job.failed++;
+        continue;
+      }
+      if (!groups.has(sku)) groups.set(sku, []);
+      groups.get(sku).push(record);
+    }
+    job.totalProducts = groups.size;
+    await job.save();
+
+    const existingProducts = await Product.find({ seller: job.seller, sku: { $in: [...groups.keys()] } });
+    const existingBySku = new Map(existingProducts.map(p => [p.sku, p]));
+    const categoryCache = new Map();
+
+    for (const [sku, group] of groups) {
+      const parsed = await parseProductRecords(group, categoryCache);
+      const existing = existingBySku.get(sku);
+      const product = existing || new Product({
+        sku,
+        seller: job.seller,
+        isActive: true,
+        isApproved: false // Admin approval required
+      });
+      const alertSnapshot = existing ? snapshotProductAlerts(existing) : null;
+
+      let errors = parsed.errors;
+      if (errors.length === 0) {
+        applyToProduct(product, parsed);
+        const validation = product.validateSync();
+        if (validation) errors = validationErrors(validation, group[0].row);
+      }
+
+      if (errors.length > 0) {
+        recordErrors(errors, sku);
+        job.failed++;
+      } else {
+        try {
+          if (!job.dryRun) {
+            await product.save();
+            if (alertSnapshot) await triggerProductAlertsSafely(alertSnapshot, product);
+          }
+          if (existing) job.updated++;
+          else job.created++;
+        } catch (error) {
+          recordErrors(error.errors ? validationErrors(error, group[0].row) : [{ row: group[0].row, message: error.message }], sku);
+          job.failed++;
+        }
+      }
+
+      job.processedProducts++;
+      if (job.processedProducts % PROGRESS_EVERY === 0) await job.save();
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Product import error:', error);
+    job.status = 'failed';
+    job.failureReason = error.statusCode ? error.message : 'The file could not be processed';
+  }
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+/**
+ * Create an import record and process the file in the background
+ * @param {Object} params
+ * @param {Object} params.seller - Seller document
+ * @param {String} params.userId
+ * @param {Object} params.file - Multer file ({ originalname, buffer })
+ * @param {Boolean} [params.dryRun]
+ * @returns {Promise<Object>} ProductImport document (queued)
+ */
+const startProductImport = async ({ seller, userId, file, dryRun = false }) => {
+  if (!file || !file.buffer) {
+    throw importError('Upload a CSV or XLSX file in the "file" field', 'ImportFileMissing');
+  }
+  const extension = String(file.originalname || '').split('.').pop().toLowerCase();
+  if (extension !== 'csv' && extension !== 'xlsx') {
+    throw importError('Only .csv and .xlsx files can be imported', 'ImportFormatUnsupported', 415);
+  }
+
+  const job = await ProductImport.create({
+    seller: seller._id,
+    user: userId,
+    fileName: file.originalname,
+    format: extension,
+    dryRun
+  });
+  setImmediate(() => {
+    runProductImport(job._id, file.buffer).catch(error => console.error('Product import error:', error));
+  });
+  return job;
+};
+
+/**
+ * Export a seller's products in the import format
+ * @param {String} sellerId
+ * @param {String} [format=csv] - csv | xlsx
+ * @returns {Promise<{body: Buffer|String, contentType: String, extension: String}>}
+ */
+const exportSellerProducts = async (sellerId, format = 'csv') => {
+  const products = await Product.find({ seller: sellerId })
+    .populate('category', 'slug')
+    .populate('subCategory', 'slug')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const rows = [PRODUCT_COLUMNS];
+  for (const product of products) {
+    const productCells = {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      shortDescription: product.shortDescription,
+      brand: product.brand,
+      category: product.category?.slug || '',
+      subCategory: product.subCategory?.slug || '',
+      // Without the weight-based shipping charge, as entered in the seller product form
+      price: Number(product.price || 0) - Number(product.shippingInfo?.shippingCost || 0),
+      comparePrice: product.comparePrice,
+      stock: product.stock,
+      lowStockThreshold: product.lowStockThreshold,
+      weight: product.weight,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate,
+      isActive: product.isActive === false ? 'false' : 'true',
+      tags: (product.tags || []).join('|'),
+      features: (product.features || []).join('|'),
+      specifications: (product.specifications || []).map(s => `${s.key}: ${s.value}`).join('|'),
+      images: (product.images || []).map(image => image.url).join('|')
+    };
+
+    const options = (product.variants || []).flatMap(variant =>
+      (variant.options || []).map(option => ({ variant, option }))
+    );
+    if (options.length === 0) {
+      rows.push(PRODUCT_COLUMNS.map(column => productCells[column] ?? ''));
+      continue;
+    }
+    options.forEach(({ variant, option }, index) => {
+      const cells = {
+        ...(index === 0 ? productCells : { sku: product.sku }),
+        variantName: variant.name,
+        optionValue: option.value,
+        optionSku: option.sku,
+        optionPrice: option.price,
+        optionComparePrice: option.comparePrice,
+        optionStock: option.stock,
+        optionImages: (option.images || []).map(image => image.url).join('|')
+      };
+      rows.push(PRODUCT_COLUMNS.map(column => cells[column] ?? ''));
+    });
+  }
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Products');
+    rows.forEach(row => worksheet.addRow(row));
+    return {
+      body: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+  return { body: toCsv(rows), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  readImportFile,
+  tableToRecords,
+  parseProductRecords,
+  runProductImport,
+  startProductImport,
+  exportSellerProducts
+};
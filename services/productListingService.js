@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+/**
+ * Product Listing Service
+ * Storefront product listing: only approved, active products, with filters, sorting,
+ * page or cursor pagination and facet counts. The page is its own query, matched and
+ * sorted before anything is computed so it walks the listing indexes on Product; the
+ * counts come from a single $facet aggregation.
+ *
+ * Facets are disjunctive: each facet is counted with every filter applied except its own,
+ * so picking a brand still shows how many products the other brands have.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sort options: field and direction, always tie-broken by _id
+const SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  popularity: { field: 'totalSold', direction: -1 },
+  rating: { field: 'ratings', direction: -1 }
+};
+
+const VISIBLE = { isActive: true, isApproved: true };
+// Filters on the fields computed by COMPUTED_FIELDS rather than stored on the product
+const COMPUTED_FILTERS = ['inStock', 'discount'];
+
+const RATING_STEPS = [4, 3, 2, 1];
+const DISCOUNT_STEPS = [10, 20, 30, 40, 50];
+
+// inStock and discountPercent of each product, for filters, facets and the listing itself
+const COMPUTED_FIELDS = {
+  $addFields: {
+    // Same rule as inventoryService: active variant options if any, else the product's own stock
+    inStock: {
+      $let: {
+        vars: {
+          options: {
+            $filter: {
+              input: { $reduce: { input: { $ifNull: ['$variants.options', []] }, initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } },
+              as: 'option',
+              cond: { $ne: ['$$option.isActive', false] }
+            }
+          }
+        },
+        in: {
+          $cond: [
+            { $gt: [{ $size: '$$options' }, 0] },
+            { $anyElementTrue: [{ $map: { input: '$$options', as: 'option', in: { $gt: ['$$option.stock', 0] } } }] },
+            { $gt: ['$stock', 0] }
+          ]
+        }
+      }
+    },
+    discountPercent: {
+      $cond: [
+        { $gt: [{ $ifNull: ['$comparePrice', 0] }, '$price'] },
+        { $round: [{ $multiply: [{ $divide: [{ $subtract: ['$comparePrice', '$price'] }, '$comparePrice'] }, 100] }, 0] },
+        0
+      ]
+    }
+  }
+};
+
+const listingError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.type = 'InvalidListingQuery';
+  return error;
+};
+
+// Comma-separated or repeated query values as a list
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw listingError(`${name} must be a number`);
+  return number;
+};
+
+const toObjectIds = (values, name) => values.map((value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) throw listingError(`Invalid ${name}: ${value}`);
+  return new mongoose.Types.ObjectId(value);
+});
+
+/**
+ * A category (by id or slug) and all of its descendants
+ * @param {Array<String>} values
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const resolveCategoryTree = async (values) => {
+  const ids = [];
+  const slugs = [];
+  for (const value of values) {
+    if (mongoose.Types.ObjectId.isValid(value)) ids.push(new mongoose.Types.ObjectId(value));
+    else slugs.push(value.toLowerCase());
+  }
+  if (slugs.length > 0) {
+    const bySlug = await Category.find({ slug: { $in: slugs } }).select('_id').lean();
+    ids.push(...bySlug.map(c => c._id));
+  }
+
+  const tree = new Map(ids.map(id => [String(id), id]));
+  let level = ids;
+  while (level.length > 0) {
+    const children = await Category.find({ parentCategory: { $in: level } }).select('_id').lean();
+    level = children.map(c => c._id).filter(id => !tree.has(String(id)));
+    level.forEach(id => tree.set(String(id), id));
+  }
+  return [...tree.values()];
+};
+
+const encodeCursor = (product, sort) => Buffer.from(JSON.stringify({
+  v: product[sort.field] instanceof Date ? product[sort.field].toISOString() : product[sort.field],
+  id: String(product._id)
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    return { value: sort.field === 'createdAt' ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw listingError('Invalid cursor');
+  }
+};
+
+/**
+ * Build the filters for a listing request, one entry per facet dimension
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} { dimension: $match condition }
+ */
+const buildFilters = async (query) => {
+  const filters = {};
+
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    const tree = await resolveCategoryTree(categories);
+    filters.category = { $or: [{ category: { $in: tree } }, { subCategory: { $in: tree } }] };
+  }
+
+  const brands = toList(query.brand);
+  if (brands.length > 0) filters.brand = { brand: { $in: brands } };
+
+  const sellers = toList(query.seller);
+  if (sellers.length > 0) filters.seller = { seller: { $in: toObjectIds(sellers, 'seller') } };
+
+  const minPrice = toNumber(query.minPrice, 'minPrice');
+  const maxPrice = toNumber(query.maxPrice, 'maxPrice');
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = {
+      price: {
+        ...(minPrice !== undefined && { $gte: minPrice }),
+        ...(maxPrice !== undefined && { $lte: maxPrice })
+      }
+    };
+  }
+
+  const minRating = toNumber(query.minRating ?? query.rating, 'minRating');
+  if (minRating !== undefined) filters.rating = { ratings: { $gte: minRating } };
+
+  if (String(query.inStock).toLowerCase() === 'true') filters.inStock = { inStock: true };
+
+  const minDiscount = toNumber(query.minDiscount, 'minDiscount');
+  if (minDiscount !== undefined) filters.discount = { discountPercent: { $gte: minDiscount } };
+
+  // spec[Color]=Red,Blue&spec[Material]=Cotton
+  if (query.spec && typeof query.spec === 'object') {
+    const conditions = Object.entries(query.spec)
+      .map(([key, value]) => ({ key, values: toList(value) }))
+      .filter(({ values }) => values.length > 0)
+      .map(({ key, values }) => ({ specifications: { $elemMatch: { key, value: { $in: values } } } }));
+    if (conditions.length > 0) filters.spec = { $and: conditions };
+  }
+
+  return filters;
+};
+
+// $match with every filter except the given dimension
+const matchExcept = (filters, dimension) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => name !== dimension)
+    .map(([, condition]) => condition);
+  return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+};
+
+/**
+ * List storefront products
+ * @param {Object} query - req.query: page, limit, cursor, sort, category, brand, seller,
+ *   minPrice, maxPrice, minRating, inStock, minDiscount, spec[key]
+ * @returns {Promise<{products: Array, pagination: Object, facets: Object}>}
+ */
+const listProducts = async (query = {}) => {
+  const sortName = query.sort || 'newest';
+  const sort = SORTS[sortName];
+  if (!sort) throw listingError(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  const filters = await buildFilters(query);
+
+  // The page: stored-field filters and the cursor are matched and the results sorted on
+  // the listing indexes first; only the products walked get the computed fields
+  const storedConditions = Object.entries(filters)
+    .filter(([name]) => !COMPUTED_FILTERS.includes(name))
+    .map(([, condition]) => condition);
+  const computedConditions = Object.entries(filters)
+    .filter(([name]) => COMPUTED_FILTERS.includes(name))
+    .map(([, condition]) => condition);
+  if (cursor) {
+    const op = sort.direction === 1 ? '$gt' : '$lt';
+    storedConditions.push({
+      $or: [
+        { [sort.field]: { [op]: cursor.value } },
+        { [sort.field]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    });
+  }
+  const pagePipeline = [
+    { $match: { ...VISIBLE, ...(storedConditions.length > 0 ? { $and: storedConditions } : {}) } },
+    { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+    COMPUTED_FIELDS
+  ];
+  if (computedConditions.length > 0) pagePipeline.push({ $match: { $and: computedConditions } });
+  if (!cursor) pagePipeline.push({ $skip: (page - 1) * limit });
+  // One extra to know whether another page follows
+  pagePipeline.push({ $limit: limit + 1 });
+  pagePipeline.push({
+    $project: {
+      name: 1, shortDescription: 1, price: 1, comparePrice: 1, images: { $slice: ['$images', 1] },
+      brand: 1, ratings: 1, numReviews: 1, totalSold: 1, createdAt: 1, inStock: 1, discountPercent: 1,
+      category: 1, seller: 1
+    }
+  });
+
+  const [pageProducts, [result]] = await Promise.all([
+    Product.aggregate(pagePipeline),
+    Product.aggregate([
+      { $match: VISIBLE },
+      COMPUTED_FIELDS,
+      {
+        $facet: {
+          total: [matchExcept(filters, null), { $count: 'count' }],
+          brands: [
+            matchExcept(filters, 'brand'),
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 50 }
+          ],
+          categories: [
+            matchExcept(filters, 'category'),
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            { $unwind: '$category' },
+            { $project: { _id: 1, count: 1, name: '$category.name', slug: '$category.slug' } },
+            { $sort: { count: -1 } }
+          ],
+          sellers: [
+            matchExcept(filters, 'seller'),
+            { $group: { _id: '$seller', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 50 },
+            { $lookup: { from: 'sellers', localField: '_id', foreignField: '_id', as: 'seller' } },
+            { $unwind: '$seller' },
+            { $project: { _id: 1, count: 1, shopName: '$seller.shopName' } }
+          ],
+          price: [
+            matchExcept(filters, 'price'),
+            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+          ],
+          priceRanges: [
+            matchExcept(filters, 'price'),
+            { $bucketAuto: { groupBy: '$price', buckets: 5 } }
+          ],
+          ratings: [
+            matchExcept(filters, 'rating'),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(RATING_STEPS.map(step => [`${step}`, { $sum: { $cond: [{ $gte: ['$ratings', step] }, 1, 0] } }]))
+              }
+            }
+          ],
+          discounts: [
+            matchExcept(filters, 'discount'),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(DISCOUNT_STEPS.map(step => [`${step}`, { $sum: { $cond: [{ $gte: ['$discountPercent', step] }, 1, 0] } }]))
+              }
+            }
+          ],
+          availability: [
+            matchExcept(filters, 'inStock'),
+            { $group: { _id: '$inStock', count: { $sum: 1 } } }
+          ],
+          specifications: [
+            matchExcept(filters, 'spec'),
+            { $unwind: '$specifications' },
+            { $group: { _id: { key: '$specifications.key', value: '$specifications.value' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 200 },
+            { $group: { _id: '$_id.key', values: { $push: { value: '$_id.value', count: '$count' } } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ])
+  ]);
+
+  const hasMore = pageProducts.length > limit;
+  const products = await Product.populate(pageProducts.slice(0, limit), [
+    { path: 'category', select: 'name slug' },
+    { path: 'seller', select: 'shopName' }
+  ]);
+  const total = result.total[0] ? result.total[0].count : 0;
+  const ratingCounts = result.ratings[0] || {};
+  const discountCounts = result.discounts[0] || {};
+
+  return {
+    products,
+    pagination: {
+      total,
+      limit,
+      ...(cursor
+        ? {}
+        : { page, pages: Math.ceil(total / limit) }),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(products[products.length - 1], sort) : null
+    },
+    facets: {
+      brands: result.brands.map(b => ({ brand: b._id, count: b.count })),
+      categories: result.categories.map(c => ({ _id: c._id, name: c.name, slug: c.slug, count: c.count })),
+      sellers: result.sellers.map(s => ({ _id: s._id, shopName: s.shopName, count: s.count })),
+      price: result.price[0] ? { min: result.price[0].min, max: result.price[0].max } : { min: 0, max: 0 },
+      priceRanges: result.priceRanges.map(b => ({ min: b._id.min, max: b._id.max, count: b.count })),
+      ratings: RATING_STEPS.map(step => ({ minRating: step, count: ratingCounts[`${step}`] || 0 })),
+      discounts: DISCOUNT_STEPS.map(step => ({ minDiscount: step, count: discountCounts[`${step}`] || 0 })),
+      availability: {
+        inStock: (result.availability.find(a => a._id === true) || {}).count || 0,
+        outOfStock: (result.availability.find(a => a._id !== true) || {}).count || 0
+      },
+      specifications: result.specifications.map(s => ({ key: s._id, values: s.values }))
+    }
+  };
+};
+
+module.exports = {
+  SORTS,
+  buildFilters,
+  listProducts
+};
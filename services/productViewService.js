@@ -0,0 +1,236 @@
+const Product = require('../models/Product');
+const ProductView = require('../models/ProductView');
+const ProductViewStat = require('../models/ProductViewStat');
+
+/**
+ * Product View Service
+ * Records which products shoppers open. Viewers are signed-in users or anonymous sessions
+ * (X-Session-Id header); requests with neither are not tracked. A viewer's repeat views of
+ * a product within VIEW_DEDUP_MINUTES count once towards Product.views and the daily
+ * counts behind trending products and seller view reports.
+ */
+
+const DEDUP_MINUTES = Number(process.env.VIEW_DEDUP_MINUTES) || 30;
+const TRENDING_WINDOW_DAYS = Number(process.env.TRENDING_WINDOW_DAYS) || 7;
+const RECENTLY_VIEWED_LIMIT = 20;
+
+const VISIBLE = { isActive: true, isApproved: true };
+const CARD_FIELDS = 'name price comparePrice images brand ratings numReviews';
+
+// Calendar day in India, the timezone of the sales reports
+const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit', day: '2-digit' });
+const toDay = (date) => dayFormat.format(date);
+
+/**
+ * Record a product view
+ * @param {Object} params
+ * @param {String} params.product - Product id
+ * @param {String} [params.seller] - Seller of the product
+ * @param {String} [params.user] - Signed-in viewer
+ * @param {String} [params.sessionId] - Anonymous viewer session
+ * @returns {Promise<Boolean>} Whether the view was counted
+ */
+const recordProductView = async ({ product, seller, user, sessionId }) => {
+  const viewer = user ? { user } : sessionId ? { sessionId: String(sessionId).slice(0, 100) } : null;
+  if (!viewer) return false;
+  try {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - DEDUP_MINUTES * 60 * 1000);
+
+    // A viewer seen before the dedup window: a new counted view
+    const repeat = await ProductView.updateOne(
+      { ...viewer, product, lastViewedAt: { $lt: cutoff } },
+      { $inc: { count: 1 }, $set: { lastViewedAt: now } }
+    );
+    let counted = repeat.modifiedCount > 0;
+    if (!counted) {
+      // First view counts; a view inside the window only moves the product up "recently viewed"
+      const first = await ProductView.updateOne(
+        { ...viewer, product },
+        { $set: { lastViewedAt: now }, $setOnInsert: { count: 1 } },
+        { upsert: true, setDefaultsOnInsert: false }
+      );
+      counted = first.upsertedCount > 0;
+    }
+
+    if (counted) {
+      await Promise.all([
+        Product.updateOne({ _id: product }, { $inc: { views: 1 } }),
+        ProductViewStat.updateOne(
+          { product, day: toDay(now) },
+          { $inc: { views: 1 }, $setOnInsert: { seller } },
+          { upsert: true, setDefaultsOnInsert: false }
+        )
+      ]);
+    }
+    return counted;
+  } catch (error) {
+    // Concurrent first views of one viewer race on the unique index; one of them counts
+    if (error.code !== 11000) console.error('Product view tracking error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Products a shopper viewed, most recent first
+ * @param {String} userId
+ * @param {Number} [limit=20]
+ * @returns {Promise<Array<Object>>} Products with viewedAt
+ */
+const getRecentlyViewed = async (userId, limit = RECENTLY_VIEWED_LIMIT) => {
+  const views = await ProductView.find({ user: userId })
+    .sort({ lastViewedAt: -1 })
+    .limit(limit * 2)
+    .lean();
+  const products = await Product.find({ _id: { $in: views.map(v => v.product) }, ...VISIBLE }).select(CARD_FIELDS).lean();
+  const byId = new Map(products.map(p => [String(p._id), p]));
+  return views
+    .filter(view => byId.has(String(view.product)))
+    .slice(0, limit)
+    .map(view => ({ ...byId.get(String(view.product)), viewedAt: view.lastViewedAt }));
+};
+
+/**
+ * Forget a shopper's viewing history
+ * @param {String} userId
+ */
+const clearRecentlyViewed = async (userId) => {
+  await ProductView.deleteMany({ user: userId });
+};
+
+/**
+ * Most viewed products over the last TRENDING_WINDOW_DAYS; recent days weigh more
+ * (a view today counts 1, yesterday 1/2, two days ago 1/3, ...)
+ * @param {Object} [options]
+ * @param {Number} [options.limit=20]
+ * @param {String} [options.category] - Only products of this category or subcategory
+ * @returns {Promise<Array<Object>>} Products with trendingScore and windowViews
+ */
+const getTrendingProducts = async ({ limit = 20, category } = {}) => {
+  const now = new Date();
+  const days = Array.from({ length: TRENDING_WINDOW_DAYS }, (_, i) => toDay(new Date(now.getTime() - i * 24 * 60 * 60 * 1000)));
+  const weights = Object.fromEntries(days.map((day, i) => [day, 1 / (i + 1)]));
+
+  const rows = await ProductViewStat.aggregate([
+    { $match: { day: { $in: days } } },
+    {
+      $group: {
+        _id: '$product',
+        windowViews: { $sum: '$views' },
+        trendingScore: {
+          $sum: {
+            $multiply: [
+              '$views',
+              { $switch: { branches: days.map(day => ({ case: { $eq: ['$day', day] }, then: weights[day] })), default: 0 } }
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { trendingScore: -1 } },
+    // Room for products filtered out below
+    { $limit: limit * 3 }
+  ]);
+
+  const filter = { _id: { $in: rows.map(r => r._id) }, ...VISIBLE };
+  if (category) filter.$or = [{ category }, { subCategory: category }];
+  const products = await Product.find(filter).select(CARD_FIELDS).lean();
+  const byId = new Map(products.map(p => [String(p._id), p]));
+  return rows
+    .filter(row => byId.has(String(row._id)))
+    .slice(0, limit)
+    .map(row => ({
+      ...byId.get(String(row._id)),
+      windowViews: row.windowViews,
+      trendingScore: Number(row.trendingScore.toFixed(2))
+    }));
+};
+
+/**
+ * Views of a seller's products per day, month or year, and the most viewed products with
+ * units sold in the same range
+ * @param {String} sellerId
+ * @param {Object} [options]
+ * @param {String} [options.period=daily] - daily | monthly | yearly
+ * @param {String} [options.from] - YYYY-MM-DD
+ * @param {String} [options.to] - YYYY-MM-DD
+ * @returns {Promise<{data: Array, topProducts: Array, totalViews: Number}>}
+ */
+const getSellerViewReport = async (sellerId, { period = 'daily', from, to } = {}) => {
+  const Order = require('../models/Order');
+  const keyLength = period === 'yearly' ? 4 : period === 'monthly' ? 7 : 10;
+  const match = { seller: sellerId };
+  if (from || to) {
+    match.day = {};
+    if (from) match.day.$gte = String(from).slice(0, 10);
+    if (to) match.day.$lte = String(to).slice(0, 10);
+  }
+
+  const [result] = await ProductViewStat.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        data: [
+          { $group: { _id: { $substrBytes: ['$day', 0, keyLength] }, views: { $sum: '$views' } } },
+          { $sort: { _id: 1 } }
+        ],
+        topProducts: [
+          { $group: { _id: '$product', views: { $sum: '$views' } } },
+          { $sort: { views: -1 } },
+          { $limit: 10 }
+        ]
+      }
+    }
+  ]);
+
+  // Units sold of the top products over the same days, for a view-to-sale rate
+  const productIds = result.topProducts.map(row => row._id);
+  const orderMatch = {
+    seller: sellerId,
+    orderStatus: { $nin: ['cancelled', 'refunded'] },
+    'orderItems.product': { $in: productIds }
+  };
+  const createdAt = {};
+  if (match.day && match.day.$gte) createdAt.$gte = new Date(`${match.day.$gte}T00:00:00+05:30`);
+  if (match.day && match.day.$lte) createdAt.$lte = new Date(`${match.day.$lte}T23:59:59.999+05:30`);
+  if (Object.keys(createdAt).length > 0) orderMatch.createdAt = createdAt;
+
+  const [sales, products] = await Promise.all([
+    Order.aggregate([
+      { $match: orderMatch },
+      { $unwind: '$orderItems' },
+      { $match: { 'orderItems.product': { $in: productIds } } },
+      { $group: { _id: '$orderItems.product', unitsSold: { $sum: { $subtract: ['$orderItems.quantity', { $ifNull: ['$orderItems.cancelledQuantity', 0] }] } } } }
+    ]),
+    Product.find({ _id: { $in: productIds } }).select('name images views').lean()
+  ]);
+  const unitsByProduct = new Map(sales.map(row => [String(row._id), row.unitsSold]));
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+
+  return {
+    data: result.data,
+    totalViews: result.data.reduce((sum, row) => sum + row.views, 0),
+    topProducts: result.topProducts.map((row) => {
+      const product = productsById.get(String(row._id));
+      const unitsSold = unitsByProduct.get(String(row._id)) || 0;
+      return {
+        product: row._id,
+        name: product ? product.name : 'Deleted product',
+        image: product && product.images && product.images[0] ? product.images[0].url : '',
+        views: row.views,
+        lifetimeViews: product ? product.views : 0,
+        unitsSold,
+        // Units sold per 100 views
+        conversionRate: row.views > 0 ? Number(((unitsSold / row.views) * 100).toFixed(2)) : 0
+      };
+    })
+  };
+};
+
+module.exports = {
+  recordProductView,
+  getRecentlyViewed,
+  clearRecentlyViewed,
+  getTrendingProducts,
+  getSellerViewReport
+};
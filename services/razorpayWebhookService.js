@@ -0,0 +1,143 @@
+const Order = require('../models/Order');
+const Withdrawal = require('../models/Withdrawal');
+const CheckoutSession = require('../models/CheckoutSession');
+const { fulfilCheckoutSession } = require('./checkoutSessionService');
+const { getRefundableAmount, recordProcessedRefund } = require('./refundService');
+
+/**
+ * Razorpay Webhook Service
+ * Reconciles Razorpay events with our records. Razorpay retries deliveries and may send
+ * them out of order, so every handler is idempotent: replaying an event leaves the
+ * database unchanged.
+ */
+
+/**
+ * payment.captured: place the orders of the checkout session when the customer never
+ * reached /api/orders/with-payment. A session that can no longer be fulfilled is refunded.
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<String>} Outcome, for logging
+ */
+const handlePaymentCaptured = async (payment) => {
+  const session = await CheckoutSession.findOne({ razorpayOrderId: payment.order_id });
+  if (!session) return 'no_checkout_session';
+
+  try {
+    const { created } = await fulfilCheckoutSession({
+      session,
+      payment: {
+        razorpayOrderId: payment.order_id,
+        razorpayPaymentId: payment.id,
+        // Razorpay amounts are in paise
+        amount: Number(payment.amount) / 100
+      }
+    });
+    return created ? 'orders_created' : 'orders_exist';
+  } catch (error) {
+    // Rejected checkouts have been refunded; anything else is rethrown so Razorpay retries
+    if (!error.statusCode) throw error;
+    console.error(`Razorpay webhook: checkout ${session._id} not placed:`, error.message);
+    return 'refunded';
+  }
+};
+
+/**
+ * payment.failed: note the failure on the checkout session and on any unpaid orders.
+ * The session stays payable, since the customer may retry on the same Razorpay order.
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<String>}
+ */
+const handlePaymentFailed = async (payment) => {
+  const reason = payment.error_description || payment.error_reason || 'Payment failed';
+  await CheckoutSession.updateOne(
+    { razorpayOrderId: payment.order_id, status: 'pending' },
+    { $set: { failureReason: reason } }
+  );
+  // A retried payment may already have succeeded on the same Razorpay order; leave paid orders alone
+  await Order.updateMany(
+    { razorpayOrderId: payment.order_id, paymentStatus: 'pending' },
+    { $set: { paymentStatus: 'failed', 'paymentResult.status': 'failed', 'paymentResult.update_time': new Date().toISOString() } }
+  );
+  return 'payment_failed';
+};
+
+/**
+ * refund.processed: record the refund in the order's refund history. A payment covers every
+ * seller order of a checkout, so the refund is matched by notes.orderId, then by the
+ * order already holding the refund id, then by the only order of the payment, then (for
+ * a full refund issued in the Razorpay dashboard) split across all of them.
+ * @param {Object} refund - Razorpay refund entity
+ * @returns {Promise<String>}
+ */
+const handleRefundProcessed = async (refund) => {
+  const orders = await Order.find({ razorpayPaymentId: refund.payment_id });
+  if (orders.length === 0) return 'no_orders';
+
+  const noteOrderId = refund.notes && refund.notes.orderId;
+  let matched = noteOrderId
+    ? orders.filter(o => String(o._id) === String(noteOrderId))
+    : orders.filter(o => o.refunds.some(r => r.razorpayRefundId === refund.id));
+  if (matched.length === 0 && orders.length === 1) matched = orders;
+
+  if (matched.length > 0) {
+    const order = matched[0];
+    if (await recordProcessedRefund(order, refund)) await order.save();
+    return 'refund_recorded';
+  }
+
+  const refundable = orders.map(o => Math.round(getRefundableAmount(o) * 100));
+  if (Number(refund.amount) < refundable.reduce((sum, v) => sum + v, 0)) return 'unmatched_refund';
+  for (const [index, order] of orders.entries()) {
+    if (refundable[index] <= 0) continue;
+    if (await recordProcessedRefund(order, { ...refund, amount: refundable[index] })) await order.save();
+  }
+  return 'refund_recorded';
+};
+
+/**
+ * payout.*: sync a withdrawal with its Razorpay payout
+ * @param {String} event - e.g. payout.processed
+ * @param {Object} payout - Razorpay payout entity
+ * @returns {Promise<String>}
+ */
+const handlePayoutEvent = async (event, payout) => {
+  const withdrawal = await Withdrawal.findOne({ razorpayPayoutId: payout.id });
+  if (!withdrawal) return 'no_withdrawal';
+
+  withdrawal.razorpayStatus = payout.status || event.split('.')[1];
+  if (event === 'payout.processed') {
+    withdrawal.status = 'paid';
+    withdrawal.processedDate = withdrawal.processedDate || new Date();
+    if (payout.utr) withdrawal.transactionId = payout.utr;
+  } else if (['payout.failed', 'payout.reversed', 'payout.rejected'].includes(event)) {
+    // Rejected withdrawals no longer count against the seller's available balance
+    withdrawal.status = 'rejected';
+    const reason = payout.status_details?.description || payout.failure_reason || event;
+    withdrawal.notes = `Razorpay payout ${withdrawal.razorpayStatus}: ${reason}`;
+  }
+  await withdrawal.save();
+  return 'withdrawal_updated';
+};
+
+/**
+ * Dispatch a verified webhook payload
+ * @param {Object} body - Parsed webhook body ({ event, payload })
+ * @returns {Promise<String>} Outcome, 'ignored' for events we do not handle
+ */
+const handleWebhookEvent = async (body) => {
+  const { event, payload = {} } = body || {};
+  const payment = payload.payment?.entity;
+
+  if (event === 'payment.captured' && payment) return handlePaymentCaptured(payment);
+  if (event === 'payment.failed' && payment) return handlePaymentFailed(payment);
+  if (event === 'refund.processed' && payload.refund?.entity) return handleRefundProcessed(payload.refund.entity);
+  if (event && event.startsWith('payout.') && payload.payout?.entity) return handlePayoutEvent(event, payload.payout.entity);
+  return 'ignored';
+};
+
+module.exports = {
+  handleWebhookEvent,
+  handlePaymentCaptured,
+  handlePaymentFailed,
+  handleRefundProcessed,
+  handlePayoutEvent
+};
@@ -0,0 +1,339 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
+const ProductView = require('../models/ProductView');
+const Recommendation = require('../models/Recommendation');
+
+/**
+ * Recommendation Service
+ * Three recommendation lists, precomputed by jobs/recommendationJob into Recommendation:
+ * - "bought together": co-occurrence of products in the same checkout (Order.orderItems of
+ *   all orders split from one CheckoutGroup count as one basket)
+ * - "similar": same subcategory, category and brand, plus shared tags
+ * - "for you": the bought-together and similar lists of what a shopper viewed, wishlisted
+ *   and ordered, weighted by how strong and recent that signal is
+ * Reads only return approved, active products; lists not computed yet fall back to a live
+ * query (similar) or best sellers (for you).
+ */
+
+const MAX_ITEMS = 20;
+const ORDER_WINDOW_DAYS = Number(process.env.RECOMMENDATION_ORDER_DAYS) || 365;
+// Views, wishlists and orders older than this do not shape the personal feed
+const ACTIVITY_WINDOW_DAYS = 90;
+// Baskets larger than this are cut, so one huge order cannot dominate the pair counts
+const MAX_BASKET_SIZE = 30;
+const BATCH_SIZE = 200;
+
+const VISIBLE = { isActive: true, isApproved: true };
+const CARD_FIELDS = 'name price comparePrice images brand ratings numReviews totalSold';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+// Upserts recommendation lists of one type in batches as they are added; finish() writes the
+// last batch and drops the lists not rebuilt in this run. `key` is { product } or { user }
+const createRecommendationWriter = (type, computedAt) => {
+  let batch = [];
+  let written = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const lists = batch;
+    batch = [];
+    await Recommendation.bulkWrite(lists.map(({ key, items }) => ({
+      updateOne: {
+        filter: { type, ...key },
+        update: { $set: { items, computedAt } },
+        upsert: true
+      }
+    })));
+    written += lists.length;
+  };
+  return {
+    add: async (key, items) => {
+      batch.push({ key, items });
+      if (batch.length >= BATCH_SIZE) await flush();
+    },
+    finish: async () => {
+      await flush();
+      // Lists not rebuilt in this run belong to products or users with no signal left
+      await Recommendation.deleteMany({ type, computedAt: { $lt: computedAt } });
+      return written;
+    }
+  };
+};
+
+/**
+ * Rebuild "bought together" lists from recent orders
+ * @returns {Promise<Number>} Number of products with a list
+ */
+const computeBoughtTogether = async () => {
+  const computedAt = new Date();
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: daysAgo(ORDER_WINDOW_DAYS) }, orderStatus: { $nin: ['cancelled', 'refunded'] } } },
+    { $unwind: '$orderItems' },
+    { $group: { _id: { $ifNull: ['$checkoutGroup', '$_id'] }, products: { $addToSet: '$orderItems.product' } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { a: { $slice: ['$products', MAX_BASKET_SIZE] }, b: { $slice: ['$products', MAX_BASKET_SIZE] } } },
+    { $unwind: '$a' },
+    { $unwind: '$b' },
+    { $match: { $expr: { $ne: ['$a', '$b'] } } },
+    { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $group: { _id: '$_id.a', items: { $push: { product: '$_id.b', score: '$count' } } } },
+    { $project: { items: { $slice: ['$items', MAX_ITEMS] } } }
+  ]).allowDiskUse(true);
+
+  const writer = createRecommendationWriter('bought_together', computedAt);
+  for (const row of rows) {
+    await writer.add({ product: row._id }, row.items);
+  }
+  return writer.finish();
+};
+
+/**
+ * Products most similar to one product, best first
+ * @param {Object} product - Product with category, subCategory, brand and tags
+ * @param {Number} [limit]
+ * @returns {Promise<Array<{product: ObjectId, score: Number}>>}
+ */
+const findSimilarProducts = async (product, limit = MAX_ITEMS) => {
+  const tags = product.tags || [];
+  const conditions = [];
+  if (product.subCategory) conditions.push({ subCategory: product.subCategory });
+  if (product.category) conditions.push({ category: product.category });
+  if (product.brand) conditions.push({ brand: product.brand });
+  if (tags.length > 0) conditions.push({ tags: { $in: tags } });
+  if (conditions.length === 0) return [];
+
+  const rows = await Product.aggregate([
+    { $match: { _id: { $ne: product._id }, ...VISIBLE, $or: conditions } },
+    {
+      $project: {
+        totalSold: 1,
+        score: {
+          $add: [
+            product.subCategory ? { $cond: [{ $eq: ['$subCategory', product.subCategory] }, 3, 0] } : 0,
+            product.category ? { $cond: [{ $eq: ['$category', product.category] }, 2, 0] } : 0,
+            product.brand ? { $cond: [{ $eq: ['$brand', product.brand] }, 2, 0] } : 0,
+            { $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }
+          ]
+        }
+      }
+    },
+    { $sort: { score: -1, totalSold: -1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(row => ({ product: row._id, score: row.score }));
+};
+
+const SIMILARITY_FIELDS = 'category subCategory brand tags totalSold';
+
+const same = (a, b) => Boolean(a) && String(a) === String(b);
+
+// Same scoring as findSimilarProducts, for products already in memory; `tags` is the product's tags as a Set
+const similarityScore = (product, tags, candidate) => {
+  const sharedTags = new Set((candidate.tags || []).filter(tag => tags.has(tag))).size;
+  return (same(product.subCategory, candidate.subCategory) ? 3 : 0) +
+    (same(product.category, candidate.category) ? 2 : 0) +
+    (same(product.brand, candidate.brand) ? 2 : 0) +
+    sharedTags;
+};
+
+/**
+ * Rebuild "similar products" lists for every visible product. Products are scored in memory
+ * one category at a time, against the category and the other products of its brands; a
+ * product from another category sharing only tags ranks below any same-category product
+ * and is left out.
+ * @returns {Promise<Number>} Number of products with a list
+ */
+const computeSimilarProducts = async () => {
+  const computedAt = new Date();
+  const writer = createRecommendationWriter('similar', computedAt);
+  const categories = await Product.distinct('category', VISIBLE);
+  for (const category of categories) {
+    const members = await Product.find({ ...VISIBLE, category }).select(SIMILARITY_FIELDS).lean();
+    const brands = [...new Set(members.map(p => p.brand).filter(Boolean))];
+    const sameBrandElsewhere = brands.length > 0
+      ? await Product.find({ ...VISIBLE, category: { $ne: category }, brand: { $in: brands } }).select(SIMILARITY_FIELDS).lean()
+      : [];
+    const candidates = [...members, ...sameBrandElsewhere];
+
+    for (const product of members) {
+      const tags = new Set(product.tags || []);
+      const items = candidates
+        .filter(candidate => !candidate._id.equals(product._id))
+        .map(candidate => ({ product: candidate._id, score: similarityScore(product, tags, candidate), totalSold: candidate.totalSold || 0 }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || b.totalSold - a.totalSold)
+        .slice(0, MAX_ITEMS)
+        .map(({ product: id, score }) => ({ product: id, score }));
+      if (items.length > 0) await writer.add({ product: product._id }, items);
+    }
+  }
+  return writer.finish();
+};
+
+// Products a shopper showed interest in, with a weight per product
+const getUserSignals = async (userId) => {
+  const since = daysAgo(ACTIVITY_WINDOW_DAYS);
+  const [views, wishlists, user, orders] = await Promise.all([
+    ProductView.find({ user: userId, lastViewedAt: { $gte: since } }).sort({ lastViewedAt: -1 }).limit(50).lean(),
+    Wishlist.find({ user: userId }).select('items.product').lean(),
+    User.findById(userId).select('wishlist').lean(),
+    Order.find({ user: userId, createdAt: { $gte: since }, orderStatus: { $nin: ['cancelled', 'refunded'] } })
+      .select('orderItems.product')
+      .lean()
+  ]);
+
+  const weights = new Map();
+  const add = (productId, weight) => {
+    if (!productId) return;
+    const key = String(productId);
+    weights.set(key, (weights.get(key) || 0) + weight);
+  };
+  // Repeat views count up to 5 times; a view loses half its weight after a week
+  for (const view of views) {
+    const ageDays = (Date.now() - new Date(view.lastViewedAt).getTime()) / (24 * 60 * 60 * 1000);
+    add(view.product, Math.min(view.count, 5) / (1 + ageDays / 7));
+  }
+  const wishlisted = [
+    ...wishlists.flatMap(list => list.items.map(item => item.product)),
+    ...((user && user.wishlist) || [])
+  ];
+  wishlisted.forEach(productId => add(productId, 3));
+  const purchased = orders.flatMap(order => order.orderItems.map(item => item.product));
+  purchased.forEach(productId => add(productId, 2));
+
+  // Already wishlisted or bought: not worth recommending again
+  const exclude = new Set([...wishlisted, ...purchased].filter(Boolean).map(String));
+  return { weights, exclude };
+};
+
+/**
+ * Personal feed of one shopper
+ * @param {String} userId
+ * @returns {Promise<Array<{product: ObjectId, score: Number}>>}
+ */
+const computeUserFeed = async (userId) => {
+  const { weights, exclude } = await getUserSignals(userId);
+  if (weights.size === 0) return [];
+  // Nor products they have already seen
+  weights.forEach((weight, productId) => exclude.add(productId));
+
+  const lists = await Recommendation.find({
+    type: { $in: ['bought_together', 'similar'] },
+    product: { $in: [...weights.keys()] }
+  }).lean();
+
+  // Each list is scaled to its best item; co-purchases are a stronger signal than similarity
+  const scores = new Map();
+  for (const list of lists) {
+    const seedWeight = weights.get(String(list.product)) || 0;
+    const best = Math.max(...list.items.map(item => item.score), 1);
+    const typeWeight = list.type === 'bought_together' ? 1.5 : 1;
+    for (const item of list.items) {
+      const key = String(item.product);
+      if (exclude.has(key)) continue;
+      scores.set(key, (scores.get(key) || 0) + seedWeight * typeWeight * (item.score / best));
+    }
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_ITEMS * 2);
+  const visible = await Product.find({ _id: { $in: ranked.map(([id]) => id) }, ...VISIBLE }).select('_id').lean();
+  const visibleIds = new Set(visible.map(p => String(p._id)));
+  return ranked
+    .filter(([id]) => visibleIds.has(id))
+    .slice(0, MAX_ITEMS)
+    .map(([id, score]) => ({ product: id, score: Number(score.toFixed(4)) }));
+};
+
+/**
+ * Rebuild the personal feed of every shopper with recent activity
+ * @returns {Promise<Number>} Number of feeds
+ */
+const computeUserFeeds = async () => {
+  const computedAt = new Date();
+  const since = daysAgo(ACTIVITY_WINDOW_DAYS);
+  const [viewers, wishlisters, buyers] = await Promise.all([
+    ProductView.distinct('user', { lastViewedAt: { $gte: since } }),
+    Wishlist.distinct('user', { 'items.0': { $exists: true } }),
+    Order.distinct('user', { createdAt: { $gte: since } })
+  ]);
+  // Anonymous session views have no user
+  const userIds = [...new Set([...viewers, ...wishlisters, ...buyers].filter(Boolean).map(String))];
+
+  const writer = createRecommendationWriter('for_user', computedAt);
+  for (const userId of userIds) {
+    const items = await computeUserFeed(userId);
+    if (items.length > 0) await writer.add({ user: userId }, items);
+  }
+  return writer.finish();
+};
+
+/**
+ * Rebuild all recommendation lists. Personal feeds use the product lists, so they go last.
+ * @returns {Promise<{boughtTogether: Number, similar: Number, forUser: Number}>}
+ */
+const refreshRecommendations = async () => {
+  const boughtTogether = await computeBoughtTogether();
+  const similar = await computeSimilarProducts();
+  const forUser = await computeUserFeeds();
+  return { boughtTogether, similar, forUser };
+};
+
+// Visible products of a recommendation list, in list order
+const loadProducts = async (items, limit) => {
+  const ids = items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: ids }, ...VISIBLE }).select(CARD_FIELDS).lean();
+  const byId = new Map(products.map(p => [String(p._id), p]));
+  return ids.map(id => byId.get(String(id))).filter(Boolean).slice(0, limit);
+};
+
+/**
+ * "Customers who bought this also bought"
+ * @param {String} productId
+ * @param {Number} [limit=10]
+ * @returns {Promise<Array<Object>>}
+ */
+const getBoughtTogether = async (productId, limit = 10) => {
+  const list = await Recommendation.findOne({ type: 'bought_together', product: productId }).lean();
+  return list ? loadProducts(list.items, limit) : [];
+};
+
+/**
+ * Products similar to one product
+ * @param {Object} product - Product document
+ * @param {Number} [limit=10]
+ * @returns {Promise<Array<Object>>}
+ */
+const getSimilarProducts = async (product, limit = 10) => {
+  const list = await Recommendation.findOne({ type: 'similar', product: product._id }).lean();
+  const items = list ? list.items : await findSimilarProducts(product, limit);
+  return loadProducts(items, limit);
+};
+
+/**
+ * "Recommended for you"; best sellers until the shopper has a feed
+ * @param {String} userId
+ * @param {Number} [limit=20]
+ * @returns {Promise<{products: Array<Object>, personalized: Boolean}>}
+ */
+const getUserRecommendations = async (userId, limit = MAX_ITEMS) => {
+  const list = await Recommendation.findOne({ type: 'for_user', user: userId }).lean();
+  const products = list ? await loadProducts(list.items, limit) : [];
+  if (products.length > 0) return { products, personalized: true };
+
+  const bestSellers = await Product.find(VISIBLE).sort({ totalSold: -1 }).limit(limit).select(CARD_FIELDS).lean();
+  return { products: bestSellers, personalized: false };
+};
+
+module.exports = {
+  computeBoughtTogether,
+  computeSimilarProducts,
+  computeUserFeed,
+  computeUserFeeds,
+  refreshRecommendations,
+  getBoughtTogether,
+  getSimilarProducts,
+  getUserRecommendations
+};
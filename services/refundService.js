@@ -0,0 +1,330 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const User = require('../models/User');
+const { refundPayment } = require('../utils/razorpay');
+const { getOrderCommission, getOrderSellerEarnings } = require('./commissionService');
+const { transitionOrder } = require('./orderLifecycleService');
+const { releaseStock } = require('./checkoutService');
+
+/**
+ * Refund Service
+ * Item-level cancellation and (partial) refunds of an order. Every cancellation or
+ * refund is appended to order.refunds with the commission and seller earnings it takes
+ * off the order, so order.commission / order.sellerEarnings always reflect what is left.
+ * Refunds of online payments start as 'requested' and are sent to Razorpay by an admin.
+ * Cancelled units go back into stock.
+ */
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const refundError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether the customer has actually paid for the order (online, or COD after delivery)
+const isPaid = (order) => order.paymentStatus === 'paid';
+
+// Refunds that returned, or will return, money (or reduced what is due)
+const isCounted = (refund) => refund.status !== 'failed';
+
+// Amount still refundable: what the order costs less everything refunded or requested so far
+const getRefundableAmount = (order) => {
+  const allocated = (order.refunds || []).filter(isCounted).reduce((sum, r) => sum + (r.amount || 0), 0);
+  return roundMoney(Math.max(0, (order.totalPrice || 0) - allocated));
+};
+
+// What the customer paid for `quantity` units of a line: discounted value plus GST
+const getLineRefundAmount = (order, item, quantity) => {
+  const gross = (item.price || 0) * item.quantity;
+  let taxableValue = item.taxableValue;
+  if (taxableValue === undefined || taxableValue === null) {
+    // Orders placed before line taxes: spread the order discount over the items
+    const share = order.itemsPrice > 0 ? gross / order.itemsPrice : 0;
+    taxableValue = gross - (order.discount || 0) * share;
+  }
+  const tax = (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
+  return roundMoney((taxableValue + tax) * quantity / item.quantity);
+};
+
+// Commission charged on `quantity` units of a line, from the order's commission snapshot
+const getLineCommission = (order, item, index, quantity) => {
+  const snapshotLine = order.commissionSnapshot?.lines?.[index];
+  if (snapshotLine && String(snapshotLine.product) === String(item.product)) {
+    return roundMoney((snapshotLine.commission || 0) * quantity / item.quantity);
+  }
+  const gross = (item.price || 0) * quantity;
+  return order.itemsPrice > 0 ? roundMoney(getOrderCommission(order) * gross / order.itemsPrice) : 0;
+};
+
+// Seller wallets are credited when a COD order is delivered; take reversed earnings back
+const reverseSellerCredit = async (order, earningsReversed, { session = null, undo = [] } = {}) => {
+  const credited = order.sellerCredited || (order.paymentMethod === 'cod' && order.paymentStatus === 'paid');
+  if (!credited || !earningsReversed) return;
+  const sellerDoc = await Seller.findById(order.seller).select('userId').session(session);
+  if (sellerDoc?.userId) {
+    const amount = Math.abs(earningsReversed);
+    await User.updateOne({ _id: sellerDoc.userId }, { $inc: { walletBalance: -amount } }, { session });
+    undo.push(() => User.updateOne({ _id: sellerDoc.userId }, { $inc: { walletBalance: amount } }));
+  }
+};
+
+// Return cancelled units to the stock they were reserved from (see checkoutService.reserveStock)
+const restockCancelledUnits = async (lines, ctx) => {
+  for (const { item, units } of lines) {
+    const product = await Product.findById(item.product).select('variants').session(ctx.session);
+    if (!product) continue;
+    const combination = Product.normalizeVariantSelection(item.selectedVariants);
+    const option = Object.keys(combination).length > 0 ? product.getVariantByCombination(combination) : null;
+    const variant = option ? product.variants.find(v => v.options.some(o => o._id.equals(option._id))) : null;
+    await releaseStock({
+      product: product._id,
+      quantity: units,
+      variantId: variant ? variant._id : null,
+      optionId: option ? option._id : null
+    }, ctx);
+  }
+};
+
+const applyRefundEntry = async (order, entry, ctx) => {
+  order.commission = roundMoney(Math.max(0, getOrderCommission(order) - entry.commissionReversed));
+  order.sellerEarnings = roundMoney(Math.max(0, getOrderSellerEarnings(order) - entry.earningsReversed));
+  order.refunds.push(entry);
+  await reverseSellerCredit(order, entry.earningsReversed, ctx);
+  if (entry.method === 'razorpay' && entry.status === 'requested') {
+    order.refundStatus = 'pending';
+  } else if (entry.status === 'not_required') {
+    order.refundedAmount = roundMoney((order.refundedAmount || 0) + entry.amount);
+  }
+  return order.refunds[order.refunds.length - 1];
+};
+
+/**
+ * Cancel some units of an order and put them back in stock. Cancelling every remaining
+ * unit cancels the order and also returns the shipping charge; a shipped order can only
+ * be cancelled as a whole (return to origin). Paid orders get a 'requested' refund for
+ * the cancelled value; unpaid (COD) orders just owe less.
+ * Run it and the order save in one runAtomic so the stock and wallet updates roll back
+ * with the order.
+ * @param {Object} params
+ * @param {Object} params.order - Order document (saved by the caller)
+ * @param {Array<{itemId: String, quantity: Number}>} [params.items] - Lines to cancel; all remaining units when omitted
+ * @param {String} [params.reason]
+ * @param {String} [params.userId] - Who cancelled
+ * @param {String} [params.source] - statusHistory source (customer | seller | admin)
+ * @param {Object} params.ctx - runAtomic context ({ session, undo })
+ * @returns {Promise<Object>} The refund entry
+ */
+const cancelOrderItems = async ({ order, items, reason, userId, source, ctx }) => {
+  const wholeOrder = !(Array.isArray(items) && items.length > 0);
+  if (['delivered', 'cancelled', 'refunded'].includes(order.orderStatus) || (order.orderStatus === 'shipped' && !wholeOrder)) {
+    throw refundError(`Items cannot be cancelled once the order is ${order.orderStatus}`, 'OrderNotCancellable', 409);
+  }
+  const requested = wholeOrder
+    ? order.orderItems.map(i => ({ itemId: i._id, quantity: i.quantity - (i.cancelledQuantity || 0) }))
+      .filter(i => i.quantity > 0)
+    : items;
+  if (requested.length === 0) {
+    throw refundError('No items left to cancel', 'OrderItemsInvalid');
+  }
+
+  const lines = [];
+  let commissionReversed = 0;
+  let grossCancelled = 0;
+  for (const { itemId, quantity } of requested) {
+    const index = order.orderItems.findIndex(i => String(i._id) === String(itemId));
+    const item = order.orderItems[index];
+    if (!item) {
+      throw refundError(`Order item not found: ${itemId}`, 'OrderItemsInvalid', 404);
+    }
+    const units = Number(quantity);
+    const remaining = item.quantity - (item.cancelledQuantity || 0);
+    if (!Number.isInteger(units) || units < 1 || units > remaining) {
+      throw refundError(`Invalid quantity for ${item.name}: ${remaining} can be cancelled`, 'OrderItemsInvalid');
+    }
+    lines.push({ item, index, units });
+  }
+
+  for (const { item, index, units } of lines) {
+    item.cancelledQuantity = (item.cancelledQuantity || 0) + units;
+    commissionReversed += getLineCommission(order, item, index, units);
+    grossCancelled += (item.price || 0) * units;
+  }
+  await restockCancelledUnits(lines, ctx);
+  const entryItems = lines.map(({ item, units }) => ({
+    item: item._id,
+    product: item.product,
+    name: item.name,
+    quantity: units,
+    amount: getLineRefundAmount(order, item, units)
+  }));
+
+  const allCancelled = order.orderItems.every(i => (i.cancelledQuantity || 0) >= i.quantity);
+  let amount = roundMoney(entryItems.reduce((sum, i) => sum + i.amount, 0));
+  let earningsReversed = roundMoney(grossCancelled - commissionReversed);
+  if (allCancelled) {
+    // The last cancellation returns whatever is left, shipping and rounding included,
+    // and the seller keeps nothing from the order
+    amount = getRefundableAmount(order);
+    commissionReversed = getOrderCommission(order);
+    earningsReversed = getOrderSellerEarnings(order);
+    transitionOrder(order, { orderStatus: 'cancelled' }, { changedBy: userId, source, note: reason });
+    order.cancelledAt = new Date();
+    order.cancellationReason = reason || order.cancellationReason || '';
+    order.cancelledBy = userId;
+  }
+
+  const paid = isPaid(order);
+  return applyRefundEntry(order, {
+    amount: Math.min(amount, getRefundableAmount(order)),
+    items: entryItems,
+    includesShipping: allCancelled && (order.shippingPrice || 0) > 0,
+    commissionReversed: roundMoney(Math.min(commissionReversed, getOrderCommission(order))),
+    earningsReversed: roundMoney(Math.min(earningsReversed, getOrderSellerEarnings(order))),
+    reason: reason || '',
+    method: paid && order.paymentMethod !== 'cod' ? 'razorpay' : 'none',
+    status: paid ? 'requested' : 'not_required',
+    initiatedBy: userId
+  }, ctx);
+};
+
+/**
+ * Request a refund of an amount not tied to items (e.g. a goodwill credit, or the rest of
+ * a cancelled order). The remaining commission and seller earnings are reduced by the
+ * share of the refundable amount being refunded.
+ * @param {Object} params
+ * @param {Object} params.order - Paid online order (saved by the caller)
+ * @param {Number} params.amount
+ * @param {String} [params.reason]
+ * @param {String} [params.userId]
+ * @returns {Promise<Object>} The refund entry
+ */
+const requestPartialRefund = async ({ order, amount, reason, userId }) => {
+  const value = roundMoney(amount);
+  const refundable = getRefundableAmount(order);
+  if (!(value > 0) || value > refundable) {
+    throw refundError(`Refund amount must be between 0 and ${refundable.toFixed(2)}`, 'RefundAmountInvalid');
+  }
+  const share = value / refundable;
+  return applyRefundEntry(order, {
+    amount: value,
+    commissionReversed: roundMoney(getOrderCommission(order) * share),
+    earningsReversed: roundMoney(getOrderSellerEarnings(order) * share),
+    reason: reason || '',
+    method: 'razorpay',
+    status: 'requested',
+    initiatedBy: userId
+  });
+};
+
+// Payment status and refundStatus after refunds were sent or completed
+const syncRefundStatus = (order) => {
+  const open = order.refunds.some(r => r.method === 'razorpay' && ['requested', 'processing'].includes(r.status));
+  if (open) {
+    order.refundStatus = 'pending';
+  } else if (order.refundedAmount > 0) {
+    const fullyRefunded = order.refundedAmount >= roundMoney(order.totalPrice) - 0.01;
+    order.refundStatus = fullyRefunded ? 'refunded' : 'partial';
+    if (fullyRefunded && order.paymentStatus === 'paid') {
+      order.paymentStatus = 'refunded';
+      transitionOrder(order, { orderStatus: 'refunded' }, { source: 'system', note: 'Payment fully refunded' });
+    }
+  }
+};
+
+/**
+ * Send the order's requested refunds to Razorpay. Each entry is first claimed in the
+ * database (requested -> processing), so concurrent calls never refund it twice; entries
+ * must therefore be saved before they are sent.
+ * @param {Object} order - Order document (saved by the caller)
+ * @returns {Promise<Array>} Refund entries that were sent
+ */
+const processRequestedRefunds = async (order) => {
+  const paymentId = order.razorpayPaymentId || order.paymentResult?.id;
+  if (!paymentId) {
+    throw refundError('No payment id to refund', 'RefundNotApplicable');
+  }
+  const sent = [];
+  for (const entry of order.refunds) {
+    if (entry.method !== 'razorpay' || entry.status !== 'requested') continue;
+    if (entry.amount <= 0) {
+      entry.status = 'processed';
+      entry.processedAt = new Date();
+      continue;
+    }
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, refunds: { $elemMatch: { _id: entry._id, status: 'requested' } } },
+      { $set: { 'refunds.$.status': 'processing' } },
+      { projection: { _id: 1 } }
+    );
+    if (!claimed) continue; // sent by another request
+    entry.status = 'processing';
+    try {
+      // orderId lets the refund.processed webhook find this order among the payment's seller orders
+      const refund = await refundPayment(paymentId, entry.amount, {
+        orderId: String(order._id),
+        refundEntryId: String(entry._id)
+      });
+      entry.razorpayRefundId = refund?.id;
+      entry.status = refund?.status === 'processed' ? 'processed' : 'pending';
+      if (entry.status === 'processed') entry.processedAt = new Date();
+      order.refundedAmount = roundMoney((order.refundedAmount || 0) + entry.amount);
+      order.razorpayRefundId = refund?.id || order.razorpayRefundId;
+      sent.push(entry);
+    } catch (error) {
+      entry.status = 'failed';
+      entry.failureReason = error.message;
+    }
+  }
+  syncRefundStatus(order);
+  return sent;
+};
+
+/**
+ * Record a refund reported by Razorpay (refund.processed webhook). Refunds issued from
+ * the Razorpay dashboard have no entry yet and are added with proportional reversals.
+ * @param {Object} order - Order document (saved by the caller)
+ * @param {Object} refund - Razorpay refund entity
+ * @returns {Promise<Boolean>} Whether the order changed
+ */
+const recordProcessedRefund = async (order, refund) => {
+  const entry = order.refunds.find(r => r.razorpayRefundId === refund.id);
+  if (entry) {
+    if (entry.status === 'processed') return false;
+    if (entry.status === 'failed') {
+      order.refundedAmount = roundMoney((order.refundedAmount || 0) + entry.amount);
+    }
+    entry.status = 'processed';
+    entry.processedAt = new Date();
+  } else {
+    const refundable = getRefundableAmount(order);
+    const amount = Math.min(roundMoney(Number(refund.amount) / 100), refundable);
+    const share = refundable > 0 ? amount / refundable : 0;
+    await applyRefundEntry(order, {
+      amount,
+      commissionReversed: roundMoney(getOrderCommission(order) * share),
+      earningsReversed: roundMoney(getOrderSellerEarnings(order) * share),
+      reason: 'Refunded in Razorpay',
+      method: 'razorpay',
+      status: 'processed',
+      razorpayRefundId: refund.id,
+      processedAt: new Date()
+    });
+    order.refundedAmount = roundMoney((order.refundedAmount || 0) + amount);
+    order.razorpayRefundId = refund.id;
+  }
+  syncRefundStatus(order);
+  return true;
+};
+
+module.exports = {
+  getRefundableAmount,
+  getLineRefundAmount,
+  cancelOrderItems,
+  requestPartialRefund,
+  processRequestedRefunds,
+  recordProcessedRefund
+};
@@ -0,0 +1,226 @@
+const SearchQuery = require('../models/SearchQuery');
+
+/**
+ * Search Analytics Service
+ * Admin reports over the SearchQuery log: what shoppers search for, which searches find
+ * nothing and how often a search leads to a purchase. A search converts when the shopper
+ * who made it orders one of the products they opened from its results within
+ * SEARCH_ATTRIBUTION_DAYS. An order that follows several such searches is credited to the
+ * latest of them only. Only logged-in searches can be attributed to orders.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const ATTRIBUTION_DAYS = Number(process.env.SEARCH_ATTRIBUTION_DAYS) || 7;
+
+const rangeError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.type = 'InvalidDateRange';
+  return error;
+};
+
+/**
+ * Date range of a report; defaults to the last 30 days
+ * @param {Object} query - req.query with optional from / to dates
+ * @returns {{from: Date, to: Date}}
+ */
+const parseRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw rangeError('from and to must be dates');
+  }
+  if (start > end) {
+    throw rangeError('from must be before to');
+  }
+  return { from: start, to: end };
+};
+
+const rate = (part, whole) => (whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0);
+
+/**
+ * Most frequent queries in a date range
+ * @param {Object} range - { from, to }
+ * @param {Number} [limit=20]
+ * @returns {Promise<Array<Object>>}
+ */
+const getTopQueries = async ({ from, to }, limit = 20) => {
+  const rows = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        query: { $first: '$query' },
+        searches: { $sum: 1 },
+        zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clickedProducts', []] } }, 0] }, 1, 0] } },
+        averageResults: { $avg: '$resultCount' },
+        lastSearchedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(row => ({
+    normalizedQuery: row._id,
+    query: row.query,
+    searches: row.searches,
+    zeroResultSearches: row.zeroResultSearches,
+    clickThroughRate: rate(row.clickedSearches, row.searches),
+    averageResults: Math.round(row.averageResults || 0),
+    lastSearchedAt: row.lastSearchedAt
+  }));
+};
+
+/**
+ * Queries that found no products, most frequent first
+ * @param {Object} range - { from, to }
+ * @param {Number} [limit=20]
+ * @returns {Promise<Array<Object>>}
+ */
+const getZeroResultQueries = async ({ from, to }, limit = 20) => {
+  const rows = await SearchQuery.aggregate([
+    { $match: { resultCount: 0, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        query: { $first: '$query' },
+        searches: { $sum: 1 },
+        firstSearchedAt: { $min: '$createdAt' },
+        lastSearchedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { searches: -1, lastSearchedAt: -1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(row => ({
+    normalizedQuery: row._id,
+    query: row.query,
+    searches: row.searches,
+    firstSearchedAt: row.firstSearchedAt,
+    lastSearchedAt: row.lastSearchedAt
+  }));
+};
+
+/**
+ * Search-to-purchase funnel in a date range, overall and for the best-converting queries
+ * @param {Object} range - { from, to }
+ * @param {Number} [limit=20] - Queries listed
+ * @returns {Promise<Object>}
+ */
+const getSearchConversion = async ({ from, to }, limit = 20) => {
+  const windowMs = ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000;
+  const [result] = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            searches: { $sum: 1 },
+            withResults: { $sum: { $cond: [{ $gt: ['$resultCount', 0] }, 1, 0] } },
+            clicked: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clickedProducts', []] } }, 0] }, 1, 0] } },
+            attributable: { $sum: { $cond: [{ $ifNull: ['$user', false] }, 1, 0] } }
+          }
+        }],
+        conversions: [
+          { $match: { user: { $ne: null }, 'clickedProducts.0': { $exists: true } } },
+          {
+            $lookup: {
+              from: 'orders',
+              let: { user: '$user', products: '$clickedProducts', searchedAt: '$createdAt' },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: {
+                      $and: [
+                        { $eq: ['$user', '$$user'] },
+                        { $gte: ['$createdAt', '$$searchedAt'] },
+                        { $lte: ['$createdAt', { $add: ['$$searchedAt', windowMs] }] },
+                        { $not: [{ $in: ['$orderStatus', ['cancelled', 'refunded']] }] }
+                      ]
+                    }
+                  }
+                },
+                { $unwind: '$orderItems' },
+                {
+                  $project: {
+                    product: '$orderItems.product',
+                    price: '$orderItems.price',
+                    // Units still bought after any item cancellations
+                    quantity: { $subtract: ['$orderItems.quantity', { $ifNull: ['$orderItems.cancelledQuantity', 0] }] }
+                  }
+                },
+                { $match: { quantity: { $gt: 0 }, $expr: { $in: ['$product', '$$products'] } } },
+                { $group: { _id: '$_id', revenue: { $sum: { $multiply: ['$price', '$quantity'] } } } }
+              ],
+              as: 'purchase'
+            }
+          },
+          // One document per search and order it led to
+          { $unwind: '$purchase' },
+          // Each order goes to the latest search before it
+          { $sort: { createdAt: -1 } },
+          {
+            $group: {
+              _id: '$purchase._id',
+              search: { $first: '$_id' },
+              normalizedQuery: { $first: '$normalizedQuery' },
+              query: { $first: '$query' },
+              revenue: { $first: '$purchase.revenue' }
+            }
+          },
+          {
+            $group: {
+              _id: '$search',
+              normalizedQuery: { $first: '$normalizedQuery' },
+              query: { $first: '$query' },
+              revenue: { $sum: '$revenue' }
+            }
+          },
+          {
+            $group: {
+              _id: '$normalizedQuery',
+              query: { $first: '$query' },
+              convertedSearches: { $sum: 1 },
+              revenue: { $sum: '$revenue' }
+            }
+          },
+          { $sort: { convertedSearches: -1, revenue: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { searches: 0, withResults: 0, clicked: 0, attributable: 0 };
+  const convertedSearches = result.conversions.reduce((sum, row) => sum + row.convertedSearches, 0);
+  const revenue = result.conversions.reduce((sum, row) => sum + row.revenue, 0);
+
+  return {
+    from,
+    to,
+    attributionDays: ATTRIBUTION_DAYS,
+    searches: totals.searches,
+    searchesWithResults: totals.withResults,
+    clickedSearches: totals.clicked,
+    convertedSearches,
+    revenue: Number(revenue.toFixed(2)),
+    zeroResultRate: rate(totals.searches - totals.withResults, totals.searches),
+    clickThroughRate: rate(totals.clicked, totals.searches),
+    // Of logged-in searches, as only those can be matched to orders
+    conversionRate: rate(convertedSearches, totals.attributable),
+    topConvertingQueries: result.conversions.slice(0, limit).map(row => ({
+      normalizedQuery: row._id,
+      query: row.query,
+      convertedSearches: row.convertedSearches,
+      revenue: Number(row.revenue.toFixed(2))
+    }))
+  };
+};
+
+module.exports = {
+  parseRange,
+  getTopQueries,
+  getZeroResultQueries,
+  getSearchConversion
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchQuery = require('../models/SearchQuery');
+const SearchSynonym = require('../models/SearchSynonym');
+const { normalizeSearchText, tokenize, trigrams } = require('../utils/searchText');
+
+/**
+ * Search Service
+ * Storefront product search. Queries are expanded with synonym groups and ranked by the
+ * weighted `product_search_text` index (name, brand, tags, category, description). When no
+ * product matches the words, products sharing enough trigrams with the query are returned
+ * instead, which tolerates typos. Every search is logged to SearchQuery.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+// Share of the query's trigrams a product must contain to be a typo-tolerant match
+const FUZZY_MIN_SIMILARITY = Number(process.env.SEARCH_FUZZY_MIN_SIMILARITY) || 0.4;
+// Past queries suggested by autocomplete are taken from this many days
+const SUGGESTION_WINDOW_DAYS = 30;
+
+const VISIBLE = { isActive: true, isApproved: true };
+
+const RESULT_FIELDS = {
+  _id: 1, name: 1, price: 1, comparePrice: 1, brand: 1, ratings: 1, numReviews: 1,
+  images: { $slice: ['$images', 1] }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Query words plus the other terms of every synonym group they belong to
+ * @param {String} normalizedQuery
+ * @returns {Promise<Array<String>>}
+ */
+const expandSynonyms = async (normalizedQuery) => {
+  const words = tokenize(normalizedQuery);
+  const groups = await SearchSynonym.find({ terms: { $in: [...words, normalizedQuery] } }).lean();
+  const expanded = new Set(words);
+  for (const group of groups) {
+    group.terms.forEach(term => tokenize(term).forEach(word => expanded.add(word)));
+  }
+  return [...expanded];
+};
+
+const paginate = (page, limit) => ({
+  $facet: {
+    products: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: RESULT_FIELDS }],
+    total: [{ $count: 'count' }]
+  }
+});
+
+const textSearch = async (terms, page, limit) => {
+  const [result] = await Product.aggregate([
+    { $match: { $text: { $search: terms.join(' ') }, ...VISIBLE } },
+    { $sort: { score: { $meta: 'textScore' }, totalSold: -1 } },
+    paginate(page, limit)
+  ]);
+  return result;
+};
+
+const fuzzySearch = async (terms, page, limit) => {
+  const grams = trigrams(terms.join(' '));
+  if (grams.length === 0) return { products: [], total: [] };
+  const [result] = await Product.aggregate([
+    { $match: { searchGrams: { $in: grams }, ...VISIBLE } },
+    { $addFields: { similarity: { $divide: [{ $size: { $setIntersection: ['$searchGrams', grams] } }, grams.length] } } },
+    { $match: { similarity: { $gte: FUZZY_MIN_SIMILARITY } } },
+    { $sort: { similarity: -1, totalSold: -1 } },
+    paginate(page, limit)
+  ]);
+  return result;
+};
+
+/**
+ * Record a search; failures are logged and never affect the search itself
+ * @param {Object} entry - { query, normalizedQuery, resultCount, fuzzy, user, sessionId }
+ * @returns {Promise<Object|null>} SearchQuery document
+ */
+const logSearchQuery = async (entry) => {
+  try {
+    return await SearchQuery.create(entry);
+  } catch (error) {
+    console.error('Search log error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Relevance-ranked product search
+ * @param {Object} params
+ * @param {String} params.query
+ * @param {Number} [params.page=1]
+ * @param {Number} [params.limit=20]
+ * @param {String} [params.user] - Logged-in shopper
+ * @param {String} [params.sessionId] - Anonymous shopper session
+ * @returns {Promise<{query: String, searchId: String|null, products: Array, total: Number, page: Number, limit: Number, fuzzy: Boolean}>}
+ */
+const searchProducts = async ({ query, page = 1, limit = DEFAULT_LIMIT, user, sessionId }) => {
+  const text = String(query || '').trim().slice(0, MAX_QUERY_LENGTH);
+  const normalizedQuery = normalizeSearchText(text);
+  page = Math.max(parseInt(page, 10) || 1, 1);
+  limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  if (!normalizedQuery) {
+    return { query: text, searchId: null, products: [], total: 0, page, limit, fuzzy: false };
+  }
+
+  const terms = await expandSynonyms(normalizedQuery);
+  let result = await textSearch(terms, page, limit);
+  let fuzzy = false;
+  // Decided on the text match total, not the page, so every page of a search uses the same path
+  if (!result.total[0]) {
+    result = await fuzzySearch(terms, page, limit);
+    fuzzy = true;
+  }
+  const total = result.total[0] ? result.total[0].count : 0;
+
+  // Later pages belong to the search logged for page 1
+  let searchId = null;
+  if (page === 1) {
+    const entry = await logSearchQuery({ query: text, normalizedQuery, resultCount: total, fuzzy: fuzzy && total > 0, user, sessionId });
+    searchId = entry ? entry._id : null;
+  }
+  return { query: text, searchId, products: result.products, total, page, limit, fuzzy: fuzzy && total > 0 };
+};
+
+/**
+ * Record that a shopper opened a product from a search's results
+ * @param {Object} params
+ * @param {String} params.searchId - searchId returned by searchProducts
+ * @param {String} params.productId
+ * @param {String} [params.user] - Logged-in shopper; must be the one who searched
+ * @param {String} [params.sessionId] - Anonymous shopper session; must be the one that searched
+ * @returns {Promise<Boolean>} false when the search is unknown or belongs to someone else
+ */
+const recordSearchClick = async ({ searchId, productId, user, sessionId }) => {
+  if (!mongoose.Types.ObjectId.isValid(searchId) || !mongoose.Types.ObjectId.isValid(productId)) return false;
+  if (!user && !sessionId) return false;
+  const owner = user ? { user } : { user: null, sessionId };
+  const search = await SearchQuery.findOneAndUpdate(
+    { _id: searchId, ...owner },
+    { $addToSet: { clickedProducts: productId } },
+    { new: true }
+  );
+  if (!search) return false;
+  if (!search.firstClickAt) {
+    await SearchQuery.updateOne({ _id: search._id, firstClickAt: null }, { $set: { firstClickAt: new Date() } });
+  }
+  return true;
+};
+
+/**
+ * Suggestions while typing: popular past queries, matching products and categories
+ * @param {String} prefix
+ * @param {Object} [options]
+ * @param {Number} [options.limit=8]
+ * @returns {Promise<{queries: Array, products: Array, categories: Array}>}
+ */
+const autocomplete = async (prefix, { limit = 8 } = {}) => {
+  const normalized = normalizeSearchText(String(prefix || '').slice(0, MAX_QUERY_LENGTH));
+  if (normalized.length < 2) return { queries: [], products: [], categories: [] };
+  const startsWith = new RegExp(`^${escapeRegex(normalized)}`);
+  const wordStart = new RegExp(`(^|\\s)${escapeRegex(normalized)}`, 'i');
+  // Trigrams every match must contain, so the name regex runs on few products
+  const prefixGrams = trigrams(normalized).filter(gram => !gram.endsWith(' '));
+
+  const since = new Date(Date.now() - SUGGESTION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const [queries, products, categories] = await Promise.all([
+    SearchQuery.aggregate([
+      { $match: { normalizedQuery: startsWith, resultCount: { $gt: 0 }, createdAt: { $gte: since } } },
+      { $group: { _id: '$normalizedQuery', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]),
+    Product.find({ ...VISIBLE, searchGrams: { $all: prefixGrams }, name: wordStart })
+      .sort({ totalSold: -1 })
+      .limit(5)
+      .select('name price images')
+      .lean(),
+    Category.find({ isActive: true, name: wordStart })
+      .sort({ level: 1, sortOrder: 1 })
+      .limit(3)
+      .select('name slug')
+      .lean()
+  ]);
+
+  return {
+    queries: queries.map(q => ({ query: q._id, count: q.count })),
+    products: products.map(p => ({ _id: p._id, name: p.name, price: p.price, image: p.images && p.images[0] ? p.images[0].url : '' })),
+    categories
+  };
+};
+
+module.exports = {
+  expandSynonyms,
+  logSearchQuery,
+  searchProducts,
+  recordSearchClick,
+  autocomplete
+};
@@ -0,0 +1,146 @@
+const rapidShyp = require('./rapidshypService');
+
+/**
+ * Shipping Quote Service
+ * Prices shipping for one seller's part of a checkout. Products marked free-shipping cost
+ * nothing, products with a fixed shippingInfo.shippingCost are charged that per unit, and
+ * the rest are quoted through RapidShyp from the seller pickup pincode to the buyer pincode
+ * on their summed weight. Orders at or above FREE_SHIPPING_THRESHOLD ship free.
+ */
+
+// Weight assumed for an item with no weight on the product or variant (kg)
+const DEFAULT_ITEM_WEIGHT_KG = 0.5;
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const getFreeShippingThreshold = () => Number(process.env.FREE_SHIPPING_THRESHOLD) || 0;
+
+// Charged when RapidShyp cannot be reached or is not configured, so checkout keeps working
+const getFallbackShippingCharge = () => Number(process.env.DEFAULT_SHIPPING_CHARGE) || 0;
+
+/**
+ * Weight of one unit in kg, preferring the selected variant option
+ * @param {Object} product - Product document
+ * @param {Object|null} option - Selected variant option
+ * @returns {Number}
+ */
+const getUnitWeightKg = (product, option) => {
+  if (option && option.weight) {
+    return option.weightUnit === 'g' ? option.weight / 1000 : option.weight;
+  }
+  const weight = product.shippingInfo?.weight || product.weight;
+  return weight > 0 ? weight : DEFAULT_ITEM_WEIGHT_KG;
+};
+
+/**
+ * Pick the cheapest serviceable courier from a serviceability_check response
+ * @param {Object} data - RapidShyp response body
+ * @returns {Object|null}
+ */
+const pickCheapestCourier = (data) => {
+  const couriers = data?.serviceable_courier_list || data?.courier_list || data?.data || [];
+  if (!Array.isArray(couriers) || couriers.length === 0) return null;
+
+  const priced = couriers
+    .map(c => ({ courier: c, freight: Number(c.total_freight ?? c.freight ?? c.rate) }))
+    .filter(c => Number.isFinite(c.freight));
+  if (priced.length === 0) return null;
+
+  priced.sort((a, b) => a.freight - b.freight);
+  const { courier, freight } = priced[0];
+  return {
+    courierCode: String(courier.courier_code || courier.courierCode || ''),
+    courierName: courier.courier_name || courier.courierName || courier.parent_courier_name || '',
+    freight: roundMoney(freight),
+    estimatedDelivery: courier.edd || courier.estimated_delivery || ''
+  };
+};
+
+/**
+ * Quote shipping for one seller's items
+ * @param {Object} params
+ * @param {Object} params.seller - Seller document (address.zipCode is the pickup pincode)
+ * @param {String} params.deliveryPincode - Buyer pincode
+ * @param {Array<{product: Object, option: Object|null, quantity: Number}>} params.lines
+ * @param {Number} params.itemsPrice - Seller subtotal, compared against the free-shipping threshold
+ * @param {Number} [params.orderAmount] - Seller order total before shipping (after discount and tax)
+ * @param {Boolean} [params.cod] - Whether the order is cash on delivery
+ * @returns {Promise<{shippingPrice: Number, quote: Object}>}
+ */
+const quoteSellerShipping = async ({ seller, deliveryPincode, lines, itemsPrice, orderAmount = itemsPrice, cod = false }) => {
+  // Package weight covers every item, even those that ship free
+  const weight = Number(lines
+    .reduce((sum, { product, option, quantity }) => sum + getUnitWeightKg(product, option) * quantity, 0)
+    .toFixed(3));
+
+  const threshold = getFreeShippingThreshold();
+  if (threshold > 0 && itemsPrice >= threshold) {
+    return { shippingPrice: 0, quote: { source: 'threshold', freight: 0, weight } };
+  }
+
+  let fixedCharge = 0;
+  let quotedWeight = 0;
+  for (const { product, option, quantity } of lines) {
+    const info = product.shippingInfo || {};
+    if (info.freeShipping) continue;
+    if (info.shippingCost > 0) {
+      fixedCharge += info.shippingCost * quantity;
+    } else {
+      quotedWeight += getUnitWeightKg(product, option) * quantity;
+    }
+  }
+  quotedWeight = Number(quotedWeight.toFixed(3));
+
+  if (quotedWeight === 0) {
+    return {
+      shippingPrice: roundMoney(fixedCharge),
+      quote: { source: fixedCharge > 0 ? 'product' : 'free', freight: roundMoney(fixedCharge), weight }
+    };
+  }
+
+  const pickupPincode = seller?.address?.zipCode;
+  const fallback = () => ({
+    shippingPrice: roundMoney(fixedCharge + getFallbackShippingCharge()),
+    quote: { source: 'fallback', freight: getFallbackShippingCharge(), weight }
+  });
+  if (!pickupPincode || !deliveryPincode) {
+    return fallback();
+  }
+
+  // COD charges depend on the amount collected: the whole order, shipping included
+  const getRates = (freight) => rapidShyp.getRates({
+    pickupPincode,
+    deliveryPincode,
+    weight: quotedWeight,
+    codAmount: cod ? roundMoney(orderAmount + fixedCharge + freight) : 0
+  });
+  const result = await getRates(0);
+  if (!result.success) {
+    return fallback();
+  }
+
+  let courier = pickCheapestCourier(result.data);
+  if (!courier) {
+    const error = new Error(`Shipping is not available from ${seller.shopName || 'this seller'} to pincode ${deliveryPincode}`);
+    error.type = 'ShippingUnavailable';
+    error.statusCode = 400;
+    throw error;
+  }
+  // The courier freight is only known now; quote again with it in the COD amount
+  if (cod && courier.freight > 0) {
+    const requote = await getRates(courier.freight);
+    courier = (requote.success && pickCheapestCourier(requote.data)) || courier;
+  }
+
+  return {
+    shippingPrice: roundMoney(fixedCharge + courier.freight),
+    quote: { source: 'rapidshyp', weight, ...courier }
+  };
+};
+
+module.exports = {
+  DEFAULT_ITEM_WEIGHT_KG,
+  getUnitWeightKg,
+  pickCheapestCourier,
+  quoteSellerShipping
+};
@@ -0,0 +1,134 @@
+const Category = require('../models/Category');
+
+/**
+ * Tax Service
+ * GST for Indian orders. Each line is taxed at the GST rate of its product (falling back
+ * to its sub-category, then category, then DEFAULT_GST_RATE). Intra-state supplies
+ * (seller and shipping address in the same state) split the tax into CGST + SGST,
+ * inter-state supplies are charged IGST.
+ * Products with no rate anywhere are not taxed (DEFAULT_GST_RATE 0), so listings created
+ * before GST was charged do not get more expensive until their seller sets a rate.
+ * Shipping is not taxed: the charge is the courier's quote (GST included) passed on to
+ * the buyer at cost, not part of the seller's supply, so it stays out of taxableValue.
+ */
+
+// GST slabs accepted on products and categories (percent)
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const DEFAULT_GST_RATE = process.env.DEFAULT_GST_RATE !== undefined
+  ? Number(process.env.DEFAULT_GST_RATE)
+  : 0;
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+// Common abbreviations so 'MH' and 'Maharashtra' compare equal
+const STATE_ALIASES = {
+  an: 'andaman and nicobar islands', ap: 'andhra pradesh', ar: 'arunachal pradesh', as: 'assam',
+  br: 'bihar', ch: 'chandigarh', cg: 'chhattisgarh', ct: 'chhattisgarh', dl: 'delhi', 'new delhi': 'delhi',
+  ga: 'goa', gj: 'gujarat', hr: 'haryana', hp: 'himachal pradesh', jk: 'jammu and kashmir',
+  jh: 'jharkhand', ka: 'karnataka', kl: 'kerala', la: 'ladakh', ld: 'lakshadweep', mp: 'madhya pradesh',
+  mh: 'maharashtra', mn: 'manipur', ml: 'meghalaya', mz: 'mizoram', nl: 'nagaland', od: 'odisha',
+  or: 'odisha', orissa: 'odisha', py: 'puducherry', pondicherry: 'puducherry', pb: 'punjab',
+  rj: 'rajasthan', sk: 'sikkim', tn: 'tamil nadu', ts: 'telangana', tg: 'telangana', tr: 'tripura',
+  up: 'uttar pradesh', uk: 'uttarakhand', ut: 'uttarakhand', uttaranchal: 'uttarakhand', wb: 'west bengal'
+};
+
+const normalizeState = (state) => {
+  const key = String(state || '').trim().toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+  return STATE_ALIASES[key] || key;
+};
+
+/**
+ * Whether a supply is intra-state (CGST + SGST) rather than inter-state (IGST).
+ * Unknown seller or buyer states are treated as inter-state.
+ * @param {String} sellerState
+ * @param {String} shippingState
+ * @returns {Boolean}
+ */
+const isIntraState = (sellerState, shippingState) => {
+  const from = normalizeState(sellerState);
+  const to = normalizeState(shippingState);
+  return Boolean(from) && from === to;
+};
+
+/**
+ * Resolve HSN code and GST rate for products from the product, then its categories
+ * @param {Array} products - Product documents (category/subCategory as ids)
+ * @returns {Promise<Map<string, {hsnCode: String, gstRate: Number}>>} Keyed by product id
+ */
+const resolveProductTaxes = async (products) => {
+  const categoryIds = new Set();
+  products.forEach((p) => {
+    if (p.category) categoryIds.add(String(p.category));
+    if (p.subCategory) categoryIds.add(String(p.subCategory));
+  });
+  const categories = categoryIds.size
+    ? await Category.find({ _id: { $in: Array.from(categoryIds) } }).select('hsnCode gstRate')
+    : [];
+  const categoriesById = new Map(categories.map(c => [String(c._id), c]));
+
+  const pick = (field, sources) => {
+    for (const source of sources) {
+      if (source && source[field] !== undefined && source[field] !== null && source[field] !== '') {
+        return source[field];
+      }
+    }
+    return undefined;
+  };
+
+  return new Map(products.map((p) => {
+    const sources = [p, categoriesById.get(String(p.subCategory)), categoriesById.get(String(p.category))];
+    const gstRate = pick('gstRate', sources);
+    return [String(p._id), {
+      hsnCode: pick('hsnCode', sources) || '',
+      gstRate: gstRate !== undefined ? Number(gstRate) : DEFAULT_GST_RATE
+    }];
+  }));
+};
+
+/**
+ * Tax one line on its taxable value (price after any discount share)
+ * @param {Number} taxableValue
+ * @param {Number} gstRate - Percent
+ * @param {Boolean} intraState
+ * @returns {{taxableValue: Number, cgst: Number, sgst: Number, igst: Number, tax: Number}}
+ */
+const computeLineTax = (taxableValue, gstRate, intraState) => {
+  const value = roundMoney(taxableValue);
+  if (intraState) {
+    const half = roundMoney(value * gstRate / 200);
+    return { taxableValue: value, cgst: half, sgst: half, igst: 0, tax: roundMoney(half * 2) };
+  }
+  const igst = roundMoney(value * gstRate / 100);
+  return { taxableValue: value, cgst: 0, sgst: 0, igst, tax: igst };
+};
+
+/**
+ * Sum line taxes into the order-level breakdown
+ * @param {Array<{cgst: Number, sgst: Number, igst: Number}>} lines
+ * @param {Boolean} intraState
+ * @returns {{supplyType: String, cgst: Number, sgst: Number, igst: Number, total: Number}}
+ */
+const summarizeTax = (lines, intraState) => {
+  const sum = (field) => roundMoney(lines.reduce((acc, l) => acc + (l[field] || 0), 0));
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+  return {
+    supplyType: intraState ? 'intra_state' : 'inter_state',
+    cgst,
+    sgst,
+    igst,
+    total: roundMoney(cgst + sgst + igst)
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  normalizeState,
+  isIntraState,
+  resolveProductTaxes,
+  computeLineTax,
+  summarizeTax
+};
@@ -0,0 +1,176 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
+const { cartLineKey } = require('./cartService');
+
+/**
+ * Wishlist Service
+ * Named wishlists and the price-drop / back-in-stock flags shown on their items.
+ * Each item remembers its price and availability when it was added; an item is flagged
+ * when the product has since become cheaper or come back in stock.
+ */
+
+const DEFAULT_WISHLIST_NAME = 'My Wishlist';
+
+const wishlistError = (message, type, statusCode = 400) => {
+  const error = new Error(message);
+  error.type = type;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Current price and availability of a product, for a variant selection when one is given.
+ * Without a selection, products with variants use their lowest price and total stock.
+ * @param {Object} product - Product document
+ * @param {Object} [selectedVariants]
+ * @returns {{price: Number, inStock: Boolean}|null} null when the selection is not an active option
+ */
+const getProductSnapshot = (product, selectedVariants) => {
+  const combination = Product.normalizeVariantSelection(selectedVariants);
+  if (Object.keys(combination).length > 0) {
+    const selection = product.resolveVariantSelection(combination);
+    if (!selection) return null;
+    const { option } = selection;
+    return {
+      price: option ? option.price : product.price,
+      inStock: product.isActive && (option ? option.stock : product.stock) > 0
+    };
+  }
+  return {
+    price: product.variants && product.variants.length > 0 ? product.getPriceRange().min : product.price,
+    inStock: product.isActive && product.getTotalStock() > 0
+  };
+};
+
+/**
+ * Default list of a user, created on first use from the legacy User.wishlist ids
+ * @param {String} userId
+ * @returns {Promise<Object>} Wishlist document
+ */
+const getDefaultWishlist = async (userId) => {
+  const existing = await Wishlist.findOne({ user: userId, isDefault: true });
+  if (existing) return existing;
+
+  const user = await User.findById(userId).select('wishlist');
+  const legacyIds = user ? user.wishlist : [];
+  const products = await Product.find({ _id: { $in: legacyIds } });
+  const items = products.map((product) => {
+    const snapshot = getProductSnapshot(product);
+    return { product: product._id, priceAtAdd: snapshot.price, inStockAtAdd: snapshot.inStock };
+  });
+
+  try {
+    const wishlist = await Wishlist.create({ user: userId, name: DEFAULT_WISHLIST_NAME, isDefault: true, items });
+    if (legacyIds.length > 0) {
+      await User.updateOne({ _id: userId }, { $set: { wishlist: [] } });
+    }
+    return wishlist;
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      const created = await Wishlist.findOne({ user: userId, isDefault: true });
+      if (created) return created;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find a wishlist of a user
+ * @param {String} userId
+ * @param {String} wishlistId
+ * @returns {Promise<Object>} Wishlist document; throws 404 when not found
+ */
+const getUserWishlist = async (userId, wishlistId) => {
+  const wishlist = await Wishlist.findOne({ _id: wishlistId, user: userId });
+  if (!wishlist) {
+    throw wishlistError('Wishlist not found', 'WishlistNotFound', 404);
+  }
+  return wishlist;
+};
+
+/**
+ * Add a product to a wishlist (the caller saves it). Adding the same product and
+ * variant again keeps the existing item.
+ * @param {Object} wishlist - Wishlist document
+ * @param {Object} product - Product document
+ * @param {Object} [selectedVariants]
+ * @returns {Object} The wishlist item
+ */
+const addWishlistItem = (wishlist, product, selectedVariants) => {
+  const snapshot = getProductSnapshot(product, selectedVariants);
+  if (!snapshot) {
+    throw wishlistError('Invalid variant selection', 'WishlistVariantInvalid');
+  }
+  const combination = Product.normalizeVariantSelection(selectedVariants);
+  const key = cartLineKey({ product: product._id, selectedVariants: combination });
+  const existingItem = wishlist.items.find(item => cartLineKey(item) === key);
+  if (existingItem) return existingItem;
+
+  wishlist.items.push({
+    product: product._id,
+    selectedVariants: combination,
+    priceAtAdd: snapshot.price,
+    inStockAtAdd: snapshot.inStock
+  });
+  return wishlist.items[wishlist.items.length - 1];
+};
+
+/**
+ * Wishlist with its products and per-item flags
+ * @param {Object} wishlist - Wishlist document
+ * @param {Object} [options]
+ * @param {Boolean} [options.publicView] - Omit owner-only fields (for shared links)
+ * @returns {Promise<Object>}
+ */
+const describeWishlist = async (wishlist, { publicView = false } = {}) => {
+  const products = await Product.find({ _id: { $in: wishlist.items.map(item => item.product) } });
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+
+  const items = wishlist.items
+    .map((item) => {
+      const product = productsById.get(String(item.product));
+      // Deleted products drop out of the list
+      if (!product) return null;
+      // Products taken off the marketplace are not shown to other people
+      if (publicView && (!product.isActive || !product.isApproved)) return null;
+      const snapshot = getProductSnapshot(product, item.selectedVariants) || { price: null, inStock: false };
+      const priceDropped = item.priceAtAdd != null && snapshot.price != null && snapshot.price < item.priceAtAdd;
+      return {
+        _id: item._id,
+        product,
+        selectedVariants: item.selectedVariants,
+        addedAt: item.addedAt,
+        priceAtAdd: item.priceAtAdd,
+        currentPrice: snapshot.price,
+        inStock: snapshot.inStock,
+        priceDropped,
+        priceDrop: priceDropped ? Number((item.priceAtAdd - snapshot.price).toFixed(2)) : 0,
+        backInStock: item.inStockAtAdd === false && snapshot.inStock
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    _id: wishlist._id,
+    name: wishlist.name,
+    ...(publicView ? {} : {
+      isDefault: wishlist.isDefault,
+      isPublic: wishlist.isPublic,
+      shareToken: wishlist.shareToken
+    }),
+    items,
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt
+  };
+};
+
+module.exports = {
+  DEFAULT_WISHLIST_NAME,
+  getProductSnapshot,
+  getDefaultWishlist,
+  getUserWishlist,
+  addWishlistItem,
+  describeWishlist
+};
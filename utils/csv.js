@@ -0,0 +1,67 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, embedded quotes, commas and newlines)
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {String} text
+ * @returns {Array<Array<String>>}
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of cells to CSV text
+ * @param {Array<Array<*>>} rows
+ * @returns {String}
+ */
+const toCsv = (rows) => rows.map(cells => cells.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -11,7 +11,7 @@ const razorpay = new Razorpay({
 const createRazorpayOrder = async (amount, currency = 'INR', receipt) => {
   try {
     const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
       currency,
       receipt,
       payment_capture: 1, // Auto capture payment
@@ -42,6 +42,19 @@ const verifyPayment = (razorpay_order_id, razorpay_payment_id, razorpay_signatur
   }
 };
 
+// Verify webhook signature (X-Razorpay-Signature is an HMAC of the raw request body)
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !signature) return false;
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
 // Get payment details
 const getPaymentDetails = async (paymentId) => {
   try {
@@ -73,9 +86,10 @@ const capturePayment = async (paymentId, amount) => {
 };
 
 // Refund payment
-const refundPayment = async (paymentId, amount) => {
+const refundPayment = async (paymentId, amount, notes) => {
   try {
     const payload = amount ? { amount: Math.round(amount * 100) } : {};
+    if (notes) payload.notes = notes;
     const refund = await razorpay.payments.refund(paymentId, payload);
     return refund;
   } catch (error) {
@@ -87,6 +101,7 @@ module.exports = {
   razorpay,
   createRazorpayOrder,
   verifyPayment,
+  verifyWebhookSignature,
   getPaymentDetails,
   getOrderDetails,
   capturePayment,
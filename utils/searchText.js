@@ -0,0 +1,42 @@
+// Text helpers shared by the product search index (models/Product) and search queries
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * @param {String} text
+ * @returns {String}
+ */
+const normalizeSearchText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Words of a text, normalized
+ * @param {String} text
+ * @returns {Array<String>}
+ */
+const tokenize = (text) => normalizeSearchText(text).split(' ').filter(Boolean);
+
+/**
+ * Trigrams of every word, padded so word starts and ends weigh more ("tv" -> " tv", "tv ")
+ * @param {String} text
+ * @returns {Array<String>} Unique trigrams
+ */
+const trigrams = (text) => {
+  const grams = new Set();
+  for (const word of tokenize(text)) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return [...grams];
+};
+
+module.exports = {
+  normalizeSearchText,
+  tokenize,
+  trigrams
+};
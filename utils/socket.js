@@ -0,0 +1,23 @@
+// Access to the Socket.IO server for code outside server.js.
+// Every socket that sends `join` with its user id is in the room `user:<id>`.
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+/**
+ * Emit an event to every connected socket of a user; a no-op before the server starts
+ * @param {String} userId
+ * @param {String} event
+ * @param {*} payload
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(`user:${userId}`).emit(event, payload);
+};
+
+module.exports = {
+  setIO,
+  emitToUser
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Cached result of the replica-set probe (transactions need a replica set or mongos)
+let transactionsSupported = null;
+
+/**
+ * Check whether the connected MongoDB deployment supports multi-document transactions
+ * @returns {Promise<boolean>}
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported !== null) return transactionsSupported;
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    console.warn('Could not detect MongoDB transaction support:', error.message);
+    transactionsSupported = false;
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run a unit of work so that either all of its writes persist or none do.
+ *
+ * On a replica set the work runs inside a MongoDB transaction and `session` must be
+ * passed to every read/write. On a standalone server (local development) `session` is
+ * null and the work registers compensating steps with `undo.push(async () => ...)`;
+ * they are run in reverse order if the work throws.
+ *
+ * @param {(ctx: { session: import('mongoose').ClientSession|null, undo: Function[] }) => Promise<*>} work
+ * @returns {Promise<*>} Whatever `work` resolves to
+ */
+const runAtomic = async (work) => {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work({ session, undo: [] });
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const undo = [];
+  try {
+    return await work({ session: null, undo });
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error('Compensating step failed:', undoError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  runAtomic
+};